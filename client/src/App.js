@@ -8,6 +8,8 @@ import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
 import Conversation from './pages/Conversation';
 import SharedConversation from './pages/SharedConversation';
+import Settings from './pages/Settings';
+import Admin from './pages/Admin';
 import LoadingSpinner from './components/LoadingSpinner';
 
 function AppContent() {
@@ -63,6 +65,30 @@ function AppContent() {
             )
           } 
         />
+        <Route 
+          path="/settings" 
+          element={
+            user ? (
+              <Layout>
+                <Settings />
+              </Layout>
+            ) : (
+              <Navigate to="/login" replace />
+            )
+          } 
+        />
+        <Route 
+          path="/admin" 
+          element={
+            user?.role === 'admin' ? (
+              <Layout>
+                <Admin />
+              </Layout>
+            ) : (
+              <Navigate to={user ? '/dashboard' : '/login'} replace />
+            )
+          } 
+        />
         
         {/* New conversation route */}
         <Route 
@@ -0,0 +1,178 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Key, Check, Trash2, Zap } from 'lucide-react';
+import toast from 'react-hot-toast';
+import api from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const inputClass = "flex-1 p-2 border border-secondary-200 dark:border-secondary-700 rounded-lg bg-white dark:bg-secondary-800 text-secondary-900 dark:text-secondary-100 text-sm";
+
+// Manage the user's own provider API keys. Keys are write-only: the server
+// only ever reports whether one is stored.
+const ApiKeySettings = () => {
+  const [keys, setKeys] = useState([]);
+  const [status, setStatus] = useState({ encryptionConfigured: true, byokAllowed: true });
+  const [drafts, setDrafts] = useState({});
+  const [busyProvider, setBusyProvider] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const loadKeys = useCallback(async () => {
+    try {
+      const response = await api.get('/auth/api-keys');
+      setKeys(response.data.keys);
+      setStatus({
+        encryptionConfigured: response.data.encryptionConfigured,
+        byokAllowed: response.data.byokAllowed
+      });
+    } catch (error) {
+      console.error('Failed to load API keys:', error);
+      toast.error('Failed to load API keys');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadKeys();
+  }, [loadKeys]);
+
+  const handleSave = async (provider) => {
+    try {
+      setBusyProvider(provider);
+      await api.put(`/auth/api-keys/${provider}`, { apiKey: drafts[provider] });
+      setDrafts(prev => ({ ...prev, [provider]: '' }));
+      toast.success('API key saved');
+      await loadKeys();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save API key');
+    } finally {
+      setBusyProvider(null);
+    }
+  };
+
+  const handleDelete = async (provider) => {
+    if (!window.confirm('Remove this API key? Requests will use the server key again.')) {
+      return;
+    }
+
+    try {
+      setBusyProvider(provider);
+      await api.delete(`/auth/api-keys/${provider}`);
+      toast.success('API key removed');
+      await loadKeys();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to remove API key');
+    } finally {
+      setBusyProvider(null);
+    }
+  };
+
+  // Tests the typed key if there is one, otherwise the stored key
+  const handleTest = async (provider) => {
+    try {
+      setBusyProvider(provider);
+      const response = await api.post(`/auth/api-keys/${provider}/test`, {
+        apiKey: drafts[provider] || undefined
+      });
+      if (response.data.success) {
+        toast.success('Key works');
+      } else {
+        toast.error(`Key test failed: ${response.data.error}`);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to test API key');
+    } finally {
+      setBusyProvider(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex items-center space-x-2 mb-2">
+        <Key className="w-5 h-5 text-primary-600" />
+        <h2 className="text-lg font-semibold text-secondary-900 dark:text-secondary-100">
+          Your API Keys
+        </h2>
+      </div>
+      <p className="text-sm text-secondary-600 dark:text-secondary-400 mb-4">
+        Requests to these providers use your own key instead of the server's. Keys are stored encrypted and are never shown again.
+      </p>
+
+      {!status.encryptionConfigured && (
+        <div className="mb-4 p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 text-sm text-amber-700 dark:text-amber-300">
+          Storing keys is not enabled on this server (KEY_ENCRYPTION_KEY is not set).
+        </div>
+      )}
+      {!status.byokAllowed && (
+        <div className="mb-4 p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 text-sm text-amber-700 dark:text-amber-300">
+          This server runs in free mode; stored keys are not used.
+        </div>
+      )}
+
+      <div className="space-y-3">
+        {keys.map(key => (
+          <div
+            key={key.provider}
+            className="p-4 border border-secondary-200 dark:border-secondary-700 rounded-lg bg-white dark:bg-secondary-800"
+          >
+            <div className="flex items-center justify-between mb-2">
+              <span className="font-medium text-secondary-900 dark:text-secondary-100">{key.name}</span>
+              {key.configured ? (
+                <span className="flex items-center text-xs text-green-600 dark:text-green-400">
+                  <Check className="w-3 h-3 mr-1" />
+                  Saved {key.updatedAt && new Date(key.updatedAt).toLocaleDateString()}
+                </span>
+              ) : (
+                <span className="text-xs text-secondary-500 dark:text-secondary-400">Using server key</span>
+              )}
+            </div>
+            <div className="flex items-center space-x-2">
+              <input
+                type="password"
+                autoComplete="off"
+                value={drafts[key.provider] || ''}
+                onChange={(e) => setDrafts(prev => ({ ...prev, [key.provider]: e.target.value }))}
+                placeholder={key.configured ? '•••••••• (replace)' : 'Paste API key'}
+                className={inputClass}
+              />
+              <button
+                onClick={() => handleSave(key.provider)}
+                disabled={!drafts[key.provider] || busyProvider === key.provider || !status.encryptionConfigured}
+                className="btn btn-primary px-3 py-2 text-sm disabled:opacity-50"
+              >
+                Save
+              </button>
+              <button
+                onClick={() => handleTest(key.provider)}
+                disabled={(!drafts[key.provider] && !key.configured) || busyProvider === key.provider}
+                className="p-2 text-secondary-500 hover:text-secondary-700 dark:hover:text-secondary-300 transition-colors rounded-md hover:bg-secondary-100 dark:hover:bg-secondary-700 disabled:opacity-50"
+                title="Test key"
+              >
+                <Zap className="w-4 h-4" />
+              </button>
+              {key.configured && (
+                <button
+                  onClick={() => handleDelete(key.provider)}
+                  disabled={busyProvider === key.provider}
+                  className="p-2 text-red-500 hover:text-red-700 dark:hover:text-red-400 transition-colors rounded-md hover:bg-red-100 dark:hover:bg-red-900/20 disabled:opacity-50"
+                  title="Remove key"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ApiKeySettings;
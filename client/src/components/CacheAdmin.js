@@ -0,0 +1,273 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Database, RefreshCw, Trash2, Upload } from 'lucide-react';
+import toast from 'react-hot-toast';
+import api from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const inputClass = "p-2 border border-secondary-200 dark:border-secondary-700 rounded-lg bg-white dark:bg-secondary-800 text-secondary-900 dark:text-secondary-100 text-sm";
+
+const emptyFilters = { provider: '', model: '', userId: '', olderThanHours: '' };
+
+const formatAge = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  return hours < 48 ? `${hours}h` : `${Math.floor(hours / 24)}d`;
+};
+
+// Filters as the /ai/cache endpoints expect them (age in milliseconds)
+const toCacheFilters = ({ provider, model, userId, olderThanHours }) => {
+  const filters = {};
+  if (provider) filters.provider = provider;
+  if (model) filters.model = model;
+  if (userId) filters.userId = userId;
+  if (olderThanHours) filters.olderThan = Math.round(parseFloat(olderThanHours) * 3600000);
+  return filters;
+};
+
+// Admin view of the AI response cache: stats, entry browser, targeted
+// invalidation and pre-warming from a conversation export
+const CacheAdmin = () => {
+  const [stats, setStats] = useState(null);
+  const [coalescing, setCoalescing] = useState(null);
+  const [entries, setEntries] = useState({ total: 0, entries: [] });
+  const [filters, setFilters] = useState(emptyFilters);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const loadCache = useCallback(async (activeFilters = emptyFilters) => {
+    try {
+      const [statsResponse, entriesResponse] = await Promise.all([
+        api.get('/ai/cache/stats'),
+        api.get('/ai/cache/entries', { params: toCacheFilters(activeFilters) })
+      ]);
+      setStats(statsResponse.data.stats);
+      setCoalescing(statsResponse.data.coalescing);
+      setEntries(entriesResponse.data);
+    } catch (error) {
+      console.error('Failed to load cache:', error);
+      toast.error(error.response?.data?.error || 'Failed to load cache');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCache();
+  }, [loadCache]);
+
+  const updateFilter = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleInvalidate = async () => {
+    const cacheFilters = toCacheFilters(filters);
+    if (Object.keys(cacheFilters).length === 0) {
+      toast.error('Set at least one filter, or use Clear all');
+      return;
+    }
+    if (!window.confirm(`Remove ${entries.total} matching cache entries?`)) {
+      return;
+    }
+
+    try {
+      setBusy(true);
+      const response = await api.post('/ai/cache/invalidate', cacheFilters);
+      toast.success(`Removed ${response.data.removed} entries`);
+      await loadCache(filters);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to invalidate cache');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Remove every cached response for all users?')) {
+      return;
+    }
+
+    try {
+      setBusy(true);
+      await api.post('/ai/cache/clear');
+      toast.success('Cache cleared');
+      await loadCache(filters);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to clear cache');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleWarm = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      setBusy(true);
+      const data = JSON.parse(await file.text());
+      const response = await api.post('/ai/cache/warm', { data });
+      toast.success(`Warmed ${response.data.warmed} entries (${response.data.skipped} skipped)`);
+      await loadCache(filters);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to warm cache from file');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <Database className="w-5 h-5 text-primary-600" />
+          <h2 className="text-lg font-semibold text-secondary-900 dark:text-secondary-100">
+            Response Cache
+          </h2>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            disabled={busy}
+            className="btn btn-ghost px-3 py-2 text-sm disabled:opacity-50"
+            title="Pre-warm from a conversation export"
+          >
+            <Upload className="w-4 h-4 mr-2" />
+            Warm
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleWarm}
+            className="hidden"
+          />
+          <button
+            onClick={handleClear}
+            disabled={busy}
+            className="btn btn-ghost px-3 py-2 text-sm text-red-600 disabled:opacity-50"
+          >
+            <Trash2 className="w-4 h-4 mr-2" />
+            Clear all
+          </button>
+        </div>
+      </div>
+
+      {stats && (
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-6">
+          {[
+            ['Entries', `${stats.totalEntries} / ${stats.maxItems}`],
+            ['Hit rate', `${Math.round(stats.hitRate * 100)}%`],
+            ['Evictions', stats.evictions],
+            ['Calls saved', coalescing?.coalesced || 0]
+          ].map(([label, value]) => (
+            <div key={label} className="p-3 border border-secondary-200 dark:border-secondary-700 rounded-lg bg-white dark:bg-secondary-800">
+              <div className="text-xs text-secondary-500 dark:text-secondary-400">{label}</div>
+              <div className="text-lg font-semibold text-secondary-900 dark:text-secondary-100">{value}</div>
+            </div>
+          ))}
+          <div className="col-span-full text-xs text-secondary-500 dark:text-secondary-400">
+            Backend: {stats.backend} • Scope: {stats.scope} • {stats.hits} hits, {stats.misses} misses since {new Date(stats.countersSince).toLocaleString()}
+            {stats.disabled && ' • caching is disabled'}
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-3">
+        <input
+          value={filters.provider}
+          onChange={(e) => updateFilter('provider', e.target.value)}
+          placeholder="Provider"
+          className={inputClass}
+        />
+        <input
+          value={filters.model}
+          onChange={(e) => updateFilter('model', e.target.value)}
+          placeholder="Model"
+          className={inputClass}
+        />
+        <input
+          value={filters.userId}
+          onChange={(e) => updateFilter('userId', e.target.value)}
+          placeholder="User ID"
+          className={inputClass}
+        />
+        <input
+          type="number"
+          min={0}
+          value={filters.olderThanHours}
+          onChange={(e) => updateFilter('olderThanHours', e.target.value)}
+          placeholder="Older than (hours)"
+          className={inputClass}
+        />
+      </div>
+      <div className="flex items-center space-x-2 mb-4">
+        <button
+          onClick={() => loadCache(filters)}
+          disabled={busy}
+          className="btn btn-primary px-3 py-2 text-sm disabled:opacity-50"
+        >
+          <RefreshCw className="w-4 h-4 mr-2" />
+          Search
+        </button>
+        <button
+          onClick={handleInvalidate}
+          disabled={busy || entries.total === 0}
+          className="btn btn-ghost px-3 py-2 text-sm text-red-600 disabled:opacity-50"
+        >
+          Invalidate matching ({entries.total})
+        </button>
+      </div>
+
+      {entries.entries.length === 0 ? (
+        <p className="text-sm text-secondary-500 dark:text-secondary-400">No cache entries match.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-secondary-500 dark:text-secondary-400">
+                <th className="pb-1 font-medium">Key</th>
+                <th className="pb-1 font-medium">Provider</th>
+                <th className="pb-1 font-medium">Model</th>
+                <th className="pb-1 font-medium">Scope</th>
+                <th className="pb-1 font-medium text-right">Age</th>
+                <th className="pb-1 font-medium text-right">Size</th>
+                <th className="pb-1 font-medium text-right">Hits</th>
+              </tr>
+            </thead>
+            <tbody className="text-secondary-900 dark:text-secondary-100">
+              {entries.entries.map(entry => (
+                <tr key={entry.keyPrefix} className={entry.expired ? 'opacity-50' : ''}>
+                  <td className="py-1 font-mono text-xs">{entry.keyPrefix}</td>
+                  <td className="py-1">{entry.provider}</td>
+                  <td className="py-1 truncate">{entry.model || 'default'}</td>
+                  <td className="py-1 text-xs truncate" title={entry.scope}>{entry.scope}</td>
+                  <td className="py-1 text-right">{formatAge(entry.ageMs)}</td>
+                  <td className="py-1 text-right">{(entry.size / 1024).toFixed(1)} KB</td>
+                  <td className="py-1 text-right">{entry.hits}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {entries.total > entries.entries.length && (
+            <p className="mt-2 text-xs text-secondary-500 dark:text-secondary-400">
+              Showing {entries.entries.length} of {entries.total} entries
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CacheAdmin;
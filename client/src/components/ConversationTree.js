@@ -9,18 +9,47 @@ import ReactFlow, {
   useReactFlow,
   Handle,
   Position,
+  Panel,
 } from 'reactflow';
 import 'reactflow/dist/style.css';
 import { motion, AnimatePresence } from 'framer-motion';
-import { MessageSquare, ChevronUp, Copy, GitBranch, Move, Trash2, X, Edit3 } from 'lucide-react';
+import { MessageSquare, ChevronUp, ChevronLeft, ChevronRight, Copy, GitBranch, Move, Trash2, X, Edit3, Square, RefreshCw, GitMerge, FolderOutput, LayoutGrid } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { cn } from '../utils/cn';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 
+// Placeholder node shown under the parent while a branch is being generated
+const PENDING_NODE_ID = '__pending__';
+
+// Delay before dragged positions are saved, so a burst of drags is one request
+const POSITION_SAVE_DELAY_MS = 500;
+
+// A node's hand-placed position, or null when it has none ((0, 0) is the
+// server's default for nodes that were never placed)
+const storedPosition = (node) => {
+  const { x, y } = node.position || {};
+  return Number.isFinite(x) && Number.isFinite(y) && (x !== 0 || y !== 0) ? { x, y } : null;
+};
+
+// Node and edge styling for a snapshot diff, by the node's diffStatus
+const DIFF_STYLES = {
+  added: { label: 'Added', node: 'border-green-500 ring-2 ring-green-200', badge: 'bg-green-500', edge: '#22c55e' },
+  removed: { label: 'Removed', node: 'border-red-500 opacity-60', badge: 'bg-red-500', edge: '#ef4444' },
+  edited: { label: 'Edited', node: 'border-amber-500', badge: 'bg-amber-500' },
+  moved: { label: 'Moved', node: 'border-blue-500', badge: 'bg-blue-500', edge: '#3b82f6' }
+};
+
 // Expanded Node View Component (outside React Flow)
-const ExpandedNodeView = ({ node, onClose, onBranch, onDelete, onTitleEdit }) => {
+const ExpandedNodeView = ({ node, onClose, onBranch, onDelete, onTitleEdit, onPromptEdit, onTransfer, onLoadTransferTargets }) => {
   const [showBranchButton, setShowBranchButton] = useState(false);
+  const [showTransfer, setShowTransfer] = useState(false);
+  const [transferTargets, setTransferTargets] = useState(null);
+  const [transferTarget, setTransferTarget] = useState('');
+  const [transferMode, setTransferMode] = useState('copy');
+  const [isEditingPrompt, setIsEditingPrompt] = useState(false);
+  const [editedPrompt, setEditedPrompt] = useState(node.prompt);
+  const [rerunDescendants, setRerunDescendants] = useState(true);
   const [branchText, setBranchText] = useState('');
   const [isEditingTitle, setIsEditingTitle] = useState(false);
   const [editedTitle, setEditedTitle] = useState(node.title || node.prompt.substring(0, 50));
@@ -87,6 +116,33 @@ const ExpandedNodeView = ({ node, onClose, onBranch, onDelete, onTitleEdit }) =>
     setEditedTitle(node.title || node.prompt.substring(0, 50));
   }, [node.title, node.prompt]);
 
+  const handlePromptSave = useCallback((e) => {
+    e.stopPropagation();
+    if (onPromptEdit && editedPrompt.trim()) {
+      onPromptEdit(node.id, editedPrompt.trim(), rerunDescendants);
+      onClose();
+    }
+  }, [onPromptEdit, node.id, editedPrompt, rerunDescendants, onClose]);
+
+  // Load the conversations the subtree can go to the first time the panel opens
+  const handleTransferToggle = useCallback((e) => {
+    e.stopPropagation();
+    setShowTransfer(prev => !prev);
+    if (transferTargets === null && onLoadTransferTargets) {
+      onLoadTransferTargets()
+        .then(setTransferTargets)
+        .catch(() => setTransferTargets([]));
+    }
+  }, [transferTargets, onLoadTransferTargets]);
+
+  const handleTransfer = useCallback((e) => {
+    e.stopPropagation();
+    if (onTransfer) {
+      onTransfer(node.id, { conversationId: transferTarget || null, mode: transferMode });
+      onClose();
+    }
+  }, [onTransfer, node.id, transferTarget, transferMode, onClose]);
+
   const handleCopyResponse = useCallback((e) => {
     e.stopPropagation();
     navigator.clipboard.writeText(node.response);
@@ -192,6 +248,20 @@ const ExpandedNodeView = ({ node, onClose, onBranch, onDelete, onTitleEdit }) =>
             >
               <Copy className="w-5 h-5" />
             </button>
+            {onTransfer && (
+              <button
+                onClick={handleTransferToggle}
+                className={cn(
+                  "p-2 transition-colors rounded-md hover:bg-secondary-100 dark:hover:bg-secondary-800",
+                  showTransfer
+                    ? "text-primary-600 dark:text-primary-400"
+                    : "text-secondary-500 hover:text-secondary-700 dark:hover:text-secondary-300"
+                )}
+                title="Copy or move subtree"
+              >
+                <FolderOutput className="w-5 h-5" />
+              </button>
+            )}
             <button
               onClick={handleDeleteNode}
               className="p-2 text-red-500 hover:text-red-700 dark:hover:text-red-400 transition-colors rounded-md hover:bg-red-100 dark:hover:bg-red-900/20"
@@ -212,14 +282,129 @@ const ExpandedNodeView = ({ node, onClose, onBranch, onDelete, onTitleEdit }) =>
         {/* Content */}
         <div className="flex flex-col h-full max-h-[calc(90vh-120px)] overflow-hidden">
           <div className="flex-1 overflow-y-auto p-6 space-y-6">
+            {/* Copy or move this node and its descendants */}
+            {onTransfer && showTransfer && (
+              <div className="space-y-3 bg-secondary-50 dark:bg-secondary-800 rounded-lg p-4">
+                <div className="text-sm font-semibold text-secondary-500 dark:text-secondary-400 uppercase tracking-wide">
+                  Copy or move subtree
+                </div>
+                <div className="flex flex-wrap items-center gap-3">
+                  <select
+                    value={transferTarget}
+                    onChange={(e) => setTransferTarget(e.target.value)}
+                    className="flex-1 min-w-0 text-sm text-secondary-900 dark:text-secondary-100 bg-white dark:bg-secondary-900 border border-secondary-300 dark:border-secondary-600 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  >
+                    <option value="">New conversation</option>
+                    {(transferTargets || []).map(target => (
+                      <option key={target._id} value={target._id}>
+                        Under the root of "{target.title}"
+                      </option>
+                    ))}
+                  </select>
+                  <label className="flex items-center space-x-2 text-sm text-secondary-700 dark:text-secondary-300">
+                    <input
+                      type="radio"
+                      checked={transferMode === 'copy'}
+                      onChange={() => setTransferMode('copy')}
+                      className="border-secondary-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    <span>Copy</span>
+                  </label>
+                  <label
+                    className={cn(
+                      "flex items-center space-x-2 text-sm text-secondary-700 dark:text-secondary-300",
+                      !node.parentId && "opacity-50"
+                    )}
+                    title={node.parentId ? undefined : 'The root node can only be copied'}
+                  >
+                    <input
+                      type="radio"
+                      checked={transferMode === 'move'}
+                      onChange={() => setTransferMode('move')}
+                      disabled={!node.parentId}
+                      className="border-secondary-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    <span>Move</span>
+                  </label>
+                  <button
+                    onClick={handleTransfer}
+                    className="px-4 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors"
+                  >
+                    {transferMode === 'move' ? 'Move' : 'Copy'}
+                  </button>
+                </div>
+                <p className="text-xs text-secondary-500 dark:text-secondary-400">
+                  This node and all its descendants are copied with new IDs. Merge links to nodes outside the subtree are dropped.
+                </p>
+              </div>
+            )}
+
             {/* Prompt */}
             <div>
-              <div className="text-sm font-semibold text-secondary-500 dark:text-secondary-400 uppercase tracking-wide mb-3">
-                Prompt
-              </div>
-              <div className="prose prose-sm dark:prose-invert max-w-none bg-secondary-50 dark:bg-secondary-800 rounded-lg p-4 break-words">
-                <ReactMarkdown remarkPlugins={[remarkGfm]}>{node.prompt}</ReactMarkdown>
+              <div className="flex items-center justify-between mb-3">
+                <div className="text-sm font-semibold text-secondary-500 dark:text-secondary-400 uppercase tracking-wide">
+                  Prompt
+                </div>
+                {onPromptEdit && !isEditingPrompt && (
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setEditedPrompt(node.prompt);
+                      setIsEditingPrompt(true);
+                    }}
+                    className="p-1 text-secondary-500 hover:text-secondary-700 dark:hover:text-secondary-300 transition-colors"
+                    title="Edit prompt"
+                  >
+                    <Edit3 className="w-4 h-4" />
+                  </button>
+                )}
               </div>
+              {isEditingPrompt ? (
+                <div className="space-y-3">
+                  <textarea
+                    value={editedPrompt}
+                    onChange={(e) => setEditedPrompt(e.target.value)}
+                    className="w-full text-sm text-secondary-900 dark:text-secondary-100 bg-white dark:bg-secondary-800 rounded-lg p-3 border border-primary-300 dark:border-primary-600 focus:outline-none focus:ring-2 focus:ring-primary-500 resize-none"
+                    rows={4}
+                  />
+                  <div className="flex items-center justify-between">
+                    <label className="flex items-center space-x-2 text-sm text-secondary-700 dark:text-secondary-300">
+                      <input
+                        type="checkbox"
+                        checked={rerunDescendants}
+                        onChange={(e) => setRerunDescendants(e.target.checked)}
+                        className="rounded border-secondary-300 text-primary-600 focus:ring-primary-500"
+                      />
+                      <span>Re-run descendants</span>
+                    </label>
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setIsEditingPrompt(false);
+                        }}
+                        className="px-4 py-2 text-sm bg-secondary-200 text-secondary-700 dark:bg-secondary-700 dark:text-secondary-300 rounded-lg hover:bg-secondary-300 dark:hover:bg-secondary-600 transition-colors"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        onClick={handlePromptSave}
+                        disabled={!editedPrompt.trim() || editedPrompt.trim() === node.prompt}
+                        className="px-4 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Save & regenerate
+                      </button>
+                    </div>
+                  </div>
+                  <p className="text-xs text-secondary-500 dark:text-secondary-400">
+                    The current prompt and answer are kept as a version you can switch back to.
+                  </p>
+                </div>
+              ) : (
+                <div className="prose prose-sm dark:prose-invert max-w-none bg-secondary-50 dark:bg-secondary-800 rounded-lg p-4 break-words">
+                  <ReactMarkdown remarkPlugins={[remarkGfm]}>{node.prompt}</ReactMarkdown>
+                </div>
+              )}
             </div>
 
             {/* Response */}
@@ -304,8 +489,39 @@ const ExpandedNodeView = ({ node, onClose, onBranch, onDelete, onTitleEdit }) =>
             <div className="pt-4 border-t border-secondary-200 dark:border-secondary-700">
               <div className="flex items-center justify-between text-sm text-secondary-500 dark:text-secondary-400">
                 <span>{node.metadata?.apiProvider || 'Unknown'}</span>
-                <span>{node.metadata?.responseTime || 0}ms</span>
+                <span>{node.metadata?.cached ? 'From cache' : `${node.metadata?.responseTime || 0}ms`}</span>
               </div>
+              {node.metadata?.parameters && Object.keys(node.metadata.parameters).length > 0 && (
+                <div className="mt-2 text-xs text-secondary-500 dark:text-secondary-400 break-words">
+                  {Object.entries(node.metadata.parameters)
+                    .filter(([key]) => key !== 'systemPrompt')
+                    .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`)
+                    .join(' • ')}
+                </div>
+              )}
+              {node.metadata?.context?.truncated && (
+                <div className="mt-2 text-xs text-amber-600 dark:text-amber-400">
+                  {`Context limit reached: only the closest ${node.metadata.context.turns} turns were sent`}
+                </div>
+              )}
+              {node.metadata?.contextWindow?.action && node.metadata.contextWindow.action !== 'none' && (
+                <div className="mt-2 text-xs text-amber-600 dark:text-amber-400">
+                  {{
+                    dropOldest: `Context window full: dropped ${node.metadata.contextWindow.droppedMessages} oldest messages`,
+                    truncate: `Context window full: shortened ${node.metadata.contextWindow.truncatedMessages} messages`,
+                    summarize: `Context window full: summarized ${node.metadata.contextWindow.summarizedMessages} older messages`
+                  }[node.metadata.contextWindow.action]}
+                  {` (${node.metadata.contextWindow.tokens}/${node.metadata.contextWindow.budget} tokens)`}
+                  {node.metadata.contextWindow.summaryError && `; summarizing failed: ${node.metadata.contextWindow.summaryError}`}
+                </div>
+              )}
+              {node.metadata?.attempts?.length > 1 && (
+                <div className="mt-2 text-xs text-amber-600 dark:text-amber-400">
+                  {node.metadata.requestedProvider && node.metadata.requestedProvider !== node.metadata.apiProvider
+                    ? `Fell back from ${node.metadata.requestedProvider} after ${node.metadata.attempts.length - 1} failed attempts`
+                    : `Answered after ${node.metadata.attempts.length - 1} retries`}
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -403,6 +619,21 @@ const ConversationNodeBase = ({ data, selected, readOnly = false }) => {
     }
   }, [data]);
 
+  const handleRegenerate = useCallback((e) => {
+    e.stopPropagation();
+    if (data.onRegenerate) {
+      data.onRegenerate(data.id);
+    }
+  }, [data]);
+
+  const handleVersionStep = useCallback((e, step) => {
+    e.stopPropagation();
+    const target = (data.activeVersion || 0) + step;
+    if (data.onSelectVersion && target >= 0 && target < (data.versions?.length || 0)) {
+      data.onSelectVersion(data.id, target);
+    }
+  }, [data]);
+
   const handleExpandToggle = useCallback((e) => {
     e.stopPropagation();
     if (data.onExpand) {
@@ -413,6 +644,7 @@ const ConversationNodeBase = ({ data, selected, readOnly = false }) => {
   const handleNodeClick = useCallback((e) => {
     e.preventDefault();
     e.stopPropagation();
+    if (data.pending) return;
     const selection = window.getSelection();
     const hasTextSelection = selection && selection.toString().trim().length > 0;
     if (!hasTextSelection) {
@@ -427,12 +659,15 @@ const ConversationNodeBase = ({ data, selected, readOnly = false }) => {
     handleTextSelection();
   }, [handleTextSelection]);
 
+  const diffStyle = DIFF_STYLES[data.diffStatus];
+
   return (
     <div
       className={cn(
         "relative min-w-[320px] max-w-[450px] bg-white dark:bg-secondary-900 rounded-lg border-2 transition-all duration-150 ease-out",
         selected ? "border-primary-500 shadow-xl ring-2 ring-primary-200" : "border-secondary-200 dark:border-secondary-700 hover:border-primary-300",
-        isExpanded ? "z-50 shadow-2xl" : "z-10 shadow-lg"
+        isExpanded ? "z-50 shadow-2xl" : "z-10 shadow-lg",
+        diffStyle?.node
       )}
       onClick={handleNodeClick}
       style={{ 
@@ -460,9 +695,18 @@ const ConversationNodeBase = ({ data, selected, readOnly = false }) => {
         <div className="absolute -top-2 -left-2 w-4 h-4 bg-primary-500 rounded-full animate-pulse z-10"></div>
       )}
       
-      {data.parentId && (
+      {data.parentId && !diffStyle && (
         <div className="absolute -top-2 -right-2 w-3 h-3 bg-accent-500 rounded-full z-10"></div>
       )}
+
+      {diffStyle && (
+        <div
+          className={cn("absolute -top-3 right-3 px-2 py-0.5 text-xs font-medium text-white rounded-full z-10", diffStyle.badge)}
+          title={data.editedFields?.length ? `Changed: ${data.editedFields.join(', ')}` : undefined}
+        >
+          {diffStyle.label}
+        </div>
+      )}
       
       <div className={cn(
         "flex items-center justify-between p-4 border-b transition-all duration-150",
@@ -517,6 +761,7 @@ const ConversationNodeBase = ({ data, selected, readOnly = false }) => {
             )}
           </div>
         </div>
+       {!data.pending && (
        <div className="flex items-center space-x-2">
          <button
            onClick={handleCopyResponse}
@@ -525,6 +770,16 @@ const ConversationNodeBase = ({ data, selected, readOnly = false }) => {
          >
            <Copy className="w-4 h-4" />
          </button>
+         {data.onRegenerate && (
+           <button
+             onClick={handleRegenerate}
+             disabled={data.isSending}
+             className="p-2 text-secondary-500 hover:text-secondary-700 dark:hover:text-secondary-300 transition-colors rounded-md hover:bg-secondary-100 dark:hover:bg-secondary-800 disabled:opacity-50"
+             title="Regenerate response"
+           >
+             <RefreshCw className="w-4 h-4" />
+           </button>
+         )}
          <button
            onClick={handleExpandToggle}
            className="p-2 text-secondary-500 hover:text-secondary-700 dark:hover:text-secondary-300 transition-colors rounded-md hover:bg-secondary-100 dark:hover:bg-secondary-800"
@@ -547,6 +802,20 @@ const ConversationNodeBase = ({ data, selected, readOnly = false }) => {
            <Move className="w-4 h-4" />
          </div>
        </div>
+       )}
+       {data.onCancel && (
+         <button
+           onClick={(e) => {
+             e.stopPropagation();
+             data.onCancel();
+           }}
+           className="relative z-50 flex items-center space-x-1 px-2 py-1 text-xs text-red-600 hover:text-red-700 dark:text-red-400 border border-red-300 dark:border-red-700 rounded-md hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
+           title="Stop generating"
+         >
+           <Square className="w-3 h-3" />
+           <span>Stop</span>
+         </button>
+       )}
       </div>
 
       <div className="p-4">
@@ -657,7 +926,39 @@ const ConversationNodeBase = ({ data, selected, readOnly = false }) => {
 
         <div className="mt-4 pt-3 border-t border-secondary-200 dark:border-secondary-700">
           <div className="flex items-center justify-between text-xs text-secondary-500 dark:text-secondary-400">
-            <span>{data.metadata?.apiProvider || 'Unknown'}</span>
+            <span className="flex items-center space-x-1">
+              {data.mergeParentIds?.length > 0 && (
+                <span title={`Merges ${data.mergeParentIds.length + 1} branches`}>
+                  <GitMerge className="w-3 h-3 text-accent-500" />
+                </span>
+              )}
+              <span>{data.metadata?.apiProvider || 'Unknown'}</span>
+            </span>
+            {data.versions?.length > 1 && (
+              <div className="flex items-center space-x-1">
+                {data.onSelectVersion && (
+                  <button
+                    onClick={(e) => handleVersionStep(e, -1)}
+                    disabled={data.isSending || (data.activeVersion || 0) === 0}
+                    className="p-0.5 rounded hover:bg-secondary-100 dark:hover:bg-secondary-800 disabled:opacity-30"
+                    title="Previous version"
+                  >
+                    <ChevronLeft className="w-3 h-3" />
+                  </button>
+                )}
+                <span>{(data.activeVersion || 0) + 1} of {data.versions.length}</span>
+                {data.onSelectVersion && (
+                  <button
+                    onClick={(e) => handleVersionStep(e, 1)}
+                    disabled={data.isSending || (data.activeVersion || 0) === data.versions.length - 1}
+                    className="p-0.5 rounded hover:bg-secondary-100 dark:hover:bg-secondary-800 disabled:opacity-30"
+                    title="Next version"
+                  >
+                    <ChevronRight className="w-3 h-3" />
+                  </button>
+                )}
+              </div>
+            )}
             <span>{data.metadata?.responseTime || 0}ms</span>
           </div>
         </div>
@@ -679,15 +980,33 @@ const ConversationTree = ({
   focusNodeId = null,
   isSending = false,
   pendingParentId = null,
+  streamingText = '',
+  onCancelGeneration,
+  onRegenerate,
+  onSelectVersion,
+  onPromptEdit,
+  onMoveNode,
+  onTransferSubtree,
+  onLoadTransferTargets,
+  regeneratingNodeId = null,
+  autoLayout = true,
+  onSavePositions,
   readOnly = false
 }) => {
   const [nodes, setNodes, onNodesChange] = useNodesState([]);
   const [edges, setEdges, onEdgesChange] = useEdgesState([]);
   const [expandedNode, setExpandedNode] = useState(null);
-  const { fitView, setCenter, getNode, getViewport } = useReactFlow();
+  const { fitView, setCenter, getNode, getViewport, getIntersectingNodes } = useReactFlow();
   const hasFittedRef = useRef(false);
   const prevConvKeyRef = useRef(null);
   const prevNodeIdsRef = useRef(new Set());
+  // Positions the automatic layout gives the current tree
+  const autoPositionsRef = useRef(new Map());
+  // Dragged positions waiting to be saved
+  const pendingPositionsRef = useRef({});
+  const positionSaveTimerRef = useRef(null);
+  const onSavePositionsRef = useRef(onSavePositions);
+  onSavePositionsRef.current = onSavePositions;
 
   // Center helper using measured node size and current zoom
   const centerOnNodeId = useCallback((nodeId, duration = 200) => {
@@ -893,6 +1212,20 @@ const ConversationTree = ({
     };
     treeData.forEach((root) => collect(root, null));
 
+    // Render the in-flight branch (and any streamed text) under its parent
+    if (isSending && pendingParentId && idToNode.has(pendingParentId)) {
+      idToNode.set(PENDING_NODE_ID, {
+        id: PENDING_NODE_ID,
+        title: 'Generating response',
+        prompt: '',
+        response: streamingText,
+        parentId: pendingParentId,
+        children: [],
+        pending: true,
+        metadata: {}
+      });
+    }
+
     // Apply hierarchical layout
     const layoutedNodes = calculateHierarchicalLayout(Array.from(idToNode.values()));
 
@@ -925,12 +1258,37 @@ const ConversationTree = ({
       });
     });
 
+    const autoPositions = new Map(layoutedNodes.map(node => [node.id, { x: node.x, y: node.y }]));
+    autoPositionsRef.current = autoPositions;
+
+    // Without auto layout, nodes stay where they were placed. A node that was
+    // never placed keeps its automatic offset from its parent, so new branches
+    // appear next to their parent wherever that was dragged.
+    const positions = new Map();
+    const resolvePosition = (node) => {
+      if (positions.has(node.id)) return positions.get(node.id);
+      const auto = autoPositions.get(node.id);
+      let position = autoLayout ? auto : storedPosition(node);
+      if (!position) {
+        const parent = node.parentId && idToNode.get(node.parentId);
+        if (parent) {
+          const parentPosition = resolvePosition(parent);
+          const parentAuto = autoPositions.get(parent.id);
+          position = { x: parentPosition.x + auto.x - parentAuto.x, y: parentPosition.y + auto.y - parentAuto.y };
+        } else {
+          position = auto;
+        }
+      }
+      positions.set(node.id, position);
+      return position;
+    };
+
     layoutedNodes.forEach((node) => {
       const isSelected = selectedNodes.includes(node.id);
       rfNodes.push({
         id: node.id,
         type: 'conversationNode',
-        position: { x: node.x, y: node.y },
+        position: resolvePosition(node),
         data: {
           ...node,
           onBranch,
@@ -938,13 +1296,17 @@ const ConversationTree = ({
           onDelete: onDeleteNode,
           onExpand: handleNodeExpand,
           onTitleEdit: handleExpandedNodeTitleEdit,
+          onCancel: node.id === PENDING_NODE_ID || node.id === regeneratingNodeId ? onCancelGeneration : undefined,
+          onRegenerate,
+          onSelectVersion,
+          isSending,
           layout,
           metadata: {
             ...(node.metadata || {}),
-            loading: isSending && pendingParentId === node.id
+            loading: (node.id === PENDING_NODE_ID && !node.response) || node.id === regeneratingNodeId
           }
         },
-        draggable: true,
+        draggable: node.id !== PENDING_NODE_ID,
         dragHandle: '.drag-handle',
         selectable: false,
         selected: isSelected,
@@ -952,6 +1314,7 @@ const ConversationTree = ({
       });
 
       if (node.parentId) {
+        const diffEdge = DIFF_STYLES[node.diffStatus]?.edge;
         rfEdges.push({
           id: `${node.parentId}-${node.id}`,
           source: node.parentId,
@@ -959,16 +1322,35 @@ const ConversationTree = ({
           sourceHandle: 'source',
           targetHandle: 'target',
           type: 'smoothstep',
-          animated: false,
-          style: { stroke: '#64748b', strokeWidth: 2 }
+          animated: node.id === PENDING_NODE_ID,
+          style: {
+            stroke: diffEdge || '#64748b',
+            strokeWidth: 2,
+            ...(node.diffStatus === 'removed' ? { strokeDasharray: '6 4' } : {})
+          }
         });
       }
+
+      // Merge nodes: extra, dashed edges from their other parents
+      (node.mergeParentIds || [])
+        .filter(mergeParentId => idToNode.has(mergeParentId))
+        .forEach(mergeParentId => {
+          rfEdges.push({
+            id: `merge-${mergeParentId}-${node.id}`,
+            source: mergeParentId,
+            target: node.id,
+            sourceHandle: 'source',
+            targetHandle: 'target',
+            type: 'smoothstep',
+            style: { stroke: '#a855f7', strokeWidth: 2, strokeDasharray: '6 4' }
+          });
+        });
     });
 
 
 
     return { nodes: rfNodes, edges: rfEdges };
-  }, [onBranch, selectedNodes, handleNodeSelection, onDeleteNode, layout, handleNodeExpand, handleExpandedNodeTitleEdit, isSending, pendingParentId]);
+  }, [onBranch, selectedNodes, handleNodeSelection, onDeleteNode, layout, handleNodeExpand, handleExpandedNodeTitleEdit, isSending, pendingParentId, streamingText, onCancelGeneration, onRegenerate, onSelectVersion, regeneratingNodeId, autoLayout]);
 
   React.useEffect(() => {
     const tree = conversation?.treeStructure;
@@ -993,7 +1375,7 @@ const ConversationTree = ({
           // Wait for node to be fully rendered and stable before centering
           setTimeout(() => {
             centerOnNodeId(newestNodeId, 200);
-            if (onNodeSelect) {
+            if (onNodeSelect && newestNodeId !== PENDING_NODE_ID) {
               onNodeSelect(newestNodeId);
             }
           }, 100);
@@ -1031,6 +1413,65 @@ const ConversationTree = ({
     }
   }, [focusNodeId, nodes, onNodeSelect, centerOnNodeId]);
 
+  // Save the positions collected so far
+  const flushPositions = useCallback(() => {
+    clearTimeout(positionSaveTimerRef.current);
+    positionSaveTimerRef.current = null;
+    const positions = pendingPositionsRef.current;
+    pendingPositionsRef.current = {};
+    if (Object.keys(positions).length > 0 && onSavePositionsRef.current) {
+      onSavePositionsRef.current(positions);
+    }
+  }, []);
+
+  // Save what is still pending when the tree goes away
+  useEffect(() => flushPositions, [flushPositions]);
+
+  const queuePosition = useCallback((nodeId, position) => {
+    pendingPositionsRef.current[nodeId] = { x: position.x, y: position.y };
+    clearTimeout(positionSaveTimerRef.current);
+    positionSaveTimerRef.current = setTimeout(flushPositions, POSITION_SAVE_DELAY_MS);
+  }, [flushPositions]);
+
+  // Replace every node's stored position with the automatic layout
+  const handleResetLayout = useCallback(() => {
+    if (!window.confirm('Replace all node positions with the automatic layout?')) return;
+
+    pendingPositionsRef.current = {};
+    autoPositionsRef.current.forEach((position, nodeId) => {
+      if (nodeId !== PENDING_NODE_ID) {
+        pendingPositionsRef.current[nodeId] = position;
+      }
+    });
+    flushPositions();
+  }, [flushPositions]);
+
+  // Dropping a node onto another makes it that node's last child; with Shift
+  // held it is placed just before the target among the target's siblings.
+  // Dropping it anywhere else keeps it there when auto layout is off.
+  const handleNodeDragStop = useCallback((event, draggedNode) => {
+    if (readOnly || draggedNode.id === PENDING_NODE_ID) return;
+
+    const target = getIntersectingNodes(draggedNode)
+      .find(node => node.id !== draggedNode.id && node.id !== PENDING_NODE_ID);
+    if (!target) {
+      if (!autoLayout && onSavePositions) {
+        queuePosition(draggedNode.id, draggedNode.position);
+      }
+      return;
+    }
+    if (!onMoveNode || isSending) return;
+
+    if (event.shiftKey) {
+      if (!target.data.parentId) return;
+      const parent = conversation?.nodes?.find(node => node.id === target.data.parentId);
+      const siblings = (parent?.children || []).filter(id => id !== draggedNode.id);
+      onMoveNode(draggedNode.id, target.data.parentId, Math.max(0, siblings.indexOf(target.id)));
+    } else if (target.id !== draggedNode.data.parentId) {
+      onMoveNode(draggedNode.id, target.id, null);
+    }
+  }, [onMoveNode, readOnly, isSending, getIntersectingNodes, conversation, autoLayout, onSavePositions, queuePosition]);
+
   const onConnect = useCallback(
     (params) => setEdges((eds) => addEdge(params, eds)),
     [setEdges]
@@ -1048,6 +1489,7 @@ const ConversationTree = ({
         onNodesChange={onNodesChange}
         onEdgesChange={onEdgesChange}
         onConnect={onConnect}
+        onNodeDragStop={handleNodeDragStop}
         nodeTypes={nodeTypes}
         fitView
         attributionPosition="bottom-left"
@@ -1084,6 +1526,18 @@ const ConversationTree = ({
           nodeColor="#0ea5e9"
           maskColor="rgba(15,23,42,0.3)"
         />
+        {!autoLayout && onSavePositions && !readOnly && (
+          <Panel position="top-right">
+            <button
+              onClick={handleResetLayout}
+              className="flex items-center px-3 py-2 text-sm bg-white/95 dark:bg-secondary-900/95 text-secondary-700 dark:text-secondary-300 border border-secondary-200 dark:border-secondary-700 rounded-lg shadow-xl hover:text-secondary-900 dark:hover:text-secondary-100 transition-colors"
+              title="Re-run the automatic layout, replacing saved positions"
+            >
+              <LayoutGrid className="w-4 h-4 mr-2" />
+              Auto layout
+            </button>
+          </Panel>
+        )}
       </ReactFlow>
 
       {expandedNode && (
@@ -1093,6 +1547,9 @@ const ConversationTree = ({
           onBranch={handleExpandedNodeBranch}
           onDelete={handleExpandedNodeDelete}
           onTitleEdit={handleExpandedNodeTitleEdit}
+          onPromptEdit={readOnly || isSending ? undefined : onPromptEdit}
+          onTransfer={readOnly || isSending ? undefined : onTransferSubtree}
+          onLoadTransferTargets={onLoadTransferTargets}
         />
       )}
     </div>
@@ -0,0 +1,98 @@
+import React from 'react';
+import { RotateCcw } from 'lucide-react';
+
+export const defaultGenerationSettings = {
+  temperature: '',
+  topP: '',
+  maxTokens: '',
+  stop: '',
+  seed: '',
+  systemPrompt: ''
+};
+
+// Convert the form values into the `parameters` object the API expects,
+// leaving out anything that was not set so provider defaults apply
+export const toGenerationParameters = (settings) => {
+  const parameters = {};
+  ['temperature', 'topP', 'maxTokens', 'seed'].forEach(key => {
+    if (settings[key] !== '' && settings[key] !== null && settings[key] !== undefined) {
+      parameters[key] = Number(settings[key]);
+    }
+  });
+  const stop = (settings.stop || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (stop.length > 0) parameters.stop = stop;
+  if (settings.systemPrompt && settings.systemPrompt.trim()) {
+    parameters.systemPrompt = settings.systemPrompt.trim();
+  }
+  return parameters;
+};
+
+const inputClass = "w-full p-2 border border-secondary-200 dark:border-secondary-700 rounded-lg bg-white dark:bg-secondary-800 text-secondary-900 dark:text-secondary-100 text-sm";
+
+const NumberField = ({ label, value, onChange, min, max, step, placeholder }) => (
+  <label className="block">
+    <span className="text-xs text-secondary-500 dark:text-secondary-400">{label}</span>
+    <input
+      type="number"
+      value={value}
+      min={min}
+      max={max}
+      step={step}
+      placeholder={placeholder}
+      onChange={(e) => onChange(e.target.value)}
+      className={inputClass}
+    />
+  </label>
+);
+
+const GenerationSettings = ({ value, onChange }) => {
+  const update = (key) => (newValue) => onChange({ ...value, [key]: newValue });
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-medium text-secondary-700 dark:text-secondary-300">
+          Generation Parameters
+        </h3>
+        <button
+          onClick={() => onChange(defaultGenerationSettings)}
+          className="p-1 text-secondary-500 hover:text-secondary-700 dark:hover:text-secondary-300 transition-colors"
+          title="Reset to provider defaults"
+        >
+          <RotateCcw className="w-4 h-4" />
+        </button>
+      </div>
+      <div className="space-y-2">
+        <div className="grid grid-cols-2 gap-2">
+          <NumberField label="Temperature" value={value.temperature} onChange={update('temperature')} min={0} max={2} step={0.1} placeholder="0.7" />
+          <NumberField label="Top P" value={value.topP} onChange={update('topP')} min={0} max={1} step={0.05} placeholder="default" />
+          <NumberField label="Max tokens" value={value.maxTokens} onChange={update('maxTokens')} min={1} step={1} placeholder="default" />
+          <NumberField label="Seed" value={value.seed} onChange={update('seed')} step={1} placeholder="random" />
+        </div>
+        <label className="block">
+          <span className="text-xs text-secondary-500 dark:text-secondary-400">Stop sequences (comma separated)</span>
+          <input
+            type="text"
+            value={value.stop}
+            onChange={(e) => update('stop')(e.target.value)}
+            className={inputClass}
+          />
+        </label>
+        <label className="block">
+          <span className="text-xs text-secondary-500 dark:text-secondary-400">System prompt</span>
+          <textarea
+            value={value.systemPrompt}
+            onChange={(e) => update('systemPrompt')(e.target.value)}
+            rows={3}
+            className={`${inputClass} resize-none`}
+          />
+        </label>
+      </div>
+      <p className="text-xs text-secondary-500 dark:text-secondary-400 mt-2">
+        Applied to new conversations and branches; each node keeps the values it was generated with
+      </p>
+    </div>
+  );
+};
+
+export default GenerationSettings;
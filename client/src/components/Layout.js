@@ -7,7 +7,9 @@ import {
   Sun,
   Moon,
   Monitor,
-  Plus
+  Plus,
+  Settings,
+  Shield
 } from 'lucide-react';
 import { useAuth } from '../hooks/useAuth';
 import { useTheme } from '../contexts/ThemeContext';
@@ -73,6 +75,24 @@ const Layout = ({ children }) => {
                 Dashboard
               </button>
 
+              {user?.role === 'admin' && (
+                <button
+                  onClick={() => navigate('/admin')}
+                  className="p-2 text-secondary-600 hover:text-secondary-900 dark:text-secondary-400 dark:hover:text-secondary-100 transition-colors rounded-lg hover:bg-secondary-100 dark:hover:bg-secondary-800"
+                  title="Admin"
+                >
+                  <Shield className="w-4 h-4" />
+                </button>
+              )}
+
+              <button
+                onClick={() => navigate('/settings')}
+                className="p-2 text-secondary-600 hover:text-secondary-900 dark:text-secondary-400 dark:hover:text-secondary-100 transition-colors rounded-lg hover:bg-secondary-100 dark:hover:bg-secondary-800"
+                title="Settings"
+              >
+                <Settings className="w-4 h-4" />
+              </button>
+
               {/* Theme Toggle */}
               <button
                 onClick={toggleTheme}
@@ -0,0 +1,219 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Camera, Clock, GitCompare, RotateCcw, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import api from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const CURRENT = 'current';
+
+const snapshotLabel = (snapshot) => snapshot.name || `Automatic, ${new Date(snapshot.createdAt).toLocaleString()}`;
+
+// Named and automatic snapshots of a conversation: take, compare, restore as
+// a new conversation, delete. onDiff receives the diff to show in the tree.
+const SnapshotPanel = ({ conversationId, onDiff }) => {
+  const navigate = useNavigate();
+  const [snapshots, setSnapshots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [name, setName] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState(CURRENT);
+
+  const loadSnapshots = useCallback(async () => {
+    try {
+      const response = await api.get(`/conversations/${conversationId}/snapshots`);
+      setSnapshots(response.data.snapshots);
+      setFrom(prev => prev || response.data.snapshots[0]?._id || '');
+    } catch (error) {
+      console.error('Failed to load snapshots:', error);
+      toast.error(error.response?.data?.error || 'Failed to load snapshots');
+    } finally {
+      setLoading(false);
+    }
+  }, [conversationId]);
+
+  useEffect(() => {
+    loadSnapshots();
+  }, [loadSnapshots]);
+
+  const handleTake = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    try {
+      setBusy(true);
+      await api.post(`/conversations/${conversationId}/snapshots`, { name: name.trim() });
+      setName('');
+      toast.success('Snapshot saved');
+      await loadSnapshots();
+    } catch (error) {
+      console.error('Failed to save snapshot:', error);
+      toast.error(error.response?.data?.error || 'Failed to save snapshot');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCompare = async () => {
+    if (!from) return;
+
+    try {
+      setBusy(true);
+      const response = await api.get(`/conversations/${conversationId}/snapshots/diff`, { params: { from, to } });
+      onDiff(response.data);
+    } catch (error) {
+      console.error('Failed to compare snapshots:', error);
+      toast.error(error.response?.data?.error || 'Failed to compare snapshots');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRestore = async (snapshot) => {
+    try {
+      setBusy(true);
+      const response = await api.post(`/conversations/${conversationId}/snapshots/${snapshot._id}/restore`);
+      toast.success('Snapshot restored as a new conversation');
+      navigate(`/conversation/${response.data.conversation._id}`);
+    } catch (error) {
+      console.error('Failed to restore snapshot:', error);
+      toast.error(error.response?.data?.error || 'Failed to restore snapshot');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async (snapshot) => {
+    if (!window.confirm(`Delete the snapshot "${snapshotLabel(snapshot)}"?`)) return;
+
+    try {
+      setBusy(true);
+      await api.delete(`/conversations/${conversationId}/snapshots/${snapshot._id}`);
+      setFrom(prev => (prev === snapshot._id ? '' : prev));
+      setTo(prev => (prev === snapshot._id ? CURRENT : prev));
+      await loadSnapshots();
+    } catch (error) {
+      console.error('Failed to delete snapshot:', error);
+      toast.error(error.response?.data?.error || 'Failed to delete snapshot');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  const selectClass = "w-full text-sm p-2 border border-secondary-200 dark:border-secondary-700 rounded-lg bg-white dark:bg-secondary-800 text-secondary-900 dark:text-secondary-100";
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleTake}>
+        <h3 className="text-sm font-medium text-secondary-700 dark:text-secondary-300 mb-3">
+          Save a snapshot
+        </h3>
+        <div className="flex space-x-2">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Snapshot name"
+            maxLength={100}
+            className={selectClass}
+          />
+          <button
+            type="submit"
+            disabled={busy || !name.trim()}
+            className="px-3 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50"
+            title="Save snapshot"
+          >
+            <Camera className="w-4 h-4" />
+          </button>
+        </div>
+      </form>
+
+      {snapshots.length > 0 && (
+        <div>
+          <h3 className="text-sm font-medium text-secondary-700 dark:text-secondary-300 mb-3">
+            Compare
+          </h3>
+          <div className="space-y-2">
+            <select value={from} onChange={(e) => setFrom(e.target.value)} className={selectClass}>
+              {snapshots.map(snapshot => (
+                <option key={snapshot._id} value={snapshot._id}>{snapshotLabel(snapshot)}</option>
+              ))}
+            </select>
+            <select value={to} onChange={(e) => setTo(e.target.value)} className={selectClass}>
+              <option value={CURRENT}>Current tree</option>
+              {snapshots.map(snapshot => (
+                <option key={snapshot._id} value={snapshot._id}>{snapshotLabel(snapshot)}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleCompare}
+              disabled={busy || !from || from === to}
+              className="w-full btn btn-primary px-3 py-2 text-sm disabled:opacity-50"
+            >
+              <GitCompare className="w-4 h-4 mr-2" />
+              Show differences
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div>
+        <h3 className="text-sm font-medium text-secondary-700 dark:text-secondary-300 mb-3">
+          Snapshots
+        </h3>
+        {snapshots.length === 0 ? (
+          <p className="text-xs text-secondary-500 dark:text-secondary-400">
+            No snapshots yet. Automatic ones are taken as the conversation changes.
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {snapshots.map(snapshot => (
+              <div
+                key={snapshot._id}
+                className="flex items-center p-2 border border-secondary-200 dark:border-secondary-700 rounded-lg"
+              >
+                {snapshot.automatic
+                  ? <Clock className="w-4 h-4 text-secondary-400 mr-2 flex-shrink-0" />
+                  : <Camera className="w-4 h-4 text-primary-600 mr-2 flex-shrink-0" />}
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm text-secondary-900 dark:text-secondary-100 truncate">
+                    {snapshot.name || 'Automatic'}
+                  </div>
+                  <div className="text-xs text-secondary-500 dark:text-secondary-400">
+                    {new Date(snapshot.createdAt).toLocaleString()} • {snapshot.nodeCount} nodes
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRestore(snapshot)}
+                  disabled={busy}
+                  className="p-1 text-secondary-500 hover:text-secondary-700 dark:hover:text-secondary-300 transition-colors disabled:opacity-50"
+                  title="Restore as a new conversation"
+                >
+                  <RotateCcw className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleDelete(snapshot)}
+                  disabled={busy}
+                  className="p-1 text-secondary-400 hover:text-red-500 transition-colors disabled:opacity-50"
+                  title="Delete snapshot"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SnapshotPanel;
@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { GitBranch, MessageSquare, RotateCcw, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import api from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString();
+
+// Deleted conversations and subtrees, with restore and permanent delete.
+// onRestored is called after a conversation comes back so the dashboard
+// list can reload.
+const TrashView = ({ onRestored }) => {
+  const navigate = useNavigate();
+  const [trash, setTrash] = useState({ conversations: [], subtrees: [], retentionDays: null });
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  const loadTrash = useCallback(async () => {
+    try {
+      const response = await api.get('/conversations/trash');
+      setTrash(response.data);
+    } catch (error) {
+      console.error('Failed to load trash:', error);
+      toast.error(error.response?.data?.error || 'Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  // Run a trash action, then reload the trash
+  const runAction = useCallback(async (action, failureMessage) => {
+    try {
+      setBusy(true);
+      await action();
+      await loadTrash();
+    } catch (error) {
+      console.error(`${failureMessage}:`, error);
+      toast.error(error.response?.data?.error || failureMessage);
+    } finally {
+      setBusy(false);
+    }
+  }, [loadTrash]);
+
+  const handleRestoreConversation = (conversation) => runAction(async () => {
+    await api.post(`/conversations/trash/conversations/${conversation._id}/restore`);
+    toast.success(`Restored "${conversation.title}"`);
+    if (onRestored) onRestored();
+  }, 'Failed to restore conversation');
+
+  const handleDeleteConversation = (conversation) => {
+    if (!window.confirm(`Permanently delete "${conversation.title}"? This cannot be undone.`)) return;
+    runAction(async () => {
+      await api.delete(`/conversations/trash/conversations/${conversation._id}`);
+      toast.success('Conversation permanently deleted');
+    }, 'Failed to delete conversation');
+  };
+
+  const handleRestoreSubtree = (subtree) => runAction(async () => {
+    const response = await api.post(`/conversations/trash/subtrees/${subtree._id}/restore`);
+    toast.success(response.data.originalParent
+      ? `Restored into "${subtree.conversationTitle}"`
+      : `Its parent is gone; restored under the root of "${subtree.conversationTitle}"`);
+  }, 'Failed to restore subtree');
+
+  const handleDeleteSubtree = (subtree) => {
+    if (!window.confirm('Permanently delete this subtree? This cannot be undone.')) return;
+    runAction(async () => {
+      await api.delete(`/conversations/trash/subtrees/${subtree._id}`);
+      toast.success('Subtree permanently deleted');
+    }, 'Failed to delete subtree');
+  };
+
+  const handleEmpty = () => {
+    if (!window.confirm('Permanently delete everything in the trash? This cannot be undone.')) return;
+    runAction(async () => {
+      await api.delete('/conversations/trash');
+      toast.success('Trash emptied');
+    }, 'Failed to empty trash');
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  const isEmpty = trash.conversations.length === 0 && trash.subtrees.length === 0;
+
+  const renderItem = ({ key, icon: Icon, title, details, expiresAt, onRestore, onDelete, onOpen }) => (
+    <div
+      key={key}
+      className="flex items-center p-4 bg-white/80 dark:bg-secondary-900/80 backdrop-blur-sm rounded-lg border border-secondary-200 dark:border-secondary-700 shadow-sm"
+    >
+      <Icon className="w-5 h-5 text-secondary-400 mr-3 flex-shrink-0" />
+      <div className="flex-1 min-w-0">
+        <h3 className="font-semibold text-secondary-900 dark:text-secondary-100 truncate">
+          {title}
+        </h3>
+        <p className="text-sm text-secondary-600 dark:text-secondary-400 truncate">
+          {details}
+          {onOpen && (
+            <button onClick={onOpen} className="ml-1 text-primary-600 dark:text-primary-400 hover:underline">
+              Open conversation
+            </button>
+          )}
+        </p>
+      </div>
+      <span className="text-xs text-secondary-500 dark:text-secondary-400 mx-4 whitespace-nowrap">
+        Deleted forever on {formatDate(expiresAt)}
+      </span>
+      <button
+        onClick={onRestore}
+        disabled={busy}
+        className="btn btn-ghost px-3 py-2 text-sm disabled:opacity-50"
+      >
+        <RotateCcw className="w-4 h-4 mr-2" />
+        Restore
+      </button>
+      <button
+        onClick={onDelete}
+        disabled={busy}
+        className="p-2 text-secondary-400 hover:text-red-500 transition-colors disabled:opacity-50"
+        title="Delete forever"
+      >
+        <Trash2 className="w-4 h-4" />
+      </button>
+    </div>
+  );
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <p className="text-sm text-secondary-600 dark:text-secondary-400">
+          Deleted conversations and branches are kept for {trash.retentionDays} days.
+        </p>
+        <button
+          onClick={handleEmpty}
+          disabled={busy || isEmpty}
+          className="btn btn-ghost px-3 py-2 text-sm text-red-600 disabled:opacity-50"
+        >
+          <Trash2 className="w-4 h-4 mr-2" />
+          Empty trash
+        </button>
+      </div>
+
+      {isEmpty ? (
+        <div className="text-center py-12">
+          <Trash2 className="w-16 h-16 text-secondary-400 mx-auto mb-4" />
+          <h3 className="text-xl font-semibold text-secondary-900 dark:text-secondary-100">
+            The trash is empty
+          </h3>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {trash.conversations.map(conversation => renderItem({
+            key: conversation._id,
+            icon: MessageSquare,
+            title: conversation.title,
+            details: `Conversation • ${conversation.nodeCount || 0} nodes • deleted ${formatDate(conversation.deletedAt)}`,
+            expiresAt: conversation.expiresAt,
+            onRestore: () => handleRestoreConversation(conversation),
+            onDelete: () => handleDeleteConversation(conversation)
+          }))}
+          {trash.subtrees.map(subtree => renderItem({
+            key: subtree._id,
+            icon: GitBranch,
+            title: subtree.title || 'Untitled node',
+            details: `${subtree.nodeCount} node${subtree.nodeCount === 1 ? '' : 's'} from "${subtree.conversationTitle}" • deleted ${formatDate(subtree.deletedAt)} •`,
+            expiresAt: subtree.expiresAt,
+            onRestore: () => handleRestoreSubtree(subtree),
+            onDelete: () => handleDeleteSubtree(subtree),
+            onOpen: () => navigate(`/conversation/${subtree.conversationId}`)
+          }))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrashView;
@@ -0,0 +1,138 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { BarChart3 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import api from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const RANGES = [
+  { label: '7 days', days: 7 },
+  { label: '30 days', days: 30 },
+  { label: '90 days', days: 90 }
+];
+
+const formatNumber = (value) => (value || 0).toLocaleString();
+
+// Token usage for the current user over a selectable range, with quota bars
+const UsageSummary = () => {
+  const [usage, setUsage] = useState(null);
+  const [days, setDays] = useState(30);
+  const [loading, setLoading] = useState(true);
+
+  const loadUsage = useCallback(async () => {
+    try {
+      setLoading(true);
+      const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      const response = await api.get('/usage/me', { params: { from } });
+      setUsage(response.data);
+    } catch (error) {
+      console.error('Failed to load usage:', error);
+      toast.error('Failed to load usage');
+    } finally {
+      setLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    loadUsage();
+  }, [loadUsage]);
+
+  const maxSeriesTokens = Math.max(1, ...(usage?.series || []).map(point => point.tokens));
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center space-x-2">
+          <BarChart3 className="w-5 h-5 text-primary-600" />
+          <h2 className="text-lg font-semibold text-secondary-900 dark:text-secondary-100">
+            Usage
+          </h2>
+        </div>
+        <select
+          value={days}
+          onChange={(e) => setDays(parseInt(e.target.value))}
+          className="p-1 border border-secondary-200 dark:border-secondary-700 rounded-md bg-white dark:bg-secondary-800 text-secondary-900 dark:text-secondary-100 text-sm"
+        >
+          {RANGES.map(range => (
+            <option key={range.days} value={range.days}>Last {range.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading || !usage ? (
+        <div className="flex items-center justify-center h-32">
+          <LoadingSpinner />
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div className="grid grid-cols-3 gap-3">
+            {[
+              ['Tokens', usage.totals.tokens],
+              ['Requests', usage.totals.requests],
+              ['Cached', usage.totals.cachedRequests]
+            ].map(([label, value]) => (
+              <div key={label} className="p-3 border border-secondary-200 dark:border-secondary-700 rounded-lg bg-white dark:bg-secondary-800">
+                <div className="text-xs text-secondary-500 dark:text-secondary-400">{label}</div>
+                <div className="text-lg font-semibold text-secondary-900 dark:text-secondary-100">{formatNumber(value)}</div>
+              </div>
+            ))}
+          </div>
+
+          {usage.unlimited ? (
+            <p className="text-sm text-secondary-600 dark:text-secondary-400">Admins have no token quota.</p>
+          ) : usage.quota.map(limit => (
+            <div key={`${limit.scope}-${limit.period}`}>
+              <div className="flex justify-between text-xs text-secondary-600 dark:text-secondary-400 mb-1">
+                <span>{limit.period === 'day' ? 'Daily' : 'Monthly'} quota</span>
+                <span>{formatNumber(limit.used)} / {formatNumber(limit.limit)} tokens</span>
+              </div>
+              <div className="h-2 rounded-full bg-secondary-200 dark:bg-secondary-700 overflow-hidden">
+                <div
+                  className={`h-full ${limit.remaining === 0 ? 'bg-red-500' : 'bg-primary-600'}`}
+                  style={{ width: `${Math.min(100, (limit.used / Math.max(1, limit.limit)) * 100)}%` }}
+                />
+              </div>
+            </div>
+          ))}
+
+          {usage.series.length > 0 && (
+            <div className="flex items-end h-24 space-x-1">
+              {usage.series.map(point => (
+                <div
+                  key={point.period}
+                  className="flex-1 bg-primary-400 dark:bg-primary-600 rounded-t"
+                  style={{ height: `${Math.max(2, (point.tokens / maxSeriesTokens) * 100)}%` }}
+                  title={`${point.period}: ${formatNumber(point.tokens)} tokens, ${point.requests} requests`}
+                />
+              ))}
+            </div>
+          )}
+
+          {usage.byProvider.length > 0 && (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-secondary-500 dark:text-secondary-400">
+                  <th className="pb-1 font-medium">Provider</th>
+                  <th className="pb-1 font-medium">Model</th>
+                  <th className="pb-1 font-medium text-right">Requests</th>
+                  <th className="pb-1 font-medium text-right">Tokens</th>
+                </tr>
+              </thead>
+              <tbody className="text-secondary-900 dark:text-secondary-100">
+                {usage.byProvider.map(row => (
+                  <tr key={`${row.provider}-${row.model}`}>
+                    <td className="py-1">{row.provider}</td>
+                    <td className="py-1 truncate">{row.model || 'default'}</td>
+                    <td className="py-1 text-right">{formatNumber(row.requests)}</td>
+                    <td className="py-1 text-right">{formatNumber(row.tokens)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UsageSummary;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import CacheAdmin from '../components/CacheAdmin';
+
+const Admin = () => {
+  return (
+    <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="mb-8">
+        <motion.h1
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-3xl font-bold text-secondary-900 dark:text-secondary-100 mb-2"
+        >
+          Admin
+        </motion.h1>
+        <motion.p
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.1 }}
+          className="text-secondary-600 dark:text-secondary-400"
+        >
+          Inspect and manage server-wide caches
+        </motion.p>
+      </div>
+
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.2 }}
+      >
+        <CacheAdmin />
+      </motion.div>
+    </div>
+  );
+};
+
+export default Admin;
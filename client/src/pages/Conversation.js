@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
@@ -12,7 +12,14 @@ import {
   Brain,
   Globe,
   Server,
-  MessageSquare
+  MessageSquare,
+  Cpu,
+  Sparkles,
+  GitMerge,
+  Undo2,
+  Redo2,
+  History,
+  X
 } from 'lucide-react';
 import { ReactFlowProvider } from 'reactflow';
 import toast from 'react-hot-toast';
@@ -20,9 +27,24 @@ import ConversationTree from '../components/ConversationTree';
 import LoadingSpinner from '../components/LoadingSpinner';
 import AdSlot from '../components/AdSlot';
 import LMStudioGuide from '../components/LMStudioGuide';
+import SnapshotPanel from '../components/SnapshotPanel';
+import GenerationSettings, { defaultGenerationSettings, toGenerationParameters } from '../components/GenerationSettings';
 // import { useAuth } from '../hooks/useAuth';
 import { cn } from '../utils/cn';
 import api from '../services/api';
+import { streamRequest } from '../services/stream';
+
+// Icons for the provider list returned by the server
+const providerIcons = { Brain, Zap, Globe, Server, MessageSquare, Cpu, Sparkles };
+
+// How undo/redo toasts name each kind of logged operation
+const operationLabels = {
+  branch: 'new branch',
+  delete: 'delete',
+  title: 'title change',
+  settings: 'settings change',
+  move: 'move'
+};
 
 const Conversation = () => {
   const { id } = useParams();
@@ -33,6 +55,8 @@ const Conversation = () => {
   const [loading, setLoading] = useState(true);
   const [sending, setSending] = useState(false);
   const [pendingParentId, setPendingParentId] = useState(null);
+  const [regeneratingNodeId, setRegeneratingNodeId] = useState(null);
+  const [streamingText, setStreamingText] = useState('');
   const [prompt, setPrompt] = useState('');
   const [selectedProvider, setSelectedProvider] = useState(
     process.env.REACT_APP_FREE_MODE === 'true' ? 'openrouter' : 'google'
@@ -41,9 +65,17 @@ const Conversation = () => {
     process.env.REACT_APP_FREE_MODE === 'true' ? 'openai/gpt-oss-20b:free' : 'gemini-1.5-flash'
   );
   const [showSettings, setShowSettings] = useState(false);
+  const [showSnapshots, setShowSnapshots] = useState(false);
+  // Snapshot diff shown in place of the live tree
+  const [diff, setDiff] = useState(null);
   const [selectedNodes, setSelectedNodes] = useState([]);
   const [treeLayout, setTreeLayout] = useState('vertical'); // 'horizontal' or 'vertical'
   const [focusNodeId, setFocusNodeId] = useState(null);
+  const [apiProviders, setApiProviders] = useState([]);
+  const [generationSettings, setGenerationSettings] = useState(defaultGenerationSettings);
+  const [freshAnswers, setFreshAnswers] = useState(false);
+  // In-flight branch generation: { id, controller }
+  const generationRef = useRef(null);
 
   // ReactFlow selection propagation with guard (commented out for now)
   // const handleFlowSelectionChange = useCallback((nodeIds) => {
@@ -64,6 +96,9 @@ const Conversation = () => {
   useEffect(() => {
     console.log('Conversation useEffect - id:', id);
     
+    // A diff belongs to the conversation it was taken from
+    setDiff(null);
+
     const loadConversation = async () => {
       try {
         setLoading(true);
@@ -92,6 +127,30 @@ const Conversation = () => {
     }
   }, [id, navigate]);
 
+  // Load configured AI providers (already filtered for FREE_MODE by the server)
+  useEffect(() => {
+    const loadProviders = async () => {
+      try {
+        const response = await api.get('/ai/providers');
+        const providers = response.data.providers || [];
+        setApiProviders(providers);
+        setSelectedProvider(prev => (
+          providers.length === 0 || providers.some(p => p.id === prev) ? prev : providers[0].id
+        ));
+      } catch (error) {
+        console.error('Failed to load AI providers:', error);
+        toast.error('Failed to load AI providers');
+      }
+    };
+
+    loadProviders();
+  }, []);
+
+  // Stop any running generation when leaving the page
+  useEffect(() => () => {
+    generationRef.current?.controller.abort();
+  }, []);
+
   // Handle new conversation creation
   const handleNewConversation = useCallback(async () => {
     if (!prompt.trim()) {
@@ -112,7 +171,9 @@ const Conversation = () => {
         title: prompt.substring(0, 50) + '...',
         prompt: prompt.trim(),
         provider: selectedProvider,
-        model: selectedModel
+        model: selectedModel,
+        parameters: toGenerationParameters(generationSettings),
+        refresh: freshAnswers
       });
 
       console.log('Conversation created successfully:', response.data);
@@ -133,11 +194,15 @@ const Conversation = () => {
     } catch (error) {
       console.error('Failed to create conversation:', error);
       console.error('Error details:', error.response?.data);
-      toast.error(`Failed to create conversation: ${error.response?.data?.error || error.message}`);
+      if (error.response?.status === 429) {
+        toast.error(error.response.data.message || 'Token quota exceeded');
+      } else {
+        toast.error(`Failed to create conversation: ${error.response?.data?.details?.join(', ') || error.response?.data?.error || error.message}`);
+      }
     } finally {
       setSending(false);
     }
-  }, [prompt, selectedProvider, selectedModel, navigate]);
+  }, [prompt, selectedProvider, selectedModel, generationSettings, freshAnswers, navigate]);
 
   // Handle branching
   const handleBranch = useCallback(async (parentId, selectedText, branchPrompt = null) => {
@@ -148,18 +213,33 @@ const Conversation = () => {
       return;
     }
 
+    const controller = new AbortController();
+    generationRef.current = { id: null, controller };
+
     try {
       setSending(true);
       setPendingParentId(parentId);
-      const response = await api.post(`/conversations/${id}/branches`, {
+      setStreamingText('');
+      const result = await streamRequest(`/conversations/${id}/branches/stream`, {
         parentId,
         selectedText,
         prompt: promptToUse,
         provider: selectedProvider,
-        model: selectedModel
+        model: selectedModel,
+        parameters: toGenerationParameters(generationSettings),
+        refresh: freshAnswers
+      }, {
+        signal: controller.signal,
+        onEvent: (event, data) => {
+          if (event === 'start') {
+            generationRef.current = { id: data.generationId, controller };
+          } else if (event === 'delta') {
+            setStreamingText(prev => prev + data.content);
+          }
+        }
       });
 
-      const updated = response.data.conversation;
+      const updated = result.conversation;
       setConversation(updated);
       setPrompt('');
       toast.success('Branch created!');
@@ -176,20 +256,232 @@ const Conversation = () => {
         }
       } catch {}
     } catch (error) {
+      if (error.cancelled || error.name === 'AbortError') {
+        toast('Generation stopped');
+        return;
+      }
       console.error('Failed to create branch:', error);
-      toast.error('Failed to create branch');
+      toast.error(error.response?.data?.details?.join(', ') || error.response?.data?.message || 'Failed to create branch');
+    } finally {
+      generationRef.current = null;
+      setSending(false);
+      setPendingParentId(null);
+      setStreamingText('');
+    }
+  }, [id, prompt, selectedProvider, selectedModel, generationSettings, freshAnswers]);
+
+  // Re-ask a node's prompt with the current provider, model and parameters;
+  // the new answer becomes the node's active version
+  const handleRegenerate = useCallback(async (nodeId) => {
+    const controller = new AbortController();
+    generationRef.current = { id: null, controller };
+
+    try {
+      setSending(true);
+      setRegeneratingNodeId(nodeId);
+      const response = await api.post(`/conversations/${id}/nodes/${nodeId}/regenerate`, {
+        provider: selectedProvider,
+        model: selectedModel,
+        parameters: toGenerationParameters(generationSettings)
+      }, { signal: controller.signal });
+
+      setConversation(response.data.conversation);
+      toast.success('Response regenerated');
+    } catch (error) {
+      if (error.response?.status === 499 || error.name === 'CanceledError') {
+        toast('Generation stopped');
+        return;
+      }
+      console.error('Failed to regenerate node:', error);
+      toast.error(error.response?.data?.details?.join(', ') || error.response?.data?.message || 'Failed to regenerate response');
+    } finally {
+      generationRef.current = null;
+      setSending(false);
+      setRegeneratingNodeId(null);
+    }
+  }, [id, selectedProvider, selectedModel, generationSettings]);
+
+  // Change a node's prompt and regenerate it, optionally re-running its
+  // descendants; the server reports progress node by node
+  const handlePromptEdit = useCallback(async (nodeId, newPrompt, rerunDescendants) => {
+    const controller = new AbortController();
+    generationRef.current = { id: null, controller };
+    const toastId = toast.loading('Regenerating...');
+    let partial = null;
+
+    try {
+      setSending(true);
+      setRegeneratingNodeId(nodeId);
+      const result = await streamRequest(`/conversations/${id}/nodes/${nodeId}/prompt/stream`, {
+        prompt: newPrompt,
+        rerunDescendants,
+        provider: selectedProvider,
+        model: selectedModel,
+        parameters: toGenerationParameters(generationSettings)
+      }, {
+        signal: controller.signal,
+        onEvent: (event, data) => {
+          if (event === 'start') {
+            generationRef.current = { id: data.generationId, controller };
+          } else if (event === 'progress') {
+            setRegeneratingNodeId(data.nodeId);
+            toast.loading(`Regenerating ${data.index + 1} of ${data.total}...`, { id: toastId });
+          } else if (event === 'cancelled' || event === 'error') {
+            partial = data.conversation;
+          }
+        }
+      });
+
+      setConversation(result.conversation);
+      toast.success(`Regenerated ${result.regenerated.length} node${result.regenerated.length === 1 ? '' : 's'}`, { id: toastId });
+    } catch (error) {
+      // Nodes finished before the stop keep their new answers
+      if (partial) {
+        setConversation(partial);
+      } else {
+        api.get(`/conversations/${id}`)
+          .then(response => setConversation(response.data.conversation))
+          .catch(() => {});
+      }
+      if (error.cancelled || error.name === 'AbortError') {
+        toast('Regeneration stopped', { id: toastId });
+        return;
+      }
+      console.error('Failed to edit prompt:', error);
+      toast.error(error.response?.data?.details?.join(', ') || error.response?.data?.message || 'Failed to edit prompt', { id: toastId });
+    } finally {
+      generationRef.current = null;
+      setSending(false);
+      setRegeneratingNodeId(null);
+    }
+  }, [id, selectedProvider, selectedModel, generationSettings]);
+
+  // Ask the model to synthesize or compare the selected branches; the prompt
+  // box, if filled, replaces the default instructions
+  const handleMerge = useCallback(async (mode) => {
+    if (selectedNodes.length < 2) {
+      toast.error('Select at least two nodes to merge');
+      return;
+    }
+
+    const controller = new AbortController();
+    generationRef.current = { id: null, controller };
+
+    try {
+      setSending(true);
+      setPendingParentId(selectedNodes[0]);
+      const response = await api.post(`/conversations/${id}/merges`, {
+        nodeIds: selectedNodes,
+        mode,
+        prompt: prompt.trim() || undefined,
+        provider: selectedProvider,
+        model: selectedModel,
+        parameters: toGenerationParameters(generationSettings),
+        refresh: freshAnswers
+      }, { signal: controller.signal });
+
+      setConversation(response.data.conversation);
+      setPrompt('');
+      setSelectedNodes([response.data.node.id]);
+      toast.success(mode === 'compare' ? 'Comparison created!' : 'Synthesis created!');
+    } catch (error) {
+      if (error.response?.status === 499 || error.name === 'CanceledError') {
+        toast('Generation stopped');
+        return;
+      }
+      console.error('Failed to merge nodes:', error);
+      toast.error(error.response?.data?.details?.join(', ') || error.response?.data?.message || error.response?.data?.error || 'Failed to merge nodes');
     } finally {
+      generationRef.current = null;
       setSending(false);
       setPendingParentId(null);
     }
-  }, [id, prompt, selectedProvider, selectedModel]);
+  }, [id, selectedNodes, prompt, selectedProvider, selectedModel, generationSettings, freshAnswers]);
+
+  // Move a node (and its subtree) under another parent or to another position
+  const handleMoveNode = useCallback(async (nodeId, parentId, index) => {
+    if (nodeId === conversation?.rootNodeId) {
+      toast.error('The root node cannot be moved');
+      return;
+    }
+
+    try {
+      const response = await api.patch(`/conversations/${id}/nodes/${nodeId}/parent`, { parentId, index });
+      setConversation(response.data.conversation);
+      toast.success('Node moved');
+    } catch (error) {
+      console.error('Failed to move node:', error);
+      toast.error(error.response?.data?.error || 'Failed to move node');
+      // Put the dragged node back where the layout wants it
+      setConversation(prev => (prev ? { ...prev } : prev));
+    }
+  }, [id, conversation]);
+
+  // Conversations a subtree can be copied or moved into
+  const loadTransferTargets = useCallback(async () => {
+    const response = await api.get('/conversations');
+    return response.data.conversations.filter(item => item._id !== id);
+  }, [id]);
+
+  // Copy or move a node and its descendants into a new conversation, or under
+  // the root of another one
+  const handleTransferSubtree = useCallback(async (nodeId, { conversationId, mode }) => {
+    try {
+      setSending(true);
+      if (!conversationId) {
+        const response = await api.post(`/conversations/${id}/nodes/${nodeId}/extract`, { mode });
+        toast.success(mode === 'move' ? 'Subtree moved to a new conversation' : 'Subtree copied to a new conversation');
+        navigate(`/conversation/${response.data.conversation._id}`);
+        return;
+      }
+
+      const response = await api.post(`/conversations/${id}/nodes/${nodeId}/graft`, { conversationId, mode });
+      if (response.data.source) {
+        setConversation(response.data.source);
+        setSelectedNodes(prev => prev.filter(selectedId => selectedId !== nodeId));
+      }
+      toast.success(`Subtree ${mode === 'move' ? 'moved' : 'copied'} to "${response.data.conversation.title}"`);
+    } catch (error) {
+      console.error('Failed to transfer subtree:', error);
+      toast.error(error.response?.data?.error || 'Failed to transfer subtree');
+    } finally {
+      setSending(false);
+    }
+  }, [id, navigate]);
+
+  // Show another stored version of a node's answer
+  const handleSelectVersion = useCallback(async (nodeId, version) => {
+    try {
+      const response = await api.patch(`/conversations/${id}/nodes/${nodeId}/version`, { version });
+      setConversation(response.data.conversation);
+    } catch (error) {
+      console.error('Failed to switch version:', error);
+      toast.error(error.response?.data?.error || 'Failed to switch version');
+    }
+  }, [id]);
+
+  // Stop the branch currently being generated
+  const handleCancelGeneration = useCallback(async () => {
+    const generation = generationRef.current;
+    if (!generation) return;
+
+    if (generation.id) {
+      try {
+        await api.post(`/ai/generations/${generation.id}/cancel`);
+      } catch (error) {
+        // Already finished or the connection is gone; aborting below is enough
+        console.error('Failed to cancel generation:', error);
+      }
+    }
+    generation.controller.abort();
+  }, []);
 
   // Handle node deletion
   const handleDeleteNode = useCallback(async (nodeId) => {
     if (!conversation) return;
 
     // Confirm deletion
-    if (!window.confirm('Are you sure you want to delete this node and all its descendants? This action cannot be undone.')) {
+    if (!window.confirm('Are you sure you want to delete this node and all its descendants? You can undo this with Ctrl+Z or restore it from the trash.')) {
       return;
     }
 
@@ -199,7 +491,7 @@ const Conversation = () => {
 
       setConversation(response.data.conversation);
       setSelectedNodes(prev => prev.filter(id => id !== nodeId));
-      toast.success('Node deleted successfully!');
+      toast.success('Node moved to the trash');
     } catch (error) {
       console.error('Failed to delete node:', error);
       toast.error(error.response?.data?.error || 'Failed to delete node');
@@ -228,6 +520,87 @@ const Conversation = () => {
     }
   }, [id, conversation]);
 
+  // Handle conversation settings update (server replaces the whole settings object)
+  const handleSettingsUpdate = useCallback(async (changes) => {
+    if (!conversation) return;
+
+    try {
+      const response = await api.patch(`/conversations/${id}/settings`, {
+        settings: { ...conversation.settings, ...changes }
+      });
+
+      setConversation(response.data.conversation);
+    } catch (error) {
+      console.error('Failed to update settings:', error);
+      toast.error(error.response?.data?.error || 'Failed to update settings');
+    }
+  }, [id, conversation]);
+
+  // Save hand-placed node positions. The tree already shows them, so the
+  // local copy is updated right away and the request runs in the background.
+  const handleSavePositions = useCallback(async (positions) => {
+    const place = (node) => (positions[node.id] ? { ...node, position: positions[node.id] } : node);
+    const placeTree = (nodes) => nodes.map(node => ({ ...place(node), children: placeTree(node.children || []) }));
+    setConversation(prev => (prev ? {
+      ...prev,
+      nodes: (prev.nodes || []).map(place),
+      treeStructure: placeTree(prev.treeStructure || [])
+    } : prev));
+
+    try {
+      await api.put(`/conversations/${id}/positions`, { positions });
+    } catch (error) {
+      console.error('Failed to save node positions:', error);
+      toast.error(error.response?.data?.error || 'Failed to save node positions');
+    }
+  }, [id]);
+
+  // Undo or redo the latest change through the server's operation log
+  const handleHistory = useCallback(async (direction) => {
+    try {
+      setSending(true);
+      const response = await api.post(`/conversations/${id}/${direction}`);
+      const { conversation: updated, operation } = response.data;
+
+      setConversation(updated);
+      setSelectedNodes(prev => prev.filter(nodeId => updated.nodes.some(node => node.id === nodeId)));
+      toast.success(`${direction === 'undo' ? 'Undid' : 'Redid'} ${operationLabels[operation.type] || 'change'}`);
+    } catch (error) {
+      console.error(`Failed to ${direction}:`, error);
+      toast.error(error.response?.data?.error || `Failed to ${direction}`);
+      // An operation that no longer applied was dropped; refresh what can be undone
+      if (error.response?.status === 409) {
+        api.get(`/conversations/${id}`)
+          .then(response => setConversation(response.data.conversation))
+          .catch(() => {});
+      }
+    } finally {
+      setSending(false);
+    }
+  }, [id]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y), except while typing, where the text
+  // field's own undo applies
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || sending) return;
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey && conversation?.history?.canUndo) {
+        e.preventDefault();
+        handleHistory('undo');
+      } else if (((key === 'z' && e.shiftKey) || key === 'y') && conversation?.history?.canRedo) {
+        e.preventDefault();
+        handleHistory('redo');
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [handleHistory, sending, conversation]);
+
   // Handle node selection
   const handleNodeSelect = useCallback((nodeId, isMultiSelect = false) => {
     console.log('Node selected:', nodeId, 'isMultiSelect:', isMultiSelect);
@@ -324,61 +697,18 @@ const Conversation = () => {
     }
   }, [conversation, id]);
 
-  // API Providers configuration
-  const allApiProviders = [
-    { id: 'lmstudio', name: 'LM Studio', icon: Brain, description: 'Local AI (127.0.0.1:1234)' },
-    { id: 'openai', name: 'OpenAI', icon: Zap, description: 'GPT-3.5/4 Models' },
-    { id: 'google', name: 'Google AI', icon: Globe, description: 'Gemini Models' },
-    { id: 'groq', name: 'Groq', icon: Server, description: 'Fast Inference' },
-    { id: 'openrouter', name: 'OpenRouter', icon: MessageSquare, description: 'Free AI Models' }
-  ];
-
-  // Filter providers based on FREE_MODE
-  const apiProviders = process.env.REACT_APP_FREE_MODE === 'true' 
-    ? allApiProviders.filter(p => ['lmstudio', 'openrouter'].includes(p.id))
-    : allApiProviders;
-
-  const allModels = {
-    lmstudio: ['gpt-3.5-turbo', 'gpt-4', 'llama-2-7b', 'llama-2-13b', 'openai/gpt-oss-20b'],
-    openai: ['gpt-3.5-turbo', 'gpt-4', 'gpt-4-turbo'],
-    google: [
-      'gemini-1.5-flash',      // Cheapest, fastest
-      'gemini-1.5-flash-exp',  // Experimental version
-      'gemini-2.0-flash',      // Newer, still cost-effective
-      'gemini-1.5-pro',        // More capable, higher cost
-      'gemini-1.0-pro',        // Legacy
-      'gemini-pro'             // Original
-    ],
-    groq: ['llama2-70b-4096', 'mixtral-8x7b-32768', 'gemma-7b-it'],
-    openrouter: [
-      // Free models available on OpenRouter
-      'openai/gpt-oss-20b:free',
-      'z-ai/glm-4.5-air:free',
-      'qwen/qwen3-coder:free',
-      'moonshotai/kimi-k2:free',
-      'cognitivecomputations/dolphin-mistral-24b-venice-edition:free',
-      'google/gemma-3n-e2b-it:free'
-    ]
-  };
-
-  // Filter models based on FREE_MODE
-  const models = process.env.REACT_APP_FREE_MODE === 'true' 
-    ? {
-        lmstudio: allModels.lmstudio,
-        openrouter: allModels.openrouter.filter(model => model.includes(':free'))
-      }
-    : allModels;
+  const models = apiProviders.reduce((acc, provider) => {
+    acc[provider.id] = provider.models || [];
+    return acc;
+  }, {});
 
   // Set default models based on provider
   React.useEffect(() => {
-    if (selectedProvider === 'lmstudio') {
-      setSelectedModel('openai/gpt-oss-20b');
-    } else if (selectedProvider === 'google') {
-      setSelectedModel('gemini-1.5-flash'); // Default option
-    } else if (selectedProvider === 'openrouter') {
-      setSelectedModel('openai/gpt-oss-20b:free'); // Popular free model
+    const provider = apiProviders.find(p => p.id === selectedProvider);
+    if (provider?.defaultModel) {
+      setSelectedModel(provider.defaultModel);
     }
-  }, [selectedProvider]);
+  }, [selectedProvider, apiProviders]);
 
   console.log('Conversation component render - loading:', loading, 'conversation:', conversation);
   
@@ -413,6 +743,22 @@ const Conversation = () => {
         </div>
         
         <div className="flex items-center space-x-2">
+          <button
+            onClick={() => handleHistory('undo')}
+            disabled={!conversation?.history?.canUndo || sending}
+            className="p-2 text-secondary-600 hover:text-secondary-900 dark:text-secondary-400 dark:hover:text-secondary-100 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+            title="Undo (Ctrl+Z)"
+          >
+            <Undo2 className="w-5 h-5" />
+          </button>
+          <button
+            onClick={() => handleHistory('redo')}
+            disabled={!conversation?.history?.canRedo || sending}
+            className="p-2 text-secondary-600 hover:text-secondary-900 dark:text-secondary-400 dark:hover:text-secondary-100 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            <Redo2 className="w-5 h-5" />
+          </button>
           <button
             onClick={() => setShowSettings(!showSettings)}
             className="p-2 text-secondary-600 hover:text-secondary-900 dark:text-secondary-400 dark:hover:text-secondary-100 transition-colors"
@@ -420,6 +766,19 @@ const Conversation = () => {
           >
             <Settings className="w-5 h-5" />
           </button>
+          <button
+            onClick={() => setShowSnapshots(!showSnapshots)}
+            disabled={!conversation}
+            className={cn(
+              "p-2 transition-colors disabled:opacity-40 disabled:cursor-not-allowed",
+              showSnapshots
+                ? "text-primary-600 hover:text-primary-700 dark:text-primary-400 dark:hover:text-primary-300"
+                : "text-secondary-600 hover:text-secondary-900 dark:text-secondary-400 dark:hover:text-secondary-100"
+            )}
+            title="Snapshots"
+          >
+            <History className="w-5 h-5" />
+          </button>
           <button
             onClick={handleShare}
             className={`p-2 transition-colors ${
@@ -460,7 +819,7 @@ const Conversation = () => {
                   </h3>
                   <div className="space-y-2">
                     {apiProviders.map(provider => {
-                      const Icon = provider.icon;
+                      const Icon = providerIcons[provider.icon] || Server;
                       return (
                         <button
                           key={provider.id}
@@ -479,6 +838,9 @@ const Conversation = () => {
                             </div>
                             <div className="text-xs text-secondary-500 dark:text-secondary-400">
                               {provider.description}
+                              {provider.hasUserKey && (
+                                <span className="ml-1 text-green-600 dark:text-green-400">• your key</span>
+                              )}
                             </div>
                           </div>
                         </button>
@@ -514,6 +876,40 @@ const Conversation = () => {
                   </select>
                 </div>
 
+                {/* Generation Parameters */}
+                <GenerationSettings
+                  value={generationSettings}
+                  onChange={setGenerationSettings}
+                />
+
+                {/* Response Cache */}
+                <div>
+                  <h3 className="text-sm font-medium text-secondary-700 dark:text-secondary-300 mb-3">
+                    Response Cache
+                  </h3>
+                  <label className="flex items-center justify-between text-sm text-secondary-700 dark:text-secondary-300">
+                    <span>Always ask for a fresh answer</span>
+                    <input
+                      type="checkbox"
+                      checked={freshAnswers}
+                      onChange={(e) => setFreshAnswers(e.target.checked)}
+                    />
+                  </label>
+                  {conversation && (
+                    <label className="flex items-center justify-between mt-2 text-sm text-secondary-700 dark:text-secondary-300">
+                      <span>Cache this conversation</span>
+                      <input
+                        type="checkbox"
+                        checked={conversation.settings?.cacheEnabled !== false}
+                        onChange={(e) => handleSettingsUpdate({ cacheEnabled: e.target.checked })}
+                      />
+                    </label>
+                  )}
+                  <p className="text-xs text-secondary-500 dark:text-secondary-400 mt-2">
+                    Identical prompts with the same context and settings reuse earlier answers
+                  </p>
+                </div>
+
                 {/* Tree Layout Selection */}
                 <div>
                   <h3 className="text-sm font-medium text-secondary-700 dark:text-secondary-300 mb-3">
@@ -563,8 +959,128 @@ const Conversation = () => {
                       </div>
                     </button>
                   </div>
+                  {conversation && (
+                    <>
+                      <label className="flex items-center justify-between mt-3 text-sm text-secondary-700 dark:text-secondary-300">
+                        <span>Arrange nodes automatically</span>
+                        <input
+                          type="checkbox"
+                          checked={conversation.settings?.autoLayout !== false}
+                          onChange={(e) => handleSettingsUpdate({ autoLayout: e.target.checked })}
+                        />
+                      </label>
+                      <p className="text-xs text-secondary-500 dark:text-secondary-400 mt-2">
+                        When off, nodes stay where you drag them
+                      </p>
+                    </>
+                  )}
                 </div>
 
+                {/* Branch Context */}
+                {conversation && (
+                  <div>
+                    <h3 className="text-sm font-medium text-secondary-700 dark:text-secondary-300 mb-3">
+                      Branch Context
+                    </h3>
+                    <select
+                      value={conversation.settings?.context?.strategy || 'full'}
+                      onChange={(e) => handleSettingsUpdate({
+                        context: { ...conversation.settings?.context, strategy: e.target.value }
+                      })}
+                      className="w-full p-2 border border-secondary-200 dark:border-secondary-700 rounded-lg bg-white dark:bg-secondary-800 text-secondary-900 dark:text-secondary-100 text-sm"
+                    >
+                      <option value="parent">Parent only</option>
+                      <option value="full">Full path</option>
+                      <option value="lastN">Last N turns</option>
+                    </select>
+                    {conversation.settings?.context?.strategy === 'lastN' && (
+                      <div className="flex items-center justify-between mt-2 text-sm">
+                        <span className="text-secondary-500 dark:text-secondary-400">Turns:</span>
+                        <input
+                          type="number"
+                          min={1}
+                          max={50}
+                          value={conversation.settings?.context?.lastN || 4}
+                          onChange={(e) => handleSettingsUpdate({
+                            context: { ...conversation.settings?.context, lastN: parseInt(e.target.value) || 1 }
+                          })}
+                          className="w-20 p-1 border border-secondary-200 dark:border-secondary-700 rounded-lg bg-white dark:bg-secondary-800 text-secondary-900 dark:text-secondary-100 text-sm"
+                        />
+                      </div>
+                    )}
+                    <p className="text-xs text-secondary-500 dark:text-secondary-400 mt-2">
+                      How much of the path to the root is sent with each new branch
+                    </p>
+                    <div className="flex items-center justify-between mt-3 text-sm">
+                      <span className="text-secondary-500 dark:text-secondary-400">When too long:</span>
+                      <select
+                        value={conversation.settings?.context?.overflow || 'dropOldest'}
+                        onChange={(e) => handleSettingsUpdate({
+                          context: { ...conversation.settings?.context, overflow: e.target.value }
+                        })}
+                        className="p-1 border border-secondary-200 dark:border-secondary-700 rounded-lg bg-white dark:bg-secondary-800 text-secondary-900 dark:text-secondary-100 text-sm"
+                      >
+                        <option value="dropOldest">Drop oldest turns</option>
+                        <option value="truncate">Truncate responses</option>
+                        <option value="summarize">Summarize older turns</option>
+                      </select>
+                    </div>
+                  </div>
+                )}
+
+                {/* Fallback Providers */}
+                {conversation && (
+                  <div>
+                    <h3 className="text-sm font-medium text-secondary-700 dark:text-secondary-300 mb-3">
+                      Fallback Providers
+                    </h3>
+                    <div className="space-y-2">
+                      {(conversation.settings?.fallbackChain || []).map((target, index) => (
+                        <div
+                          key={`${target.provider}-${target.model}-${index}`}
+                          className="flex items-center justify-between p-2 rounded-lg bg-secondary-50 dark:bg-secondary-800 text-sm"
+                        >
+                          <span className="text-secondary-900 dark:text-secondary-100 truncate">
+                            {index + 1}. {apiProviders.find(p => p.id === target.provider)?.name || target.provider}
+                            {target.model && <span className="text-secondary-500 dark:text-secondary-400"> ({target.model})</span>}
+                          </span>
+                          <button
+                            onClick={() => handleSettingsUpdate({
+                              fallbackChain: conversation.settings.fallbackChain.filter((_, i) => i !== index)
+                            })}
+                            className="p-1 text-secondary-500 hover:text-red-600 transition-colors"
+                            title="Remove fallback"
+                          >
+                            <X className="w-4 h-4" />
+                          </button>
+                        </div>
+                      ))}
+                      <select
+                        value=""
+                        onChange={(e) => {
+                          const provider = apiProviders.find(p => p.id === e.target.value);
+                          if (!provider) return;
+                          handleSettingsUpdate({
+                            fallbackChain: [
+                              ...(conversation.settings?.fallbackChain || []),
+                              { provider: provider.id, model: provider.defaultModel || null }
+                            ]
+                          });
+                        }}
+                        className="w-full p-2 border border-secondary-200 dark:border-secondary-700 rounded-lg bg-white dark:bg-secondary-800 text-secondary-900 dark:text-secondary-100 text-sm"
+                      >
+                        <option value="">Add fallback...</option>
+                        {apiProviders.map(provider => (
+                          <option key={provider.id} value={provider.id}>{provider.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <p className="text-xs text-secondary-500 dark:text-secondary-400 mt-2">
+                      Tried in order when the selected provider keeps failing
+                    </p>
+                  </div>
+                )}
+
                 {/* LM Studio Guide */}
                 {selectedProvider === 'lmstudio' && (
                   <div className="mb-6">
@@ -621,7 +1137,41 @@ const Conversation = () => {
         <div className="flex-1 flex flex-col">
           {/* Tree Visualization */}
           <div className="flex-1 relative">
-            {conversation ? (
+            {conversation && diff ? (
+              <>
+                <div className="absolute top-4 left-1/2 -translate-x-1/2 z-10 flex items-center space-x-3 px-4 py-2 bg-white dark:bg-secondary-800 border border-secondary-200 dark:border-secondary-700 rounded-lg shadow-lg text-sm">
+                  <span className="text-secondary-700 dark:text-secondary-300">
+                    {diff.from.name || 'Automatic snapshot'} → {diff.to.name || 'Automatic snapshot'}
+                  </span>
+                  <span className="text-green-600 dark:text-green-400">+{diff.added.length}</span>
+                  <span className="text-red-600 dark:text-red-400">−{diff.removed.length}</span>
+                  <span className="text-amber-600 dark:text-amber-400">~{diff.edited.length}</span>
+                  <span className="text-blue-600 dark:text-blue-400">↷{diff.moved.length}</span>
+                  <button
+                    onClick={() => setDiff(null)}
+                    className="flex items-center text-secondary-600 hover:text-secondary-900 dark:text-secondary-400 dark:hover:text-secondary-100"
+                  >
+                    <X className="w-4 h-4 mr-1" />
+                    Exit diff
+                  </button>
+                </div>
+                <ReactFlowProvider>
+                  <ConversationTree
+                    conversation={{ ...conversation, _id: `${conversation._id}-diff`, treeStructure: diff.treeStructure }}
+                    onBranch={() => {}} // Disabled while comparing
+                    onNodeSelect={() => {}} // Disabled while comparing
+                    onDeleteNode={() => {}} // Disabled while comparing
+                    onTitleEdit={() => {}} // Disabled while comparing
+                    selectedNodes={[]}
+                    layout={treeLayout}
+                    focusNodeId={null}
+                    isSending={false}
+                    pendingParentId={null}
+                    readOnly={true}
+                  />
+                </ReactFlowProvider>
+              </>
+            ) : conversation ? (
               <ReactFlowProvider>
                 <ConversationTree
                   conversation={conversation}
@@ -629,11 +1179,22 @@ const Conversation = () => {
                   onNodeSelect={handleNodeSelect}
                   onDeleteNode={handleDeleteNode}
                   onTitleEdit={handleTitleEdit}
+                  onRegenerate={handleRegenerate}
+                  onPromptEdit={handlePromptEdit}
+                  onMoveNode={handleMoveNode}
+                  onTransferSubtree={handleTransferSubtree}
+                  onLoadTransferTargets={loadTransferTargets}
+                  onSelectVersion={handleSelectVersion}
+                  onSavePositions={handleSavePositions}
+                  autoLayout={conversation.settings?.autoLayout !== false}
+                  regeneratingNodeId={regeneratingNodeId}
                   selectedNodes={selectedNodes}
                   layout={treeLayout}
                   focusNodeId={focusNodeId}
                   isSending={sending}
                   pendingParentId={pendingParentId}
+                  streamingText={streamingText}
+                  onCancelGeneration={handleCancelGeneration}
                 />
               </ReactFlowProvider>
             ) : (
@@ -708,6 +1269,27 @@ const Conversation = () => {
               </button>
             </div>
             
+            {conversation && selectedNodes.length > 1 && (
+              <div className="flex items-center space-x-2 mt-2 text-xs text-secondary-500 dark:text-secondary-400">
+                <GitMerge className="w-4 h-4" />
+                <span>{selectedNodes.length} nodes selected — branching uses the first. Merge them:</span>
+                <button
+                  onClick={() => handleMerge('synthesize')}
+                  disabled={sending}
+                  className="px-2 py-1 rounded-md bg-primary-600 text-white hover:bg-primary-700 disabled:opacity-50"
+                >
+                  Synthesize
+                </button>
+                <button
+                  onClick={() => handleMerge('compare')}
+                  disabled={sending}
+                  className="px-2 py-1 rounded-md bg-secondary-200 text-secondary-700 dark:bg-secondary-700 dark:text-secondary-300 hover:bg-secondary-300 dark:hover:bg-secondary-600 disabled:opacity-50"
+                >
+                  Compare
+                </button>
+              </div>
+            )}
+
             {conversation && selectedNodes.length === 0 && (
               <p className="text-xs text-secondary-500 dark:text-secondary-400 mt-2">
                 Select a node in the tree to create a branch from it, or select text in a node to branch from that specific content
@@ -724,6 +1306,22 @@ const Conversation = () => {
             />
           </div>
         </div>
+
+        {/* Snapshots */}
+        <AnimatePresence>
+          {showSnapshots && conversation && (
+            <motion.aside
+              initial={{ width: 0, opacity: 0 }}
+              animate={{ width: 320, opacity: 1 }}
+              exit={{ width: 0, opacity: 0 }}
+              className="bg-white/90 dark:bg-secondary-900/90 backdrop-blur-sm border-l border-secondary-200 dark:border-secondary-700 overflow-hidden"
+            >
+              <div className="p-4">
+                <SnapshotPanel conversationId={conversation._id} onDiff={setDiff} />
+              </div>
+            </motion.aside>
+          )}
+        </AnimatePresence>
       </div>
     </div>
   );
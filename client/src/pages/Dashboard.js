@@ -16,6 +16,7 @@ import { useAuth } from '../hooks/useAuth';
 import api from '../services/api';
 import LoadingSpinner from '../components/LoadingSpinner';
 import AdSlot from '../components/AdSlot';
+import TrashView from '../components/TrashView';
 
 const Dashboard = () => {
   const navigate = useNavigate();
@@ -31,9 +32,10 @@ const Dashboard = () => {
     loadConversations();
   }, []);
 
-  const loadConversations = async () => {
+  // quiet reloads keep the current view on screen instead of the spinner
+  const loadConversations = async (quiet = false) => {
     try {
-      setLoading(true);
+      if (!quiet) setLoading(true);
       const response = await api.get('/conversations');
       setConversations(response.data.conversations);
     } catch (error) {
@@ -45,14 +47,14 @@ const Dashboard = () => {
   };
 
   const handleDeleteConversation = async (id) => {
-    if (!window.confirm('Are you sure you want to delete this conversation?')) {
+    if (!window.confirm('Move this conversation to the trash? You can restore it from the Trash view.')) {
       return;
     }
 
     try {
       await api.delete(`/conversations/${id}`);
       setConversations(prev => prev.filter(conv => conv._id !== id));
-      toast.success('Conversation deleted');
+      toast.success('Conversation moved to the trash');
     } catch (error) {
       console.error('Failed to delete conversation:', error);
       toast.error('Failed to delete conversation');
@@ -173,6 +175,7 @@ const Dashboard = () => {
         >
           <option value="all">All conversations</option>
           <option value="recent">Recent (last 7 days)</option>
+          <option value="trash">Trash</option>
         </select>
 
         {/* View Mode */}
@@ -215,7 +218,16 @@ const Dashboard = () => {
 
       {/* Conversations */}
       <AnimatePresence mode="wait">
-        {filteredConversations.length === 0 ? (
+        {filter === 'trash' ? (
+          <motion.div
+            key="trash"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+          >
+            <TrashView onRestored={() => loadConversations(true)} />
+          </motion.div>
+        ) : filteredConversations.length === 0 ? (
           <motion.div
             key="empty"
             initial={{ opacity: 0, scale: 0.9 }}
@@ -0,0 +1,47 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import ApiKeySettings from '../components/ApiKeySettings';
+import UsageSummary from '../components/UsageSummary';
+
+const Settings = () => {
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="mb-8">
+        <motion.h1
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-3xl font-bold text-secondary-900 dark:text-secondary-100 mb-2"
+        >
+          Settings
+        </motion.h1>
+        <motion.p
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.1 }}
+          className="text-secondary-600 dark:text-secondary-400"
+        >
+          Manage your usage and AI provider access
+        </motion.p>
+      </div>
+
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.2 }}
+      >
+        <UsageSummary />
+      </motion.div>
+
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.3 }}
+        className="mt-10"
+      >
+        <ApiKeySettings />
+      </motion.div>
+    </div>
+  );
+};
+
+export default Settings;
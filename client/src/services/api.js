@@ -1,4 +1,5 @@
 import axios from 'axios';
+import toast from 'react-hot-toast';
 
 const api = axios.create({
   baseURL: process.env.REACT_APP_API_URL || 'http://localhost:5000/api',
@@ -21,9 +22,13 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle auth errors
+// Response interceptor to report warnings (e.g. a failed automatic snapshot)
+// and handle auth errors
 api.interceptors.response.use(
-  (response) => response,
+  (response) => {
+    (response.data?.conversation?.warnings || []).forEach(warning => toast.error(warning));
+    return response;
+  },
   (error) => {
     if (error.response?.status === 401) {
       localStorage.removeItem('token');
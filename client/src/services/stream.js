@@ -0,0 +1,90 @@
+// Server-Sent Events over POST (EventSource only supports GET without headers)
+const baseURL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const parseEvent = (block) => {
+  let event = 'message';
+  const dataLines = [];
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+  if (dataLines.length === 0) return null;
+  try {
+    return { event, data: JSON.parse(dataLines.join('\n')) };
+  } catch {
+    return null;
+  }
+};
+
+// POST to a streaming endpoint. Calls onEvent(event, data) for every event and
+// resolves with the payload of the final `done` event. Rejects with
+// `error.cancelled` when the server reports the generation was cancelled.
+export const streamRequest = async (path, body, { onEvent, signal } = {}) => {
+  const token = localStorage.getItem('token');
+  const response = await fetch(`${baseURL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  // Validation errors are returned as plain JSON before the stream starts
+  if (!response.ok) {
+    const payload = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+      localStorage.removeItem('token');
+      localStorage.removeItem('user');
+      window.location.href = '/login';
+    }
+    const error = new Error(payload.message || payload.error || `Request failed with status ${response.status}`);
+    error.response = { status: response.status, data: payload };
+    throw error;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+
+    for (const block of blocks) {
+      const parsed = parseEvent(block);
+      if (!parsed) continue;
+
+      if (onEvent) onEvent(parsed.event, parsed.data);
+
+      if (parsed.event === 'cancelled') {
+        const error = new Error('Generation cancelled');
+        error.cancelled = true;
+        throw error;
+      }
+      if (parsed.event === 'error') {
+        const error = new Error(parsed.data.message || parsed.data.error || 'Stream failed');
+        error.response = { data: parsed.data };
+        throw error;
+      }
+      if (parsed.event === 'done') {
+        result = parsed.data;
+      }
+    }
+  }
+
+  if (!result) {
+    throw new Error('Stream ended unexpectedly');
+  }
+  return result;
+};
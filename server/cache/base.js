@@ -0,0 +1,67 @@
+// Base class for AI response cache stores.
+//
+// A store keeps entries of the form `{ data, timestamp, hits, ... }` under
+// opaque keys (CacheService hashes the request into the key and owns the TTL
+// policy). Stores evict least recently used entries. get() is only called for
+// real lookups (CacheService.get): it counts as a use and increments the
+// entry's `hits` unless the entry has expired. entries() is for stats,
+// cleanup and admin listings, and must do neither.
+// All methods are async so stores can live out of process. Subclasses must
+// implement get, set, delete, clear and entries; stats and cleanup have
+// generic defaults that walk every entry.
+class CacheStore {
+  constructor(options = {}) {
+    this.type = options.type;
+    this.maxItems = options.maxItems;
+    this.ttl = options.ttl;
+  }
+
+  async get(key) {
+    throw new Error(`${this.constructor.name} must implement get()`);
+  }
+
+  // Evicts the least recently used entries once maxItems is reached;
+  // resolves with the number of entries evicted
+  async set(key, entry) {
+    throw new Error(`${this.constructor.name} must implement set()`);
+  }
+
+  async delete(key) {
+    throw new Error(`${this.constructor.name} must implement delete()`);
+  }
+
+  async clear() {
+    throw new Error(`${this.constructor.name} must implement clear()`);
+  }
+
+  // [[key, entry], ...] for every stored entry
+  async entries() {
+    throw new Error(`${this.constructor.name} must implement entries()`);
+  }
+
+  isExpired(entry, now = Date.now()) {
+    return now - entry.timestamp > this.ttl;
+  }
+
+  async stats() {
+    const now = Date.now();
+    const entries = await this.entries();
+    return {
+      totalEntries: entries.length,
+      expiredEntries: entries.filter(([, entry]) => this.isExpired(entry, now)).length
+    };
+  }
+
+  // Remove expired entries; resolves with how many were removed
+  async cleanup() {
+    const now = Date.now();
+    const expired = (await this.entries()).filter(([, entry]) => this.isExpired(entry, now));
+    await Promise.all(expired.map(([key]) => this.delete(key)));
+    return expired.length;
+  }
+
+  // Release connections and file handles
+  async close() {}
+}
+
+module.exports = CacheStore;
@@ -0,0 +1,113 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const CacheStore = require('./base');
+
+// One JSON file per entry in CACHE_DIR. Survives restarts and can be shared
+// by instances on the same host (or a shared volume). Writes go through a
+// temporary file and a rename so readers never see half-written entries.
+// A file's mtime is its last use: lookups through get() rewrite it (to count
+// the hit) and eviction goes by it. Listing entries only reads the files.
+class FileStore extends CacheStore {
+  constructor(options) {
+    super(options);
+    this.dir = path.resolve(options.dir || path.join(__dirname, '..', '.cache', 'ai'));
+    this.ready = null;
+  }
+
+  ensureDir() {
+    if (!this.ready) {
+      this.ready = fs.mkdir(this.dir, { recursive: true }).catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  // Keys are hex digests, but never trust them as file names
+  filePath(key) {
+    if (!/^[a-zA-Z0-9_-]+$/.test(key)) {
+      throw new Error('Invalid cache key');
+    }
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async readEntry(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      // Missing (deleted by another instance) or unreadable entries are misses
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+      throw error;
+    }
+  }
+
+  async keys() {
+    await this.ensureDir();
+    const files = await fs.readdir(this.dir);
+    return files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -5));
+  }
+
+  async get(key) {
+    await this.ensureDir();
+    const file = this.filePath(key);
+    const entry = await this.readEntry(file);
+    // An expired entry is a miss that CacheService deletes, not a hit
+    if (entry && !this.isExpired(entry)) {
+      entry.hits = (entry.hits || 0) + 1;
+      await this.writeEntry(file, entry).catch(() => {});
+    }
+    return entry;
+  }
+
+  async writeEntry(file, entry) {
+    const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(entry));
+    await fs.rename(tempFile, file);
+  }
+
+  async set(key, entry) {
+    await this.ensureDir();
+    const evicted = await this.evict(key);
+
+    await this.writeEntry(this.filePath(key), entry);
+    return evicted;
+  }
+
+  // Make room for one more entry by removing the least recently used ones
+  async evict(incomingKey) {
+    const keys = (await this.keys()).filter(key => key !== incomingKey);
+    const excess = keys.length - this.maxItems + 1;
+    if (excess <= 0) return 0;
+
+    const aged = await Promise.all(keys.map(async key => {
+      const stat = await fs.stat(this.filePath(key)).catch(() => null);
+      return { key, mtime: stat ? stat.mtimeMs : 0 };
+    }));
+    aged.sort((a, b) => a.mtime - b.mtime);
+    await Promise.all(aged.slice(0, excess).map(({ key }) => this.delete(key)));
+    return excess;
+  }
+
+  async delete(key) {
+    await fs.unlink(this.filePath(key)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  async clear() {
+    const keys = await this.keys();
+    await Promise.all(keys.map(key => this.delete(key)));
+  }
+
+  // Reads without rewriting, so stats, cleanup and admin listings do not
+  // count as uses
+  async entries() {
+    const keys = await this.keys();
+    const entries = await Promise.all(keys.map(async key => [key, await this.readEntry(this.filePath(key))]));
+    return entries.filter(([, entry]) => entry);
+  }
+}
+
+module.exports = FileStore;
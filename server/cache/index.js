@@ -0,0 +1,30 @@
+const CacheStore = require('./base');
+
+const STORE_TYPES = ['memory', 'file', 'redis'];
+
+// Store settings from the environment; CACHE_BACKEND picks the store
+const loadConfig = () => ({
+  type: process.env.CACHE_BACKEND || 'memory',
+  maxItems: parseInt(process.env.CACHE_MAX_ITEMS) || 500,
+  ttl: parseInt(process.env.CACHE_TTL_MS) || 86400000, // 24 hours default
+  dir: process.env.CACHE_DIR,
+  url: process.env.CACHE_REDIS_URL || process.env.REDIS_URL,
+  prefix: process.env.CACHE_KEY_PREFIX
+});
+
+// Instantiate the store module named by `type`
+const createStore = (config = loadConfig()) => {
+  if (!STORE_TYPES.includes(config.type)) {
+    throw new Error(`Unknown cache backend "${config.type}". Use one of: ${STORE_TYPES.join(', ')}`);
+  }
+
+  const Store = require(`./${config.type}`);
+  return new Store(config);
+};
+
+module.exports = {
+  CacheStore,
+  STORE_TYPES,
+  loadConfig,
+  createStore
+};
@@ -0,0 +1,45 @@
+const CacheStore = require('./base');
+
+// In-process store; fastest, but lost on restart and not shared between instances
+class MemoryStore extends CacheStore {
+  constructor(options) {
+    super(options);
+    this.cache = new Map();
+  }
+
+  // Map iteration follows insertion order, so re-inserting on every read
+  // keeps the least recently used key first
+  async get(key) {
+    const entry = this.cache.get(key);
+    if (!entry || this.isExpired(entry)) return entry || null;
+    entry.hits = (entry.hits || 0) + 1;
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    let evicted = 0;
+    this.cache.delete(key);
+    while (this.cache.size >= this.maxItems) {
+      this.cache.delete(this.cache.keys().next().value);
+      evicted++;
+    }
+    this.cache.set(key, entry);
+    return evicted;
+  }
+
+  async delete(key) {
+    this.cache.delete(key);
+  }
+
+  async clear() {
+    this.cache.clear();
+  }
+
+  async entries() {
+    return Array.from(this.cache.entries());
+  }
+}
+
+module.exports = MemoryStore;
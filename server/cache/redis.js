@@ -0,0 +1,107 @@
+const CacheStore = require('./base');
+
+// Redis (or any server speaking the Redis protocol: Valkey, KeyDB, Dragonfly).
+// Entries expire natively after the TTL; a sorted set scored by last access
+// time lets maxItems evict the least recently used entries. Hit counts live
+// in a hash so reads never rewrite (and re-expire) the entry itself.
+class RedisStore extends CacheStore {
+  constructor(options) {
+    super(options);
+    // Loaded lazily so the dependency is only needed when this store is used
+    const Redis = require('ioredis');
+    this.prefix = options.prefix || 'vynix:cache:';
+    this.indexKey = `${this.prefix}index`;
+    this.hitsKey = `${this.prefix}hits`;
+    this.client = new Redis(options.url || 'redis://127.0.0.1:6379', {
+      // Fail fast instead of queueing commands while Redis is unreachable;
+      // CacheService treats errors as cache misses
+      maxRetriesPerRequest: 1,
+      enableOfflineQueue: false
+    });
+    this.client.on('error', error => {
+      console.error('Redis cache error:', error.message);
+    });
+  }
+
+  entryKey(key) {
+    return `${this.prefix}entry:${key}`;
+  }
+
+  async get(key) {
+    const value = await this.client.get(this.entryKey(key));
+    if (!value) return null;
+    const [, [, hits]] = await this.client.multi()
+      .zadd(this.indexKey, Date.now(), key)
+      .hincrby(this.hitsKey, key, 1)
+      .exec();
+    return { ...JSON.parse(value), hits };
+  }
+
+  async set(key, entry) {
+    await this.client.multi()
+      .set(this.entryKey(key), JSON.stringify(entry), 'PX', this.ttl)
+      .zadd(this.indexKey, Date.now(), key)
+      .hdel(this.hitsKey, key)
+      .exec();
+
+    const size = await this.client.zcard(this.indexKey);
+    if (size <= this.maxItems) return 0;
+
+    const oldest = await this.client.zpopmin(this.indexKey, size - this.maxItems);
+    // zpopmin returns [member, score, member, score, ...]
+    const keys = oldest.filter((_, index) => index % 2 === 0);
+    if (keys.length > 0) {
+      await this.client.multi()
+        .del(...keys.map(k => this.entryKey(k)))
+        .hdel(this.hitsKey, ...keys)
+        .exec();
+    }
+    return keys.length;
+  }
+
+  async delete(key) {
+    await this.client.multi()
+      .del(this.entryKey(key))
+      .zrem(this.indexKey, key)
+      .hdel(this.hitsKey, key)
+      .exec();
+  }
+
+  async clear() {
+    const keys = await this.client.zrange(this.indexKey, 0, -1);
+    await this.client.del(this.indexKey, this.hitsKey, ...keys.map(key => this.entryKey(key)));
+  }
+
+  async entries() {
+    const keys = await this.client.zrange(this.indexKey, 0, -1);
+    if (keys.length === 0) return [];
+    const [values, hits] = await Promise.all([
+      this.client.mget(...keys.map(key => this.entryKey(key))),
+      this.client.hmget(this.hitsKey, ...keys)
+    ]);
+    return keys
+      .map((key, index) => [key, values[index] ? { ...JSON.parse(values[index]), hits: parseInt(hits[index]) || 0 } : null])
+      .filter(([, entry]) => entry);
+  }
+
+  // Entries expire by themselves; drop index members whose entry is gone
+  async cleanup() {
+    const keys = await this.client.zrange(this.indexKey, 0, -1);
+    if (keys.length === 0) return 0;
+    const values = await this.client.mget(...keys.map(key => this.entryKey(key)));
+    const missing = keys.filter((_, index) => !values[index]);
+    if (missing.length > 0) {
+      await this.client.multi()
+        .zrem(this.indexKey, ...missing)
+        .hdel(this.hitsKey, ...missing)
+        .exec();
+    }
+    return missing.length;
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+module.exports = RedisStore;
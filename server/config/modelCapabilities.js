@@ -0,0 +1,42 @@
+// Context window sizes used to keep prompts within what a model accepts.
+//
+// A `providers` entry applies to every model of that provider and wins over
+// model matches: local servers decide the window when the model is loaded, so
+// theirs come from the environment. Otherwise `models` entries are matched in
+// order against the lower-cased model id (substring match, so
+// 'openai/gpt-4o' matches 'gpt-4o'), falling back to `defaults`.
+module.exports = {
+  defaults: {
+    contextLength: 8192
+  },
+
+  providers: {
+    lmstudio: {
+      contextLength: parseInt(process.env.LMSTUDIO_CONTEXT_LENGTH) || 4096
+    },
+    // Ollama's default num_ctx unless the model file raises it
+    ollama: {
+      contextLength: parseInt(process.env.OLLAMA_CONTEXT_LENGTH) || 4096
+    },
+    anthropic: {
+      contextLength: 200000
+    }
+  },
+
+  models: [
+    { match: 'gpt-4o', contextLength: 128000 },
+    { match: 'gpt-3.5-turbo', contextLength: 16385 },
+    { match: 'gpt-oss', contextLength: 131072 },
+    { match: 'gemini-1.5-pro', contextLength: 2097152 },
+    { match: 'gemini-1.5-flash', contextLength: 1048576 },
+    { match: 'gemini-2.0-flash', contextLength: 1048576 },
+    { match: 'gemini-1.0-pro', contextLength: 30720 },
+    { match: 'gemini-pro', contextLength: 30720 },
+    { match: 'llama-3.1', contextLength: 131072 },
+    { match: 'glm-4.5', contextLength: 131072 },
+    { match: 'qwen3-coder', contextLength: 262144 },
+    { match: 'kimi-k2', contextLength: 32768 },
+    { match: 'dolphin-mistral', contextLength: 32768 },
+    { match: 'gemma-3n', contextLength: 8192 }
+  ]
+};
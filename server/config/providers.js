@@ -0,0 +1,115 @@
+// Default AI provider configuration.
+//
+// Each entry is handled by the adapter module named by `type` in
+// server/providers/. Set PROVIDERS_CONFIG to the path of a JSON file with the
+// same shape to replace this list without touching code.
+module.exports = [
+  {
+    id: 'lmstudio',
+    type: 'openai',
+    name: 'LM Studio',
+    description: 'Local AI (127.0.0.1:1234)',
+    icon: 'Brain',
+    baseURL: process.env.LMSTUDIO_BASE_URL || 'http://127.0.0.1:1234',
+    endpoint: '/v1/chat/completions',
+    models: ['openai/gpt-oss-20b'],
+    defaultModel: 'openai/gpt-oss-20b',
+    free: true
+  },
+  {
+    id: 'openai',
+    type: 'openai',
+    name: 'OpenAI',
+    description: 'GPT-3.5/4 Models',
+    icon: 'Zap',
+    baseURL: 'https://api.openai.com',
+    endpoint: '/v1/chat/completions',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    models: ['gpt-4o', 'gpt-4o-mini', 'gpt-3.5-turbo'],
+    defaultModel: 'gpt-3.5-turbo'
+  },
+  {
+    id: 'google',
+    type: 'google',
+    name: 'Google AI',
+    description: 'Gemini Models',
+    icon: 'Globe',
+    baseURL: 'https://generativelanguage.googleapis.com',
+    endpoint: '/v1beta/models',
+    apiKeyEnv: 'GOOGLE_AI_KEY',
+    models: [
+      'gemini-1.5-flash',      // Cheapest, fastest
+      'gemini-1.5-flash-exp',  // Experimental version
+      'gemini-2.0-flash',      // Newer, still cost-effective
+      'gemini-1.5-pro',        // More capable, higher cost
+      'gemini-1.0-pro',        // Legacy
+      'gemini-pro'             // Original
+    ],
+    defaultModel: 'gemini-1.5-flash',
+    timeout: 60000
+  },
+  {
+    id: 'groq',
+    type: 'openai',
+    name: 'Groq',
+    description: 'Fast Inference',
+    icon: 'Server',
+    baseURL: 'https://api.groq.com',
+    endpoint: '/openai/v1/chat/completions',
+    modelsEndpoint: '/openai/v1/models',
+    apiKeyEnv: 'GROQ_API_KEY',
+    models: ['llama-3.1-70b-versatile', 'llama-3.1-8b-instant'],
+    defaultModel: 'llama-3.1-8b-instant'
+  },
+  {
+    id: 'openrouter',
+    type: 'openai',
+    name: 'OpenRouter',
+    description: 'Free AI Models',
+    icon: 'MessageSquare',
+    baseURL: 'https://openrouter.ai',
+    endpoint: '/api/v1/chat/completions',
+    modelsEndpoint: '/api/v1/models',
+    apiKeyEnv: 'OPENROUTER_API_KEY',
+    headers: {
+      'HTTP-Referer': process.env.OPENROUTER_REFERER || 'https://vynix.app',
+      'X-Title': 'Vynix'
+    },
+    models: [
+      'openai/gpt-oss-20b:free',
+      'z-ai/glm-4.5-air:free',
+      'qwen/qwen3-coder:free',
+      'moonshotai/kimi-k2:free',
+      'cognitivecomputations/dolphin-mistral-24b-venice-edition:free',
+      'google/gemma-3n-e2b-it:free'
+    ],
+    defaultModel: 'openai/gpt-oss-20b:free',
+    maxTokens: 2048, // Higher limit for OpenRouter models
+    free: true,
+    freeModelSuffix: ':free'
+  },
+  {
+    id: 'ollama',
+    type: 'ollama',
+    name: 'Ollama',
+    description: 'Local AI (127.0.0.1:11434)',
+    icon: 'Cpu',
+    baseURL: process.env.OLLAMA_BASE_URL || 'http://127.0.0.1:11434',
+    endpoint: '/api/chat',
+    models: ['llama3.1', 'qwen2.5', 'mistral', 'gemma2'],
+    defaultModel: process.env.OLLAMA_DEFAULT_MODEL || 'llama3.1',
+    free: true
+  },
+  {
+    id: 'anthropic',
+    type: 'anthropic',
+    name: 'Anthropic',
+    description: 'Claude Models',
+    icon: 'Sparkles',
+    baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+    endpoint: '/v1/messages',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    models: ['claude-3-5-haiku-latest', 'claude-3-5-sonnet-latest', 'claude-3-opus-latest'],
+    defaultModel: 'claude-3-5-haiku-latest'
+  }
+];
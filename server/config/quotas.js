@@ -0,0 +1,23 @@
+// Token quotas for uncached generations paid for with the server's keys
+// (requests made with a user's own key are not counted). null = unlimited.
+//
+// `user` limits apply to each user across all providers; admins can
+// override them per user (User.quota). Provider limits apply to each user's
+// use of one provider and are read from QUOTA_<PROVIDER>_DAILY_TOKENS /
+// QUOTA_<PROVIDER>_MONTHLY_TOKENS, e.g. QUOTA_OPENROUTER_DAILY_TOKENS.
+const limit = (value) => parseInt(value) || null;
+
+module.exports = {
+  user: {
+    day: limit(process.env.QUOTA_DAILY_TOKENS),
+    month: limit(process.env.QUOTA_MONTHLY_TOKENS)
+  },
+
+  provider(id) {
+    const prefix = `QUOTA_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+    return {
+      day: limit(process.env[`${prefix}_DAILY_TOKENS`]),
+      month: limit(process.env[`${prefix}_MONTHLY_TOKENS`])
+    };
+  }
+};
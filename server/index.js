@@ -8,6 +8,7 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const conversationRoutes = require('./routes/conversations');
 const aiRoutes = require('./routes/ai');
+const usageRoutes = require('./routes/usage');
 const { contentSafetyMiddleware } = require('./middleware/contentSafety');
 
 const app = express();
@@ -43,6 +44,7 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/vynix')
 app.use('/api/auth', authRoutes);
 app.use('/api/conversations', contentSafetyMiddleware, conversationRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/usage', usageRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,9 @@
+// Allow only admins through (must run after auth)
+const admin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
+module.exports = admin;
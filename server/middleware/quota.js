@@ -0,0 +1,30 @@
+const usageService = require('../services/usageService');
+
+// Reject AI requests with 429 once the user's token quota is spent.
+// Must run after auth; the provider comes from the request body (or query
+// string). Fallback providers are checked by aiService as the chain reaches
+// them (options.quotaUser).
+const quota = async (req, res, next) => {
+  try {
+    const provider = req.body?.provider || req.query?.provider || 'lmstudio';
+    const exceeded = await usageService.checkQuota(req.user, provider);
+
+    if (exceeded) {
+      const scope = exceeded.scope === 'provider' ? `${exceeded.provider} ` : '';
+      res.set('Retry-After', String(Math.max(1, Math.ceil((exceeded.resetAt - Date.now()) / 1000))));
+      return res.status(429).json({
+        error: 'Quota exceeded',
+        message: `Your ${exceeded.period === 'day' ? 'daily' : 'monthly'} ${scope}token quota (${exceeded.limit}) is used up. It resets at ${exceeded.resetAt.toISOString()}.`,
+        quota: exceeded
+      });
+    }
+
+    next();
+  } catch (error) {
+    // Do not block generations because accounting is unavailable
+    console.error('Quota check error:', error);
+    next();
+  }
+};
+
+module.exports = quota;
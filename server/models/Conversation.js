@@ -1,67 +1,24 @@
 const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const Node = require('./Node');
+const Operation = require('./Operation');
+const TrashedSubtree = require('./TrashedSubtree');
+const Snapshot = require('./Snapshot');
+const SnapshotNode = require('./SnapshotNode');
+const { providerValidator } = require('./validators');
+const { buildTree } = require('../utils/tree');
 
-const nodeSchema = new mongoose.Schema({
-  id: {
+const fallbackTargetSchema = new mongoose.Schema({
+  provider: {
     type: String,
     required: true,
-    unique: true
+    validate: providerValidator
   },
-  title: {
-    type: String,
-    trim: true,
-    default: null
-  },
-  prompt: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  response: {
-    type: String,
-    required: true
-  },
-  selectedText: {
-    type: String,
-    default: null
-  },
-  parentId: {
+  model: {
     type: String,
     default: null
-  },
-  children: [{
-    type: String,
-    ref: 'Node'
-  }],
-  position: {
-    x: { type: Number, default: 0 },
-    y: { type: Number, default: 0 }
-  },
-  metadata: {
-    apiProvider: {
-      type: String,
-      enum: ['lmstudio', 'openai', 'google', 'groq', 'openrouter'],
-      default: 'lmstudio'
-    },
-    model: {
-      type: String,
-      default: 'gpt-3.5-turbo'
-    },
-    tokens: {
-      type: Number,
-      default: 0
-    },
-    responseTime: {
-      type: Number,
-      default: 0
-    }
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now
   }
-}, {
-  timestamps: true
-});
+}, { _id: false });
 
 const conversationSchema = new mongoose.Schema({
   __v: { type: Number, default: 0 }, // Version key for optimistic locking
@@ -83,7 +40,11 @@ const conversationSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  nodes: [nodeSchema],
+  // Nodes are stored in the Node collection; this count is kept in step
+  nodeCount: {
+    type: Number,
+    default: 0
+  },
   settings: {
     layout: {
       type: String,
@@ -97,6 +58,39 @@ const conversationSchema = new mongoose.Schema({
     showFullResponses: {
       type: Boolean,
       default: false
+    },
+    context: {
+      strategy: {
+        type: String,
+        enum: ['parent', 'full', 'lastN'],
+        default: 'full'
+      },
+      lastN: {
+        type: Number,
+        min: 1,
+        default: 4
+      },
+      maxTokens: {
+        type: Number,
+        min: 0,
+        default: null
+      },
+      overflow: {
+        type: String,
+        enum: ['dropOldest', 'truncate', 'summarize'],
+        default: 'dropOldest'
+      }
+    },
+    // Tried in order when the requested provider fails; overrides the
+    // owner's preferences.fallbackProviders when not empty
+    fallbackChain: {
+      type: [fallbackTargetSchema],
+      default: []
+    },
+    // When false, branches always get a fresh answer and nothing is cached
+    cacheEnabled: {
+      type: Boolean,
+      default: true
     }
   },
   tags: [{
@@ -112,9 +106,30 @@ const conversationSchema = new mongoose.Schema({
     unique: true,
     sparse: true
   },
+  // Where an extracted or snapshot-restored conversation came from
+  origin: {
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation'
+    },
+    nodeId: String,
+    snapshotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Snapshot'
+    },
+    mode: {
+      type: String,
+      enum: ['copy', 'move', 'snapshot']
+    }
+  },
   lastModified: {
     type: Date,
     default: Date.now
+  },
+  // Set while the conversation is in the trash
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -124,88 +139,352 @@ const conversationSchema = new mongoose.Schema({
 conversationSchema.index({ userId: 1, createdAt: -1 });
 conversationSchema.index({ shareToken: 1 });
 conversationSchema.index({ tags: 1 });
+conversationSchema.index({ deletedAt: 1 }, { sparse: true });
 
-// Virtual for node count
-conversationSchema.virtual('nodeCount').get(function() {
-  return this.nodes.length;
+// Conversations in the trash are left out of every query that does not ask
+// about deletedAt itself
+conversationSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments'], function() {
+  if (!('deletedAt' in this.getFilter())) {
+    this.where({ deletedAt: null });
+  }
+});
+
+// Remove a conversation's nodes along with it
+conversationSchema.post('findOneAndDelete', async function(conversation) {
+  if (conversation) {
+    await Node.deleteMany({ conversationId: conversation._id });
+    await Operation.deleteMany({ conversationId: conversation._id });
+    await TrashedSubtree.deleteMany({ conversationId: conversation._id });
+    await Snapshot.deleteMany({ conversationId: conversation._id });
+    await SnapshotNode.deleteMany({ conversationId: conversation._id });
+  }
 });
 
+// Bump lastModified and adjust nodeCount without rewriting the document
+conversationSchema.methods.touch = async function(nodeCountDelta = 0) {
+  this.lastModified = new Date();
+  this.nodeCount = (this.nodeCount || 0) + nodeCountDelta;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastModified: this.lastModified }, $inc: { nodeCount: nodeCountDelta } }
+  );
+};
+
+// All nodes of the conversation, in creation order
+conversationSchema.methods.getNodes = function() {
+  return Node.find({ conversationId: this._id }).sort({ createdAt: 1, _id: 1 });
+};
+
 // Method to get node by ID
 conversationSchema.methods.getNodeById = function(nodeId) {
-  return this.nodes.find(node => node.id === nodeId);
+  return Node.findOne({ conversationId: this._id, id: nodeId });
 };
 
-// Method to add child node
-conversationSchema.methods.addChildNode = function(parentId, newNode) {
-  const parentNode = this.getNodeById(parentId);
-  if (parentNode) {
-    parentNode.children.push(newNode.id);
-    this.nodes.push(newNode);
-    this.lastModified = new Date();
-    return true;
+// Method to get the path from the root down to a node (inclusive)
+conversationSchema.methods.getAncestorPath = async function(nodeId) {
+  const [node] = await Node.aggregate([
+    { $match: { conversationId: this._id, id: nodeId } },
+    {
+      $graphLookup: {
+        from: Node.collection.name,
+        startWith: '$parentId',
+        connectFromField: 'parentId',
+        connectToField: 'id',
+        as: 'ancestors',
+        depthField: 'depth',
+        restrictSearchWithMatch: { conversationId: this._id }
+      }
+    }
+  ]);
+
+  if (!node) {
+    return [];
+  }
+
+  const { ancestors, ...self } = node;
+  const path = ancestors
+    .sort((a, b) => b.depth - a.depth)
+    .map(({ depth, ...ancestor }) => ancestor);
+  return [...path, self];
+};
+
+// Store new nodes (plain objects) under this conversation, which must be saved
+conversationSchema.methods.insertNodes = async function(nodes) {
+  // Drop any _id from an import or copy; Mongo assigns fresh ones
+  const docs = nodes.map(node => {
+    const { _id, ...fields } = node;
+    return { ...fields, conversationId: this._id };
+  });
+  const inserted = await Node.insertMany(docs);
+  await this.touch(inserted.length);
+  return inserted;
+};
+
+// Method to add child node; resolves with the stored node, or null when the
+// parent does not exist
+conversationSchema.methods.addChildNode = async function(parentId, newNode) {
+  const parentNode = await this.getNodeById(parentId);
+  if (!parentNode) {
+    return null;
   }
-  return false;
+
+  const [node] = await this.insertNodes([{ ...newNode, parentId }]);
+  await Node.updateOne(
+    { conversationId: this._id, id: parentId },
+    { $push: { children: node.id } }
+  );
+  return node;
+};
+
+// Ids of a node and all of its descendants, one query per tree level.
+// followMerges also walks merge edges (nodes listing one of them in
+// mergeParentIds), which is what matters for cycles.
+conversationSchema.methods.getSubtreeIds = async function(nodeId, { followMerges = false } = {}) {
+  const ids = new Set([nodeId]);
+  let level = [nodeId];
+
+  while (level.length > 0) {
+    const query = followMerges
+      ? { $or: [{ parentId: { $in: level } }, { mergeParentIds: { $in: level } }] }
+      : { parentId: { $in: level } };
+    const children = await Node.find(
+      { conversationId: this._id, ...query },
+      { id: 1 }
+    ).lean();
+    level = children.map(child => child.id).filter(id => !ids.has(id));
+    level.forEach(id => ids.add(id));
+  }
+
+  return [...ids];
 };
 
-// Method to delete node and its descendants
-conversationSchema.methods.deleteNode = function(nodeId) {
-  const nodeToDelete = this.getNodeById(nodeId);
+// Method to delete node and its descendants; resolves with what was removed,
+// which restoreSubtree can put back, or false when the node does not exist
+conversationSchema.methods.deleteNode = async function(nodeId) {
+  const nodeToDelete = await this.getNodeById(nodeId);
   if (!nodeToDelete) {
     return false;
   }
 
-  // Get all descendant node IDs (recursive)
-  const descendantIds = new Set();
-  const getDescendants = (nodeId) => {
-    const node = this.getNodeById(nodeId);
-    if (node) {
-      descendantIds.add(nodeId);
-      node.children.forEach(childId => getDescendants(childId));
-    }
+  const descendantIds = await this.getSubtreeIds(nodeId);
+  const parentNode = nodeToDelete.parentId ? await this.getNodeById(nodeToDelete.parentId) : null;
+  const [nodes, mergeNodes] = await Promise.all([
+    Node.find({ conversationId: this._id, id: { $in: descendantIds } }).lean(),
+    Node.find(
+      { conversationId: this._id, id: { $nin: descendantIds }, mergeParentIds: { $in: descendantIds } },
+      { id: 1, mergeParentIds: 1 }
+    ).lean()
+  ]);
+  const removed = {
+    nodeId,
+    parentId: nodeToDelete.parentId,
+    index: parentNode ? parentNode.children.indexOf(nodeId) : -1,
+    nodes,
+    mergeEdges: mergeNodes.map(node => ({
+      id: node.id,
+      parentIds: node.mergeParentIds.filter(id => descendantIds.includes(id))
+    }))
   };
-  getDescendants(nodeId);
 
   // Remove the node from its parent's children array
   if (nodeToDelete.parentId) {
-    const parentNode = this.getNodeById(nodeToDelete.parentId);
-    if (parentNode) {
-      parentNode.children = parentNode.children.filter(id => id !== nodeId);
-    }
+    await Node.updateOne(
+      { conversationId: this._id, id: nodeToDelete.parentId },
+      { $pull: { children: nodeId } }
+    );
   }
 
   // Remove all descendant nodes
-  this.nodes = this.nodes.filter(node => !descendantIds.has(node.id));
-  
-  this.lastModified = new Date();
-  return true;
+  const { deletedCount } = await Node.deleteMany({ conversationId: this._id, id: { $in: descendantIds } });
+
+  // Merge nodes elsewhere lose their edges to the deleted nodes
+  await Node.updateMany(
+    { conversationId: this._id, mergeParentIds: { $in: descendantIds } },
+    { $pull: { mergeParentIds: { $in: descendantIds } } }
+  );
+
+  await this.touch(-deletedCount);
+  return removed;
+};
+
+// Put back a subtree removed by deleteNode, at its old place among the
+// parent's children (or last under another parentId the caller passes),
+// along with merge edges other nodes had to it. Resolves with the stored
+// nodes, or null when the parent no longer exists.
+conversationSchema.methods.restoreSubtree = async function({ nodeId, parentId, index, nodes, mergeEdges = [] }) {
+  const parentNode = await this.getNodeById(parentId);
+  if (!parentNode) {
+    return null;
+  }
+
+  const inserted = await this.insertNodes(nodes.map(node => (node.id === nodeId ? { ...node, parentId } : node)));
+  await Node.updateOne(
+    { conversationId: this._id, id: parentId },
+    { $push: { children: { $each: [nodeId], $position: index >= 0 ? index : parentNode.children.length } } }
+  );
+  await Promise.all(mergeEdges.map(edge => Node.updateOne(
+    { conversationId: this._id, id: edge.id },
+    { $addToSet: { mergeParentIds: { $each: edge.parentIds } } }
+  )));
+  return inserted;
 };
 
-// Method to get tree structure
-conversationSchema.methods.getTreeStructure = function() {
-  const nodeMap = new Map();
-  const rootNodes = [];
+// Plain copies of a node and its descendants with fresh ids, ready for
+// insertNodes or attachSubtree; the copy of nodeId comes first and has no
+// parent. Merge edges to nodes outside the subtree are dropped, and each copy
+// records the node it came from. Resolves with [] if the node does not exist.
+conversationSchema.methods.copySubtree = async function(nodeId) {
+  const ids = await this.getSubtreeIds(nodeId);
+  const nodes = await Node.find({ conversationId: this._id, id: { $in: ids } }).lean();
+  if (nodes.length === 0) {
+    return [];
+  }
+
+  const newIds = new Map(ids.map(id => [id, uuidv4()]));
+  const copiedAt = new Date();
+  const inSubtree = (list) => (list || []).filter(id => newIds.has(id)).map(id => newIds.get(id));
 
-  // Create a map of all nodes
-  this.nodes.forEach(node => {
-    nodeMap.set(node.id, {
-      ...node.toObject(),
-      children: []
+  return nodes
+    .sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id))
+    .map(node => {
+      const { _id, __v, conversationId, updatedAt, ...fields } = node;
+      const mergeParentIds = inSubtree(node.mergeParentIds);
+      return {
+        ...fields,
+        id: newIds.get(node.id),
+        parentId: node.id === nodeId ? null : newIds.get(node.parentId),
+        children: inSubtree(node.children),
+        mergeParentIds: mergeParentIds.length > 0 ? mergeParentIds : undefined,
+        // Copies are laid out next to their new parent, not where they were
+        position: { x: 0, y: 0 },
+        origin: { conversationId: this._id, nodeId: node.id, copiedAt }
+      };
     });
-  });
+};
 
-  // Build the tree structure
-  this.nodes.forEach(node => {
-    if (node.parentId) {
-      const parent = nodeMap.get(node.parentId);
-      if (parent) {
-        parent.children.push(nodeMap.get(node.id));
-      }
-    } else {
-      rootNodes.push(nodeMap.get(node.id));
+// Insert a subtree from copySubtree under parentId. Resolves with the stored
+// nodes, or null when the parent does not exist.
+conversationSchema.methods.attachSubtree = async function(parentId, nodes) {
+  const parentNode = await this.getNodeById(parentId);
+  if (!parentNode || nodes.length === 0) {
+    return null;
+  }
+
+  const [root, ...rest] = nodes;
+  const inserted = await this.insertNodes([{ ...root, parentId }, ...rest]);
+  await Node.updateOne(
+    { conversationId: this._id, id: parentId },
+    { $push: { children: root.id } }
+  );
+  return inserted;
+};
+
+// Error for a tree operation the caller asked for but cannot be done
+const treeError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Move a node and its subtree under newParentId at position index among the
+// new siblings (default: last). Also reorders when the parent is unchanged.
+// Throws errors with a .status when the move is not possible. Resolves with
+// where the node was and where it went: { from, to } as { parentId, index },
+// plus droppedMergeParent when the new parent was one of its merge parents.
+conversationSchema.methods.moveNode = async function(nodeId, newParentId, index = null) {
+  if (nodeId === this.rootNodeId) {
+    throw treeError(400, 'Cannot move the root node');
+  }
+
+  const node = await this.getNodeById(nodeId);
+  if (!node) {
+    throw treeError(404, 'Node not found');
+  }
+  const newParent = await this.getNodeById(newParentId);
+  if (!newParent) {
+    throw treeError(404, 'Parent node not found');
+  }
+  if ((await this.getSubtreeIds(nodeId, { followMerges: true })).includes(newParentId)) {
+    throw treeError(400, 'Cannot move a node under itself or its descendants');
+  }
+
+  const oldParent = node.parentId ? await this.getNodeById(node.parentId) : null;
+  const droppedMergeParent = (node.mergeParentIds || []).includes(newParentId);
+  const from = {
+    parentId: node.parentId,
+    index: oldParent ? oldParent.children.indexOf(nodeId) : -1
+  };
+
+  // Positions are counted after the node has left its old place, so
+  // reordering within the same parent works the same way
+  const siblings = newParent.children.filter(id => id !== nodeId);
+  const position = Number.isInteger(index)
+    ? Math.min(Math.max(index, 0), siblings.length)
+    : siblings.length;
+
+  if (oldParent) {
+    await Node.updateOne(
+      { conversationId: this._id, id: oldParent.id },
+      { $pull: { children: nodeId } }
+    );
+  }
+  await Node.updateOne(
+    { conversationId: this._id, id: newParentId },
+    { $push: { children: { $each: [nodeId], $position: position } } }
+  );
+  // A merge node moved under one of its merge parents keeps a single edge to it
+  await Node.updateOne(
+    { conversationId: this._id, id: nodeId },
+    { $set: { parentId: newParentId }, $pull: { mergeParentIds: newParentId } }
+  );
+
+  await this.touch();
+  return {
+    from,
+    to: { parentId: newParentId, index: position },
+    ...(droppedMergeParent && { droppedMergeParent })
+  };
+};
+
+// Store hand-placed node positions; positions maps node ids to { x, y }.
+// Ids that are not in the conversation are skipped. Resolves with the number
+// of nodes found. Layout is not a content change, so lastModified is kept.
+conversationSchema.methods.setNodePositions = async function(positions) {
+  const entries = Object.entries(positions);
+  if (entries.length === 0) {
+    return 0;
+  }
+
+  const result = await Node.bulkWrite(entries.map(([id, { x, y }]) => ({
+    updateOne: {
+      filter: { conversationId: this._id, id },
+      update: { $set: { position: { x, y } } }
     }
-  });
+  })), { ordered: false });
+  return result.matchedCount;
+};
 
-  return rootNodes;
+// Method to get tree structure; pass already loaded nodes to skip the query
+conversationSchema.methods.getTreeStructure = async function(nodes = null) {
+  return buildTree(nodes || await this.getNodes());
+};
+
+// The conversation as the REST API returns it: the document plus its flat
+// node list, the nested tree and whether undo/redo have anything to do
+conversationSchema.methods.toResponse = async function() {
+  const [nodes, canUndo, canRedo] = await Promise.all([
+    this.getNodes(),
+    Operation.exists({ conversationId: this._id, undone: false }),
+    Operation.exists({ conversationId: this._id, undone: true })
+  ]);
+  return {
+    ...this.toObject(),
+    nodes: nodes.map(node => node.toObject()),
+    treeStructure: await this.getTreeStructure(nodes),
+    history: { canUndo: Boolean(canUndo), canRedo: Boolean(canRedo) },
+    // Problems with side effects of the request that did not fail it
+    ...(this.$locals.warnings?.length && { warnings: this.$locals.warnings })
+  };
 };
 
 module.exports = mongoose.model('Conversation', conversationSchema);
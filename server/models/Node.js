@@ -0,0 +1,240 @@
+const mongoose = require('mongoose');
+const { providerValidator } = require('./validators');
+
+// One call made while answering a node, including retries and fallbacks
+const attemptSchema = new mongoose.Schema({
+  provider: String,
+  model: String,
+  attempt: Number,
+  success: Boolean,
+  cached: Boolean,
+  status: Number,
+  error: String,
+  durationMs: Number
+}, { _id: false });
+
+// One answer to a node's prompt. metadata is a copy of the node's metadata
+// at the time the answer was produced.
+const versionSchema = new mongoose.Schema({
+  prompt: String,
+  response: {
+    type: String,
+    required: true
+  },
+  metadata: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A node of a conversation tree. Nodes live in their own collection so a
+// branch only writes the new node and its parent, not the whole conversation.
+const nodeSchema = new mongoose.Schema({
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  id: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  prompt: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  response: {
+    type: String,
+    required: true
+  },
+  selectedText: {
+    type: String,
+    default: null
+  },
+  parentId: {
+    type: String,
+    default: null
+  },
+  // Other parents of a node that merges several branches. parentId stays the
+  // primary parent that owns the node in the tree; these only add edges.
+  mergeParentIds: {
+    type: [String],
+    default: undefined
+  },
+  mergeMode: {
+    type: String,
+    enum: ['synthesize', 'compare'],
+    default: undefined
+  },
+  // Node this one was copied from, when it came from another subtree
+  origin: {
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation'
+    },
+    nodeId: String,
+    copiedAt: Date
+  },
+  // Every answer the node has had, once it has been regenerated. prompt,
+  // response and metadata always hold the active version, so descendants
+  // use it as their context.
+  versions: {
+    type: [versionSchema],
+    default: undefined
+  },
+  activeVersion: {
+    type: Number,
+    default: 0
+  },
+  children: [{
+    type: String,
+    ref: 'Node'
+  }],
+  // Where the node was placed by hand; used when the conversation's
+  // settings.autoLayout is off. (0, 0) means it has not been placed.
+  position: {
+    x: { type: Number, default: 0 },
+    y: { type: Number, default: 0 }
+  },
+  metadata: {
+    apiProvider: {
+      type: String,
+      validate: providerValidator,
+      default: 'lmstudio'
+    },
+    // Provider the request asked for; differs from apiProvider after a fallback
+    requestedProvider: {
+      type: String,
+      default: null
+    },
+    attempts: {
+      type: [attemptSchema],
+      default: undefined
+    },
+    model: {
+      type: String,
+      default: 'gpt-3.5-turbo'
+    },
+    tokens: {
+      type: Number,
+      default: 0
+    },
+    responseTime: {
+      type: Number,
+      default: 0
+    },
+    // Answer was served from the response cache
+    cached: {
+      type: Boolean,
+      default: false
+    },
+    parameters: {
+      temperature: Number,
+      topP: Number,
+      maxTokens: Number,
+      stop: {
+        type: [String],
+        default: undefined
+      },
+      seed: Number,
+      systemPrompt: String
+    },
+    context: {
+      strategy: {
+        type: String,
+        enum: ['parent', 'full', 'lastN'],
+        default: null
+      },
+      turns: {
+        type: Number,
+        default: 0
+      },
+      tokens: {
+        type: Number,
+        default: 0
+      },
+      truncated: {
+        type: Boolean,
+        default: false
+      }
+    },
+    // How the history was fitted into the model's context window
+    contextWindow: {
+      contextLength: Number,
+      // Tokens kept free for the reply
+      reserved: Number,
+      budget: Number,
+      inputTokens: Number,
+      tokens: Number,
+      action: {
+        type: String,
+        enum: ['none', 'dropOldest', 'truncate', 'summarize']
+      },
+      // Overflow strategy configured; action differs when summarizing failed
+      strategy: {
+        type: String,
+        enum: ['dropOldest', 'truncate', 'summarize']
+      },
+      droppedMessages: Number,
+      truncatedMessages: Number,
+      summarizedMessages: Number,
+      // Why summarizing failed, when it did
+      summaryError: String
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// The node's current answer as a version entry
+nodeSchema.methods.toVersion = function() {
+  return {
+    prompt: this.prompt,
+    response: this.response,
+    metadata: this.metadata ? this.toObject().metadata : {},
+    createdAt: this.updatedAt || this.createdAt
+  };
+};
+
+// Make a version's answer the node's current one; false if it does not exist
+nodeSchema.methods.selectVersion = function(index) {
+  const version = this.versions?.[index];
+  if (!version) {
+    return false;
+  }
+
+  this.activeVersion = index;
+  this.prompt = version.prompt || this.prompt;
+  this.response = version.response;
+  this.metadata = version.metadata || {};
+  return true;
+};
+
+// Store a new answer ({ prompt?, response, metadata }) and make it active.
+// The first call also records the original answer as version 0.
+nodeSchema.methods.addVersion = function({ prompt, response, metadata }) {
+  if (!this.versions || this.versions.length === 0) {
+    this.versions = [this.toVersion()];
+  }
+
+  this.versions.push({ prompt: prompt || this.prompt, response, metadata, createdAt: new Date() });
+  return this.selectVersion(this.versions.length - 1);
+};
+
+// Node ids are unique within a conversation
+nodeSchema.index({ conversationId: 1, id: 1 }, { unique: true });
+nodeSchema.index({ conversationId: 1, parentId: 1 });
+nodeSchema.index({ conversationId: 1, mergeParentIds: 1 }, { sparse: true });
+
+module.exports = mongoose.model('Node', nodeSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// One change to a conversation, kept so historyService can undo and redo it.
+// data holds what each direction needs:
+// - branch: { nodeId, parentId } (a subtree was added)
+// - delete: { nodeId } (a subtree was removed)
+// Removed subtrees are kept in the trash (TrashedSubtree, found by
+// conversationId and nodeId), not here, whichever direction removed them.
+// - title: { nodeId, from, to }
+// - settings: { from, to }
+// - move: { nodeId, from, to, droppedMergeParent? } (Conversation#moveNode)
+const operationSchema = new mongoose.Schema({
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['branch', 'delete', 'title', 'settings', 'move'],
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  undone: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+operationSchema.index({ conversationId: 1, undone: 1, _id: -1 });
+
+module.exports = mongoose.model('Operation', operationSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A conversation's tree as it was at one point in time. Named snapshots are
+// taken by the user and kept; automatic ones are taken by snapshotService as
+// the conversation changes, and only the latest few are kept. The nodes live
+// in the SnapshotNode collection.
+const snapshotSchema = new mongoose.Schema({
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null
+  },
+  automatic: {
+    type: Boolean,
+    default: false
+  },
+  // The conversation's own fields at the time, for restoring
+  title: String,
+  rootNodeId: String,
+  settings: mongoose.Schema.Types.Mixed,
+  nodeCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+snapshotSchema.index({ conversationId: 1, createdAt: -1 });
+snapshotSchema.index({ conversationId: 1, automatic: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Snapshot', snapshotSchema);
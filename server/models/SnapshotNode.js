@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// One node of a snapshot, stored apart from the snapshot itself so a large
+// tree is never bound by the document size limit
+const snapshotNodeSchema = new mongoose.Schema({
+  snapshotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Snapshot',
+    required: true
+  },
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  // Position in the conversation's creation order
+  index: {
+    type: Number,
+    required: true
+  },
+  // Plain node document without _id and conversationId
+  node: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, { minimize: false });
+
+snapshotNodeSchema.index({ snapshotId: 1, index: 1 });
+snapshotNodeSchema.index({ conversationId: 1 });
+
+module.exports = mongoose.model('SnapshotNode', snapshotNodeSchema);
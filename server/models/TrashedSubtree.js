@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A deleted node and its descendants, kept until the trash retention period
+// ends. removed is what Conversation#deleteNode resolved with, so
+// Conversation#restoreSubtree can put it back.
+const trashedSubtreeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  nodeId: {
+    type: String,
+    required: true
+  },
+  title: String,
+  nodeCount: Number,
+  removed: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+trashedSubtreeSchema.index({ userId: 1, deletedAt: -1 });
+trashedSubtreeSchema.index({ conversationId: 1, nodeId: 1 });
+trashedSubtreeSchema.index({ deletedAt: 1 });
+
+module.exports = mongoose.model('TrashedSubtree', trashedSubtreeSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// One entry per generation, written by AIService when a request carries usage info
+const usageRecordSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    default: null
+  },
+  kind: {
+    type: String,
+    enum: ['generation', 'summary', 'test'],
+    default: 'generation'
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  requestedProvider: {
+    type: String,
+    default: null
+  },
+  model: {
+    type: String,
+    default: null
+  },
+  tokens: {
+    type: Number,
+    default: 0
+  },
+  responseTime: {
+    type: Number,
+    default: 0
+  },
+  cached: {
+    type: Boolean,
+    default: false
+  },
+  // Paid for with the user's own API key; not counted against quotas
+  byok: {
+    type: Boolean,
+    default: false
+  },
+  success: {
+    type: Boolean,
+    default: true
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+usageRecordSchema.index({ userId: 1, createdAt: -1 });
+usageRecordSchema.index({ userId: 1, provider: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UsageRecord', usageRecordSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { providerValidator } = require('./validators');
+const { encrypt, decrypt } = require('../utils/encryption');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -19,6 +21,24 @@ const userSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // Per-user token limits set by an admin; null falls back to config/quotas.js
+  quota: {
+    dailyTokens: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    monthlyTokens: {
+      type: Number,
+      min: 0,
+      default: null
+    }
+  },
   avatar: {
     type: String,
     default: null
@@ -31,10 +51,50 @@ const userSchema = new mongoose.Schema({
     },
     defaultApiProvider: {
       type: String,
-      enum: ['lmstudio', 'openai', 'google', 'groq'],
+      validate: providerValidator,
       default: 'lmstudio'
-    }
+    },
+    fallbackProviders: [{
+      _id: false,
+      provider: {
+        type: String,
+        validate: providerValidator
+      },
+      model: {
+        type: String,
+        default: null
+      }
+    }]
   },
+  // Bring-your-own provider keys, encrypted with KEY_ENCRYPTION_KEY.
+  // Never serialized (see toJSON); use getApiKeySummary for status.
+  apiKeys: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    ciphertext: {
+      type: String,
+      required: true
+    },
+    iv: {
+      type: String,
+      required: true
+    },
+    authTag: {
+      type: String,
+      required: true
+    },
+    kekVersion: {
+      type: Number,
+      default: 1
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -65,10 +125,34 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+// Store (or replace) the encrypted key for a provider
+userSchema.methods.setApiKey = function(provider, apiKey) {
+  this.apiKeys = this.apiKeys.filter(entry => entry.provider !== provider);
+  this.apiKeys.push({ provider, ...encrypt(apiKey), updatedAt: new Date() });
+};
+
+userSchema.methods.removeApiKey = function(provider) {
+  const count = this.apiKeys.length;
+  this.apiKeys = this.apiKeys.filter(entry => entry.provider !== provider);
+  return this.apiKeys.length < count;
+};
+
+// Decrypted key for a provider, or null
+userSchema.methods.getApiKey = function(provider) {
+  const entry = this.apiKeys.find(key => key.provider === provider);
+  return entry ? decrypt(entry) : null;
+};
+
+// Which providers have a stored key; never includes key material
+userSchema.methods.getApiKeySummary = function() {
+  return this.apiKeys.map(({ provider, updatedAt }) => ({ provider, configured: true, updatedAt }));
+};
+
+// Remove password and stored keys from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.apiKeys;
   return user;
 };
 
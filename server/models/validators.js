@@ -0,0 +1,10 @@
+const providerRegistry = require('../providers');
+
+// Shared schema validators
+
+const providerValidator = {
+  validator: (value) => providerRegistry.has(value),
+  message: (props) => `${props.value} is not a configured AI provider`
+};
+
+module.exports = { providerValidator };
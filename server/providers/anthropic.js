@@ -0,0 +1,122 @@
+const BaseProvider = require('./base');
+
+// Adapter for the Anthropic Messages API
+class AnthropicProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    this.apiVersion = config.apiVersion || '2023-06-01';
+    this.modelsEndpoint = config.modelsEndpoint || '/v1/models';
+    this.parameterLimits.temperature = { min: 0, max: 1 };
+    this.parameterLimits.stop = { maxItems: 16 };
+    // The Messages API has no sampling seed
+    this.parameterLimits.seed = false;
+  }
+
+  getHeaders(apiKeyOverride = null) {
+    const apiKey = this.getApiKey(apiKeyOverride);
+    return {
+      ...super.getHeaders(),
+      'anthropic-version': this.apiVersion,
+      ...(apiKey ? { 'x-api-key': apiKey } : {})
+    };
+  }
+
+  // System messages become the top-level `system` field; consecutive turns
+  // from the same role are merged so user/assistant strictly alternate
+  buildMessages(prompt, context, systemPrompt) {
+    const system = systemPrompt ? [systemPrompt] : [];
+    const messages = [];
+
+    [...context, { role: 'user', content: prompt }].forEach(msg => {
+      if (msg.role === 'system') {
+        system.push(msg.content);
+        return;
+      }
+      const role = msg.role === 'assistant' ? 'assistant' : 'user';
+      const last = messages[messages.length - 1];
+      if (last && last.role === role) {
+        last.content += `\n\n${msg.content}`;
+      } else {
+        messages.push({ role, content: msg.content });
+      }
+    });
+
+    // The conversation must open with a user turn
+    if (messages[0]?.role === 'assistant') {
+      messages.unshift({ role: 'user', content: '(continued conversation)' });
+    }
+
+    return { system: system.join('\n\n'), messages };
+  }
+
+  buildRequest(prompt, model, context, options = {}) {
+    const selectedModel = this.resolveModel(model);
+    const parameters = options.parameters || {};
+    const { system, messages } = this.buildMessages(prompt, context, parameters.systemPrompt);
+
+    const body = {
+      model: selectedModel,
+      messages,
+      max_tokens: parameters.maxTokens || this.maxTokens,
+      temperature: parameters.temperature ?? 0.7,
+      stream: !!options.stream
+    };
+    if (parameters.topP !== undefined) body.top_p = parameters.topP;
+    if (parameters.stop) body.stop_sequences = parameters.stop;
+    if (system) {
+      body.system = system;
+    }
+
+    return {
+      url: `${this.baseURL}${this.endpoint}`,
+      body,
+      headers: this.getHeaders(options.apiKey),
+      model: selectedModel
+    };
+  }
+
+  parseResponse(data, model) {
+    return {
+      content: (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      tokens: (data.usage?.input_tokens || 0) + (data.usage?.output_tokens || 0),
+      model: data.model || model
+    };
+  }
+
+  // Input tokens arrive in message_start and output tokens in message_delta,
+  // so the running total is kept in the per-stream state object
+  parseStreamChunk(chunk, state = {}) {
+    switch (chunk.type) {
+      case 'message_start':
+        state.inputTokens = chunk.message?.usage?.input_tokens || 0;
+        return { delta: '', model: chunk.message?.model };
+      case 'content_block_delta':
+        return { delta: chunk.delta?.type === 'text_delta' ? chunk.delta.text : '' };
+      case 'message_delta':
+        return {
+          delta: '',
+          tokens: (state.inputTokens || 0) + (chunk.usage?.output_tokens || 0)
+        };
+      case 'error':
+        throw new Error(chunk.error?.message || 'Stream error');
+      default:
+        return { delta: '' };
+    }
+  }
+
+  async healthCheck(http, apiKey = null) {
+    const response = await http.get(`${this.baseURL}${this.modelsEndpoint}`, {
+      headers: this.getHeaders(apiKey),
+      timeout: 15000
+    });
+    return {
+      healthy: true,
+      models: (response.data?.data || []).map(model => model.id)
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
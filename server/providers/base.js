@@ -0,0 +1,201 @@
+// Base class for AI provider adapters.
+//
+// An adapter turns a prompt + context into an HTTP request for its backend and
+// turns the backend's reply back into `{ content, tokens, model }`. Subclasses
+// must implement buildRequest, parseResponse and parseStreamChunk; everything
+// else has a sensible default driven by the provider's config entry.
+class BaseProvider {
+  constructor(config) {
+    this.id = config.id;
+    this.type = config.type;
+    this.name = config.name || config.id;
+    this.description = config.description || '';
+    this.icon = config.icon || null;
+    this.baseURL = config.baseURL;
+    this.endpoint = config.endpoint || '';
+    this.apiKeyEnv = config.apiKeyEnv || null;
+    this.headers = config.headers || {};
+    this.models = config.models || [];
+    this.defaultModel = config.defaultModel || this.models[0] || null;
+    this.maxTokens = config.maxTokens || 1000;
+    this.timeout = config.timeout || 120000;
+    // Whether the provider may be used in FREE_MODE, optionally only for
+    // models ending with freeModelSuffix (e.g. OpenRouter ':free' models)
+    this.free = !!config.free;
+    this.freeModelSuffix = config.freeModelSuffix || null;
+    // 'sse' for `data:` event streams, 'ndjson' for one JSON object per line
+    this.streamFormat = config.streamFormat || 'sse';
+    // Accepted generation parameters; adapters tighten these for their API.
+    // A parameter set to false is not supported by the provider.
+    this.parameterLimits = {
+      temperature: { min: 0, max: 2 },
+      topP: { min: 0, max: 1 },
+      maxTokens: { min: 1, max: config.maxOutputTokens || 32768 },
+      stop: { maxItems: 4 },
+      seed: {},
+      systemPrompt: { maxLength: 20000 }
+    };
+  }
+
+  // A per-request key (e.g. the user's own) wins over the server's env key
+  getApiKey(override = null) {
+    if (override) return override;
+    return this.apiKeyEnv ? process.env[this.apiKeyEnv] || null : null;
+  }
+
+  hasAuth() {
+    return !!this.getApiKey();
+  }
+
+  // Providers authenticated by an API key can use keys supplied by users
+  acceptsApiKey() {
+    return !!this.apiKeyEnv;
+  }
+
+  getHeaders(apiKey = null) {
+    return {
+      'Content-Type': 'application/json',
+      ...this.headers
+    };
+  }
+
+  resolveModel(model) {
+    return model || this.defaultModel;
+  }
+
+  // Validate user-supplied generation parameters against this provider's
+  // limits. Returns { parameters, errors } with only the values that were set.
+  validateParameters(raw = {}) {
+    const parameters = {};
+    const errors = [];
+    const limits = this.parameterLimits;
+    const input = {
+      ...raw,
+      topP: raw.topP ?? raw.top_p,
+      maxTokens: raw.maxTokens ?? raw.max_tokens
+    };
+    const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+    const unsupported = (key) => {
+      if (limits[key] === false) {
+        errors.push(`${key} is not supported by ${this.name}`);
+        return true;
+      }
+      return false;
+    };
+
+    ['temperature', 'topP', 'maxTokens', 'seed'].forEach(key => {
+      if (!isSet(input[key]) || unsupported(key)) return;
+      const value = Number(input[key]);
+      const integer = key === 'maxTokens' || key === 'seed';
+      const { min, max } = limits[key];
+
+      if (!Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+        errors.push(`${key} must be ${integer ? 'an integer' : 'a number'}`);
+      } else if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+        errors.push(`${key} must be between ${min} and ${max} for ${this.name}`);
+      } else {
+        parameters[key] = value;
+      }
+    });
+
+    if (isSet(input.stop) && !unsupported('stop')) {
+      const stop = (Array.isArray(input.stop) ? input.stop : [input.stop])
+        .filter(item => typeof item === 'string' && item.length > 0);
+      if (stop.length > limits.stop.maxItems) {
+        errors.push(`${this.name} accepts at most ${limits.stop.maxItems} stop sequences`);
+      } else if (stop.length > 0) {
+        parameters.stop = stop;
+      }
+    }
+
+    if (isSet(input.systemPrompt) && !unsupported('systemPrompt')) {
+      if (typeof input.systemPrompt !== 'string') {
+        errors.push('systemPrompt must be a string');
+      } else if (input.systemPrompt.length > limits.systemPrompt.maxLength) {
+        errors.push(`systemPrompt must be at most ${limits.systemPrompt.maxLength} characters`);
+      } else if (input.systemPrompt.trim()) {
+        parameters.systemPrompt = input.systemPrompt.trim();
+      }
+    }
+
+    return { parameters, errors };
+  }
+
+  // Returns { url, body, headers, model }. options.parameters holds the
+  // validated generation parameters, options.stream requests streaming and
+  // options.apiKey overrides the configured key.
+  buildRequest(prompt, model, context, options = {}) {
+    throw new Error(`Provider ${this.id} does not implement buildRequest`);
+  }
+
+  // Returns { content, tokens, model }
+  parseResponse(data, model) {
+    throw new Error(`Provider ${this.id} does not implement parseResponse`);
+  }
+
+  // Returns { delta, tokens, model } for one streamed chunk. `state` is a
+  // per-stream object adapters may use to accumulate values across chunks.
+  parseStreamChunk(chunk, state) {
+    throw new Error(`Provider ${this.id} does not implement parseStreamChunk`);
+  }
+
+  // Extract a readable message from an axios error (body is the raw
+  // response text for streamed requests)
+  parseError(error, body) {
+    const data = body || error.response?.data;
+    if (typeof data === 'string' && data) {
+      try {
+        const parsed = JSON.parse(data);
+        return parsed.error?.message || parsed.error || data;
+      } catch {
+        return data;
+      }
+    }
+    return data?.error?.message || data?.error || error.message;
+  }
+
+  isAvailableInFreeMode() {
+    return this.free;
+  }
+
+  isModelAllowedInFreeMode(model) {
+    if (!this.free) return false;
+    if (!this.freeModelSuffix || !model) return true;
+    return model.endsWith(this.freeModelSuffix);
+  }
+
+  listModels() {
+    if (process.env.FREE_MODE === 'true') {
+      return this.models.filter(model => this.isModelAllowedInFreeMode(model));
+    }
+    return this.models;
+  }
+
+  // Default health check: a minimal request must come back successfully.
+  // Adapters with a cheaper endpoint (e.g. a model list) should override.
+  async healthCheck(http, apiKey = null) {
+    const request = this.buildRequest('ping', null, [], { parameters: { maxTokens: 1 }, apiKey });
+    await http.post(request.url, request.body, { headers: request.headers, timeout: 15000 });
+    return { healthy: true };
+  }
+
+  // Public, non-sensitive description for API responses
+  describe() {
+    return {
+      id: this.id,
+      type: this.type,
+      name: this.name,
+      description: this.description,
+      icon: this.icon,
+      baseURL: this.baseURL,
+      endpoint: this.endpoint,
+      hasAuth: this.hasAuth(),
+      acceptsApiKey: this.acceptsApiKey(),
+      defaultModel: this.defaultModel,
+      models: this.listModels()
+    };
+  }
+}
+
+module.exports = BaseProvider;
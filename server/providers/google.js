@@ -0,0 +1,83 @@
+const BaseProvider = require('./base');
+
+// Adapter for Google AI (Gemini) generateContent / streamGenerateContent
+class GoogleProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    this.parameterLimits.stop = { maxItems: 5 };
+  }
+
+  buildContents(prompt, context) {
+    return [
+      ...context.map(msg => ({
+        role: msg.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: msg.content }]
+      })),
+      {
+        role: 'user',
+        parts: [{ text: prompt }]
+      }
+    ];
+  }
+
+  resolveModel(model) {
+    // gemini-1.5-flash is the most cost-effective default
+    return model || process.env.GEMINI_DEFAULT_MODEL || this.defaultModel || 'gemini-1.5-flash';
+  }
+
+  buildRequest(prompt, model, context, options = {}) {
+    const selectedModel = this.resolveModel(model);
+    const method = options.stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+    const parameters = options.parameters || {};
+
+    const generationConfig = {
+      maxOutputTokens: parameters.maxTokens || this.maxTokens,
+      temperature: parameters.temperature ?? 0.7
+    };
+    if (parameters.topP !== undefined) generationConfig.topP = parameters.topP;
+    if (parameters.stop) generationConfig.stopSequences = parameters.stop;
+    if (parameters.seed !== undefined) generationConfig.seed = parameters.seed;
+
+    const body = {
+      contents: this.buildContents(prompt, context),
+      generationConfig
+    };
+    if (parameters.systemPrompt) {
+      body.systemInstruction = { parts: [{ text: parameters.systemPrompt }] };
+    }
+
+    return {
+      url: `${this.baseURL}${this.endpoint}/${selectedModel}:${method}key=${this.getApiKey(options.apiKey)}`,
+      body,
+      headers: this.getHeaders(),
+      model: selectedModel
+    };
+  }
+
+  parseResponse(data, model) {
+    return {
+      content: (data?.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join(''),
+      tokens: data?.usageMetadata?.totalTokenCount || 0,
+      model
+    };
+  }
+
+  parseStreamChunk(chunk) {
+    return {
+      delta: (chunk.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join(''),
+      tokens: chunk.usageMetadata?.totalTokenCount || 0
+    };
+  }
+
+  async healthCheck(http, apiKey = null) {
+    const response = await http.get(`${this.baseURL}${this.endpoint}?key=${this.getApiKey(apiKey)}`, {
+      timeout: 15000
+    });
+    return {
+      healthy: true,
+      models: (response.data?.models || []).map(model => model.name.replace('models/', ''))
+    };
+  }
+}
+
+module.exports = GoogleProvider;
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const BaseProvider = require('./base');
+
+// Registry of configured provider adapters, keyed by provider id
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  // Read provider entries from PROVIDERS_CONFIG (JSON) or the bundled defaults
+  loadConfig() {
+    const configPath = process.env.PROVIDERS_CONFIG;
+    if (configPath) {
+      const resolved = path.resolve(configPath);
+      console.log(`Loading AI providers from ${resolved}`);
+      return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    }
+    return require('../config/providers');
+  }
+
+  // Instantiate the adapter module named by each entry's `type`
+  load(configs = this.loadConfig()) {
+    this.providers.clear();
+    configs.forEach(config => this.register(config));
+    return this;
+  }
+
+  register(config) {
+    if (!config.id || !config.type) {
+      throw new Error('Provider config requires an id and a type');
+    }
+
+    let Adapter;
+    try {
+      Adapter = require(`./${config.type}`);
+    } catch (error) {
+      if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    }
+    if (!Adapter || !(Adapter.prototype instanceof BaseProvider)) {
+      throw new Error(`Unknown provider type "${config.type}" for provider ${config.id}`);
+    }
+
+    this.providers.set(config.id, new Adapter(config));
+  }
+
+  get(id) {
+    return this.providers.get(id) || null;
+  }
+
+  has(id) {
+    return this.providers.has(id);
+  }
+
+  ids() {
+    return Array.from(this.providers.keys());
+  }
+
+  list() {
+    return Array.from(this.providers.values());
+  }
+}
+
+// Create singleton instance
+const providerRegistry = new ProviderRegistry().load();
+
+module.exports = providerRegistry;
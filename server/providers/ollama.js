@@ -0,0 +1,86 @@
+const BaseProvider = require('./base');
+
+// Adapter for Ollama's native /api/chat endpoint (NDJSON streaming)
+class OllamaProvider extends BaseProvider {
+  constructor(config) {
+    super({ streamFormat: 'ndjson', ...config });
+    this.modelsEndpoint = config.modelsEndpoint || '/api/tags';
+    this.parameterLimits.stop = { maxItems: 16 };
+  }
+
+  buildMessages(prompt, context, systemPrompt) {
+    return [
+      ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+      ...context.map(msg => ({
+        role: msg.role || 'user',
+        content: msg.content
+      })),
+      {
+        role: 'user',
+        content: prompt
+      }
+    ];
+  }
+
+  buildRequest(prompt, model, context, options = {}) {
+    const selectedModel = this.resolveModel(model);
+    const parameters = options.parameters || {};
+
+    const modelOptions = {
+      temperature: parameters.temperature ?? 0.7,
+      num_predict: parameters.maxTokens || this.maxTokens
+    };
+    if (parameters.topP !== undefined) modelOptions.top_p = parameters.topP;
+    if (parameters.stop) modelOptions.stop = parameters.stop;
+    if (parameters.seed !== undefined) modelOptions.seed = parameters.seed;
+
+    return {
+      url: `${this.baseURL}${this.endpoint}`,
+      body: {
+        model: selectedModel,
+        messages: this.buildMessages(prompt, context, parameters.systemPrompt),
+        stream: !!options.stream,
+        options: modelOptions
+      },
+      headers: this.getHeaders(),
+      model: selectedModel
+    };
+  }
+
+  // Ollama reports prompt and completion counts separately
+  countTokens(data) {
+    return (data.prompt_eval_count || 0) + (data.eval_count || 0);
+  }
+
+  parseResponse(data, model) {
+    return {
+      content: data.message?.content || '',
+      tokens: this.countTokens(data),
+      model: data.model || model
+    };
+  }
+
+  parseStreamChunk(chunk) {
+    if (chunk.error) {
+      throw new Error(chunk.error);
+    }
+    return {
+      delta: chunk.message?.content || '',
+      tokens: chunk.done ? this.countTokens(chunk) : 0,
+      model: chunk.model
+    };
+  }
+
+  async healthCheck(http) {
+    const response = await http.get(`${this.baseURL}${this.modelsEndpoint}`, {
+      headers: this.getHeaders(),
+      timeout: 15000
+    });
+    return {
+      healthy: true,
+      models: (response.data?.models || []).map(model => model.name)
+    };
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,89 @@
+const BaseProvider = require('./base');
+
+// Adapter for any backend speaking the OpenAI chat completions format
+// (OpenAI, LM Studio, Groq, OpenRouter, ...)
+class OpenAICompatibleProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    this.modelsEndpoint = config.modelsEndpoint || '/v1/models';
+  }
+
+  getHeaders(apiKeyOverride = null) {
+    const apiKey = this.getApiKey(apiKeyOverride);
+    return {
+      ...super.getHeaders(),
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+    };
+  }
+
+  buildMessages(prompt, context, systemPrompt) {
+    return [
+      ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+      ...context.map(msg => ({
+        role: msg.role || 'user',
+        content: msg.content
+      })),
+      {
+        role: 'user',
+        content: prompt
+      }
+    ];
+  }
+
+  buildRequest(prompt, model, context, options = {}) {
+    const selectedModel = this.resolveModel(model);
+    const parameters = options.parameters || {};
+    const body = {
+      model: selectedModel,
+      messages: this.buildMessages(prompt, context, parameters.systemPrompt),
+      max_tokens: parameters.maxTokens || this.maxTokens,
+      temperature: parameters.temperature ?? 0.7,
+      stream: !!options.stream
+    };
+    if (parameters.topP !== undefined) body.top_p = parameters.topP;
+    if (parameters.stop) body.stop = parameters.stop;
+    if (parameters.seed !== undefined) body.seed = parameters.seed;
+    if (options.stream) {
+      body.stream_options = { include_usage: true };
+    }
+
+    return {
+      url: `${this.baseURL}${this.endpoint}`,
+      body,
+      headers: this.getHeaders(options.apiKey),
+      model: selectedModel
+    };
+  }
+
+  parseResponse(data, model) {
+    return {
+      content: data.choices?.[0]?.message?.content || '',
+      tokens: data.usage?.total_tokens || 0,
+      model: data.model || model
+    };
+  }
+
+  parseStreamChunk(chunk) {
+    if (chunk.error) {
+      throw new Error(chunk.error.message || 'Stream error');
+    }
+    return {
+      delta: chunk.choices?.[0]?.delta?.content || '',
+      tokens: chunk.usage?.total_tokens || 0,
+      model: chunk.model
+    };
+  }
+
+  async healthCheck(http, apiKey = null) {
+    const response = await http.get(`${this.baseURL}${this.modelsEndpoint}`, {
+      headers: this.getHeaders(apiKey),
+      timeout: 15000
+    });
+    return {
+      healthy: true,
+      models: (response.data?.data || []).map(model => model.id)
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
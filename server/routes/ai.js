@@ -1,11 +1,76 @@
 const express = require('express');
 const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
 const aiService = require('../services/aiService');
 const cacheService = require('../services/cache');
+const contextService = require('../services/contextService');
+const generationRegistry = require('../services/generationRegistry');
+const singleFlight = require('../services/singleFlight');
 const auth = require('../middleware/auth');
+const quota = require('../middleware/quota');
+const admin = require('../middleware/admin');
+const { initSSE, sendEvent } = require('../utils/sse');
+const { getAncestorPath } = require('../utils/tree');
 
-// Test AI provider connection
-router.post('/test-connection', auth, async (req, res) => {
+// Read cache filters from a query string or body; returns { filters } or { error }
+const parseCacheFilters = (source = {}) => {
+  const filters = {};
+  ['provider', 'model', 'userId', 'keyPrefix'].forEach(field => {
+    if (source[field]) filters[field] = String(source[field]);
+  });
+  if (filters.keyPrefix && !/^[0-9a-f]{4,64}$/i.test(filters.keyPrefix)) {
+    return { error: 'keyPrefix must be 4-64 hex characters' };
+  }
+  if (source.olderThan !== undefined && source.olderThan !== '') {
+    const olderThan = Number(source.olderThan);
+    if (!Number.isFinite(olderThan) || olderThan < 0) {
+      return { error: 'olderThan must be a non-negative number of milliseconds' };
+    }
+    filters.olderThan = olderThan;
+  }
+  return { filters };
+};
+
+// The model a node's answer was cached under: the one the answering chain
+// target asked for, or null when it used the provider's default (not the
+// model that actually answered). Only the node's attempts record it.
+const requestedModelOf = (node) => {
+  const answered = (node.metadata.attempts || []).find(attempt => attempt.success);
+  return answered ? answered.model || null : undefined;
+};
+
+// Cache requests that would have produced the nodes of an exported
+// conversation. Selection branches, merge nodes and nodes without recorded
+// attempts are skipped: their original prompt, context or requested model is
+// not stored, so their cache key cannot be rebuilt.
+const buildWarmEntries = (exported) => {
+  const nodes = exported.nodes || [];
+
+  return nodes
+    .filter(node => node.response && node.metadata?.apiProvider && !node.selectedText?.trim() && !node.mergeParentIds?.length)
+    .filter(node => requestedModelOf(node) !== undefined)
+    .map(node => {
+      const isRoot = node.id === exported.rootNodeId || !node.parentId;
+      return {
+        provider: node.metadata.apiProvider,
+        model: requestedModelOf(node),
+        prompt: node.prompt,
+        context: isRoot ? [] : contextService.buildContext(getAncestorPath(nodes, node.parentId), exported.settings?.context).messages,
+        response: {
+          id: uuidv4(),
+          content: node.response,
+          tokens: node.metadata.tokens || 0,
+          provider: node.metadata.apiProvider,
+          model: node.metadata.model || null
+        },
+        parameters: node.metadata.parameters || {}
+      };
+    });
+};
+
+// Test AI provider connection. Spends real tokens unless the user's own key
+// is tested, so it is recorded as usage (kind 'test') and subject to quotas.
+router.post('/test-connection', auth, quota, async (req, res) => {
   try {
     const { provider } = req.body;
     
@@ -13,7 +78,11 @@ router.post('/test-connection', auth, async (req, res) => {
       return res.status(400).json({ error: 'Provider is required' });
     }
 
-    const result = await aiService.testConnection(provider);
+    const result = await aiService.testConnection(provider, {
+      apiKeys: aiService.resolveApiKeys(req.user),
+      requester: { userId: req.user._id },
+      quotaUser: req.user
+    });
     res.json(result);
   } catch (error) {
     console.error('Test connection error:', error);
@@ -22,7 +91,9 @@ router.post('/test-connection', auth, async (req, res) => {
 });
 
 // Generate AI response
-router.post('/generate', auth, async (req, res) => {
+router.post('/generate', auth, quota, async (req, res) => {
+  let generation = null;
+
   try {
     const { prompt, provider = 'lmstudio', model = null, context = [], parentId = null } = req.body;
     
@@ -30,30 +101,148 @@ router.post('/generate', auth, async (req, res) => {
       return res.status(400).json({ error: 'Prompt is required' });
     }
 
-    const response = await aiService.generateResponse(prompt, provider, model, context);
+    const { parameters, errors } = aiService.validateParameters(provider, req.body.parameters);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid generation parameters', details: errors });
+    }
+    const contextErrors = aiService.validateContext(context);
+    if (contextErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid context', details: contextErrors });
+    }
+
+    const fallbacks = aiService.resolveFallbacks({ fallbacks: req.body.fallbacks, user: req.user });
+    generation = generationRegistry.track(req, res);
+    const response = await aiService.generateResponse(prompt, provider, model, context, {
+      parameters,
+      fallbacks,
+      overflow: req.body.overflow,
+      ...aiService.resolveCacheMode(req.body),
+      apiKeys: aiService.resolveApiKeys(req.user),
+      requester: { userId: req.user._id },
+      quotaUser: req.user,
+      signal: generation.signal
+    });
     
     res.json({
       success: true,
+      generationId: generation.id,
       data: {
         ...response,
         parentId
       }
     });
   } catch (error) {
+    if (error.cancelled) {
+      return res.status(499).json({ error: 'Generation cancelled', generationId: generation?.id });
+    }
     console.error('Generate response error:', error);
     res.status(500).json({ 
       error: 'Failed to generate response',
       message: error.message 
     });
+  } finally {
+    if (generation) generationRegistry.finish(generation.id);
+  }
+});
+
+// Generate AI response as a Server-Sent Events stream
+router.post('/generate/stream', auth, quota, async (req, res) => {
+  const { prompt, provider = 'lmstudio', model = null, context = [], parentId = null } = req.body;
+
+  if (!prompt) {
+    return res.status(400).json({ error: 'Prompt is required' });
+  }
+
+  const { parameters, errors } = aiService.validateParameters(provider, req.body.parameters);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid generation parameters', details: errors });
+  }
+  const contextErrors = aiService.validateContext(context);
+  if (contextErrors.length > 0) {
+    return res.status(400).json({ error: 'Invalid context', details: contextErrors });
+  }
+
+  const fallbacks = aiService.resolveFallbacks({ fallbacks: req.body.fallbacks, user: req.user });
+  const generation = generationRegistry.track(req, res);
+
+  initSSE(res);
+  sendEvent(res, 'start', { generationId: generation.id });
+
+  try {
+    const response = await aiService.streamResponse(prompt, provider, model, context, (delta) => {
+      sendEvent(res, 'delta', { content: delta });
+    }, {
+      parameters,
+      fallbacks,
+      overflow: req.body.overflow,
+      ...aiService.resolveCacheMode(req.body),
+      apiKeys: aiService.resolveApiKeys(req.user),
+      requester: { userId: req.user._id },
+      quotaUser: req.user,
+      signal: generation.signal
+    });
+
+    sendEvent(res, 'done', {
+      success: true,
+      generationId: generation.id,
+      data: {
+        ...response,
+        parentId
+      }
+    });
+  } catch (error) {
+    if (error.cancelled) {
+      sendEvent(res, 'cancelled', { generationId: generation.id });
+      return;
+    }
+    console.error('Stream response error:', error);
+    sendEvent(res, 'error', {
+      error: 'Failed to generate response',
+      message: error.message
+    });
+  } finally {
+    generationRegistry.finish(generation.id);
+    res.end();
+  }
+});
+
+// List the current user's in-flight generations
+router.get('/generations', auth, (req, res) => {
+  res.json({ generations: generationRegistry.list(req.user.id) });
+});
+
+// Cancel an in-flight generation
+router.post('/generations/:id/cancel', auth, (req, res) => {
+  const cancelled = generationRegistry.cancel(req.params.id, req.user.id);
+
+  if (!cancelled) {
+    return res.status(404).json({ error: 'Generation not found or already finished' });
   }
+
+  res.json({ success: true, generationId: req.params.id });
 });
 
 // Get available providers
 router.get('/providers', auth, (req, res) => {
   try {
-    const providers = aiService.getAvailableProviders();
+    const userKeyProviders = req.user.getApiKeySummary().map(key => key.provider);
+    const providers = aiService.getAvailableProviders(userKeyProviders).map(p => {
+      const { id, name, description, icon, defaultModel, hasAuth, acceptsApiKey } = aiService.getProviderConfig(p);
+      const hasUserKey = userKeyProviders.includes(p);
+      return {
+        id,
+        name,
+        description,
+        icon,
+        defaultModel,
+        hasAuth,
+        acceptsApiKey,
+        hasUserKey,
+        models: aiService.getModels(p, hasUserKey)
+      };
+    });
     const models = providers.reduce((acc, p) => {
-      acc[p] = aiService.getModels(p);
+      acc[p.id] = p.models;
       return acc;
     }, {});
     res.json({ providers, models });
@@ -77,7 +266,8 @@ router.get('/providers/:provider', auth, (req, res) => {
     const safeConfig = {
       baseURL: config.baseURL,
       endpoint: config.endpoint,
-      hasAuth: !!config.headers.Authorization
+      hasAuth: config.hasAuth,
+      acceptsApiKey: config.acceptsApiKey
     };
 
     res.json({ config: safeConfig });
@@ -87,21 +277,105 @@ router.get('/providers/:provider', auth, (req, res) => {
   }
 });
 
-// Get cache statistics
-router.get('/cache/stats', auth, (req, res) => {
+// Check provider reachability without generating a response
+router.get('/providers/:provider/health', auth, async (req, res) => {
   try {
-    const stats = cacheService.getStats();
-    res.json({ stats });
+    const { provider } = req.params;
+
+    if (!aiService.getProviderConfig(provider)) {
+      return res.status(404).json({ error: 'Provider not found' });
+    }
+
+    const health = await aiService.checkHealth(provider, aiService.resolveApiKeys(req.user)[provider]);
+    res.json({ health });
+  } catch (error) {
+    console.error('Provider health check error:', error);
+    res.status(500).json({ error: 'Failed to check provider health' });
+  }
+});
+
+// Get cache statistics (admin only)
+router.get('/cache/stats', auth, admin, async (req, res) => {
+  try {
+    const stats = await cacheService.getStats();
+    res.json({ stats, coalescing: singleFlight.getStats() });
   } catch (error) {
     console.error('Get cache stats error:', error);
     res.status(500).json({ error: 'Failed to get cache statistics' });
   }
 });
 
-// Clear cache
-router.post('/cache/clear', auth, (req, res) => {
+// List cache entries matching ?provider, ?model, ?userId, ?olderThan, ?keyPrefix (admin only)
+router.get('/cache/entries', auth, admin, async (req, res) => {
+  try {
+    const { filters, error } = parseCacheFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const result = await cacheService.listEntries(filters, { limit, offset });
+    res.json(result);
+  } catch (error) {
+    console.error('List cache entries error:', error);
+    res.status(500).json({ error: 'Failed to list cache entries' });
+  }
+});
+
+// Remove entries matching the filters in the body (admin only)
+router.post('/cache/invalidate', auth, admin, async (req, res) => {
+  try {
+    const { filters, error } = parseCacheFilters(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (Object.keys(filters).length === 0) {
+      return res.status(400).json({ error: 'At least one filter is required; use /cache/clear to remove everything' });
+    }
+
+    const removed = await cacheService.invalidate(filters);
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Invalidate cache error:', error);
+    res.status(500).json({ error: 'Failed to invalidate cache entries' });
+  }
+});
+
+// Pre-warm the cache from an exported conversation (admin only).
+// Body: { data: <export file>, userId?, conversationId? } — entries are
+// scoped to userId (default: the admin) and conversationId when given.
+router.post('/cache/warm', auth, admin, async (req, res) => {
+  try {
+    const exported = req.body.data?.conversation;
+    if (!exported || !Array.isArray(exported.nodes)) {
+      return res.status(400).json({ error: 'data must be a conversation export' });
+    }
+
+    const requester = {
+      userId: req.body.userId || req.user._id,
+      conversationId: req.body.conversationId || null
+    };
+    const entries = buildWarmEntries(exported);
+
+    for (const entry of entries) {
+      await cacheService.set(entry.provider, entry.model, entry.prompt, entry.context, entry.response, {
+        requester,
+        parameters: entry.parameters
+      });
+    }
+
+    res.json({ success: true, warmed: entries.length, skipped: exported.nodes.length - entries.length });
+  } catch (error) {
+    console.error('Warm cache error:', error);
+    res.status(500).json({ error: 'Failed to warm cache' });
+  }
+});
+
+// Clear cache (admin only; the cache is shared by every user)
+router.post('/cache/clear', auth, admin, async (req, res) => {
   try {
-    cacheService.clear();
+    await cacheService.clear();
     res.json({ success: true, message: 'Cache cleared successfully' });
   } catch (error) {
     console.error('Clear cache error:', error);
@@ -3,6 +3,8 @@ const router = express.Router();
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const aiService = require('../services/aiService');
+const { isEncryptionConfigured } = require('../utils/encryption');
 
 // Temporary test route for development
 router.post('/test-login', async (req, res) => {
@@ -190,4 +192,100 @@ router.patch('/password', auth, async (req, res) => {
   }
 });
 
+// Providers a user can store a key for
+const getKeyProviders = () => aiService.providers.list().filter(adapter => adapter.acceptsApiKey());
+
+// List which providers have a stored key (never the keys themselves)
+router.get('/api-keys', auth, (req, res) => {
+  try {
+    const stored = req.user.getApiKeySummary();
+    const keys = getKeyProviders().map(adapter => {
+      const entry = stored.find(key => key.provider === adapter.id);
+      return {
+        provider: adapter.id,
+        name: adapter.name,
+        configured: !!entry,
+        updatedAt: entry ? entry.updatedAt : null
+      };
+    });
+
+    res.json({
+      keys,
+      encryptionConfigured: isEncryptionConfigured(),
+      byokAllowed: aiService.isByokAllowed()
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ error: 'Failed to get API keys' });
+  }
+});
+
+// Save (or replace) the user's key for a provider
+router.put('/api-keys/:provider', auth, async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const apiKey = typeof req.body.apiKey === 'string' ? req.body.apiKey.trim() : '';
+
+    if (!getKeyProviders().some(adapter => adapter.id === provider)) {
+      return res.status(404).json({ error: 'Provider does not accept API keys' });
+    }
+    if (!apiKey || apiKey.length < 8 || apiKey.length > 512) {
+      return res.status(400).json({ error: 'A valid API key is required' });
+    }
+    if (!isEncryptionConfigured()) {
+      return res.status(503).json({ error: 'Storing API keys is not enabled on this server' });
+    }
+
+    req.user.setApiKey(provider, apiKey);
+    await req.user.save();
+
+    res.json({ success: true, provider, configured: true });
+  } catch (error) {
+    console.error('Save API key error:', error);
+    res.status(500).json({ error: 'Failed to save API key' });
+  }
+});
+
+// Remove the user's key for a provider
+router.delete('/api-keys/:provider', auth, async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    if (!req.user.removeApiKey(provider)) {
+      return res.status(404).json({ error: 'No API key stored for this provider' });
+    }
+    await req.user.save();
+
+    res.json({ success: true, provider, configured: false });
+  } catch (error) {
+    console.error('Delete API key error:', error);
+    res.status(500).json({ error: 'Failed to delete API key' });
+  }
+});
+
+// Test a key: the one in the body (before saving) or the stored one
+router.post('/api-keys/:provider/test', auth, async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    if (!getKeyProviders().some(adapter => adapter.id === provider)) {
+      return res.status(404).json({ error: 'Provider does not accept API keys' });
+    }
+
+    const apiKey = typeof req.body.apiKey === 'string' && req.body.apiKey.trim()
+      ? req.body.apiKey.trim()
+      : aiService.resolveApiKeys(req.user)[provider];
+
+    if (!apiKey) {
+      return res.status(400).json({ error: 'No API key to test' });
+    }
+
+    const result = await aiService.testConnection(provider, { apiKeys: { [provider]: apiKey } });
+    res.json(result);
+  } catch (error) {
+    console.error('Test API key error:', error);
+    res.status(500).json({ error: 'Failed to test API key' });
+  }
+});
+
 module.exports = router;
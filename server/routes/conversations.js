@@ -1,10 +1,193 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Conversation = require('../models/Conversation');
+const Node = require('../models/Node');
 const aiService = require('../services/aiService');
+const contextService = require('../services/contextService');
+const generationRegistry = require('../services/generationRegistry');
+const historyService = require('../services/historyService');
+const trashService = require('../services/trashService');
+const snapshotService = require('../services/snapshotService');
+const TrashedSubtree = require('../models/TrashedSubtree');
 const auth = require('../middleware/auth');
+const quota = require('../middleware/quota');
+const { initSSE, sendEvent } = require('../utils/sse');
+const { getDescendants, buildTree } = require('../utils/tree');
 const { v4: uuidv4 } = require('uuid');
 
+// Build the AI prompt and message history for a new branch
+const prepareBranch = async (conversation, { parentId, selectedText, prompt }) => {
+  // Build the message history from the ancestor path
+  const path = await conversation.getAncestorPath(parentId);
+  const context = contextService.buildContext(path, conversation.settings?.context);
+
+  // If there's selected text, enhance the prompt with context
+  let enhancedPrompt = prompt;
+  if (selectedText && selectedText.trim()) {
+    enhancedPrompt = `Based on the previous response, please elaborate on this specific aspect: "${selectedText.trim()}"\n\nOriginal prompt: ${prompt}`;
+  }
+
+  return { context, enhancedPrompt };
+};
+
+// Default instructions for a merge node, by mode
+const MERGE_PROMPTS = {
+  synthesize: 'Synthesize these branches into one coherent answer, combining their insights and resolving any contradictions.',
+  compare: 'Compare these branches: where do they agree, where do they differ, and which points are best supported?'
+};
+
+// Build the AI prompt and message history for a node merging the branches
+// ending at nodeIds; prompt holds the merge instructions
+const prepareMerge = async (conversation, { nodeIds, prompt }) => {
+  const paths = await Promise.all(nodeIds.map(nodeId => conversation.getAncestorPath(nodeId)));
+  const context = contextService.buildMergeContext(paths, conversation.settings?.context);
+  const enhancedPrompt = `The conversation above covers ${nodeIds.length} separate branches, each starting at its [Branch N] marker.\n\n${prompt}`;
+
+  return { context, enhancedPrompt };
+};
+
+// Node metadata for a generated answer
+const buildNodeMetadata = ({ provider, parameters }, aiResponse, context) => ({
+  apiProvider: aiResponse.provider,
+  requestedProvider: provider,
+  attempts: aiResponse.attempts,
+  model: aiResponse.model,
+  tokens: aiResponse.tokens,
+  responseTime: aiResponse.responseTime,
+  cached: aiResponse.cached,
+  parameters: aiResponse.provider === provider ? parameters : aiResponse.parameters,
+  context: {
+    strategy: context.strategy,
+    turns: context.turns,
+    tokens: context.tokens,
+    truncated: context.truncated
+  },
+  contextWindow: aiResponse.contextWindow
+});
+
+// Provider, model and parameters for a new answer to node: overrides from
+// the request, otherwise those of the answer being replaced
+const resolveRegeneration = (node, overrides = {}) => {
+  const previous = node.toObject().metadata || {};
+  const provider = overrides.provider || previous.requestedProvider || previous.apiProvider || 'lmstudio';
+  const model = overrides.model || (provider === previous.apiProvider ? previous.model : null) || null;
+  const { parameters, errors } = aiService.validateParameters(provider, overrides.parameters || previous.parameters);
+  return { provider, model, parameters, errors };
+};
+
+// Generate a new answer for node and store it as its active version; prompt,
+// when given, replaces the node's prompt. The cache is never read, since the
+// point is a different answer.
+const regenerateNode = async (conversation, node, { provider, model, parameters, prompt = null }, req, signal) => {
+  const { context, enhancedPrompt } = node.mergeParentIds?.length
+    ? await prepareMerge(conversation, {
+      nodeIds: [node.parentId, ...node.mergeParentIds],
+      prompt: prompt || node.prompt
+    })
+    : await prepareBranch(conversation, {
+      parentId: node.parentId,
+      selectedText: node.selectedText,
+      prompt: prompt || node.prompt
+    });
+  const aiResponse = await aiService.generateResponse(enhancedPrompt, provider, model, context.messages, {
+    parameters,
+    fallbacks: aiService.resolveFallbacks({ fallbacks: req.body.fallbacks, conversation, user: req.user }),
+    overflow: context.overflow,
+    ...aiService.resolveCacheMode({ ...req.body, refresh: true, conversation }),
+    apiKeys: aiService.resolveApiKeys(req.user),
+    requester: { userId: req.user._id, conversationId: conversation._id },
+    quotaUser: req.user,
+    signal
+  });
+
+  node.addVersion({
+    prompt,
+    response: aiResponse.content,
+    metadata: buildNodeMetadata({ provider, parameters }, aiResponse, context)
+  });
+  await node.save();
+  return node;
+};
+
+// Give a node a new prompt and answer, then regenerate the given descendants
+// (parents first) so each is answered against its updated ancestors.
+// Descendants keep their own provider settings. onProgress receives
+// ('progress', { nodeId, index, total }) before each generation and
+// ('node', { node, index, total }) after it. Resolves with the ids of the
+// regenerated nodes; a failure stops the run and carries them as
+// error.regenerated.
+const editAndRerun = async (conversation, node, descendants, { prompt, ...settings }, req, { signal, onProgress = () => {} }) => {
+  const total = descendants.length + 1;
+  const regenerated = [];
+
+  try {
+    for (const [index, target] of [node, ...descendants].entries()) {
+      onProgress('progress', { nodeId: target.id, index, total });
+      const regeneration = target === node
+        ? { ...settings, prompt }
+        : resolveRegeneration(target);
+      await regenerateNode(conversation, target, regeneration, req, signal);
+      regenerated.push(target.id);
+      onProgress('node', { node: target.toObject(), index, total });
+    }
+  } catch (error) {
+    error.regenerated = regenerated;
+    throw error;
+  } finally {
+    if (regenerated.length > 0) await conversation.touch();
+  }
+
+  return regenerated;
+};
+
+// Validate a prompt edit request; returns { conversation, node, descendants,
+// settings } or { status, body } for the error response
+const loadPromptEdit = async (req) => {
+  const { prompt } = req.body;
+  if (!prompt || !prompt.trim()) {
+    return { status: 400, body: { error: 'Prompt is required' } };
+  }
+
+  const conversation = await Conversation.findOne({
+    _id: req.params.id,
+    userId: req.user.id
+  });
+  if (!conversation) {
+    return { status: 404, body: { error: 'Conversation not found' } };
+  }
+
+  const node = await conversation.getNodeById(req.params.nodeId);
+  if (!node) {
+    return { status: 404, body: { error: 'Node not found' } };
+  }
+
+  const { errors, ...settings } = resolveRegeneration(node, req.body);
+  if (errors.length > 0) {
+    return { status: 400, body: { error: 'Invalid generation parameters', details: errors } };
+  }
+
+  return {
+    conversation,
+    node,
+    descendants: req.body.rerunDescendants ? getDescendants(await conversation.getNodes(), node.id) : [],
+    settings: { ...settings, prompt: prompt.trim() }
+  };
+};
+
+// Create the node object for a generated branch
+const buildBranchNode = ({ parentId, selectedText, prompt, provider, parameters }, aiResponse, context) => ({
+  id: uuidv4(),
+  title: selectedText && selectedText.trim() ? selectedText.trim() : null,
+  prompt: selectedText && selectedText.trim() ? selectedText.trim() : prompt.trim(),
+  response: aiResponse.content,
+  selectedText,
+  parentId,
+  children: [],
+  position: { x: 0, y: 0 },
+  metadata: buildNodeMetadata({ provider, parameters }, aiResponse, context)
+});
+
 // Get all conversations for user
 router.get('/', auth, async (req, res) => {
   try {
@@ -19,6 +202,136 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// Deleted conversations and subtrees that can still be restored
+router.get('/trash', auth, async (req, res) => {
+  try {
+    res.json(await trashService.list(req.user.id));
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ error: 'Failed to get trash' });
+  }
+});
+
+// Permanently delete everything in the trash
+router.delete('/trash', auth, async (req, res) => {
+  try {
+    const deleted = await trashService.empty(req.user.id);
+    res.json({ success: true, deleted });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
+// Take a conversation out of the trash
+router.post('/trash/conversations/:id/restore', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Conversation not found in the trash' });
+    }
+
+    const conversation = await Conversation.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.id, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null } },
+      { new: true }
+    );
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found in the trash' });
+    }
+
+    res.json({
+      success: true,
+      conversation: await conversation.toResponse()
+    });
+  } catch (error) {
+    console.error('Restore conversation error:', error);
+    res.status(500).json({ error: 'Failed to restore conversation' });
+  }
+});
+
+// Permanently delete a conversation in the trash
+router.delete('/trash/conversations/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Conversation not found in the trash' });
+    }
+
+    const conversation = await trashService.deleteConversation(req.user.id, req.params.id);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found in the trash' });
+    }
+
+    res.json({ success: true, message: 'Conversation permanently deleted' });
+  } catch (error) {
+    console.error('Delete conversation error:', error);
+    res.status(500).json({ error: 'Failed to delete conversation' });
+  }
+});
+
+// Put a deleted subtree back under its original parent, or under the root
+// when that parent no longer exists
+router.post('/trash/subtrees/:subtreeId/restore', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.subtreeId)) {
+      return res.status(404).json({ error: 'Subtree not found in the trash' });
+    }
+
+    const subtree = await TrashedSubtree.findOne({
+      _id: req.params.subtreeId,
+      userId: req.user.id
+    });
+
+    if (!subtree) {
+      return res.status(404).json({ error: 'Subtree not found in the trash' });
+    }
+
+    const { conversation, parentId, originalParent } = await trashService.restoreSubtree(subtree);
+    await historyService.record(conversation, 'branch', { nodeId: subtree.nodeId, parentId });
+
+    res.json({
+      success: true,
+      nodeId: subtree.nodeId,
+      parentId,
+      originalParent,
+      conversation: await conversation.toResponse()
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Restore subtree error:', error);
+    res.status(500).json({
+      error: 'Failed to restore subtree',
+      message: error.message
+    });
+  }
+});
+
+// Permanently delete a subtree in the trash
+router.delete('/trash/subtrees/:subtreeId', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.subtreeId)) {
+      return res.status(404).json({ error: 'Subtree not found in the trash' });
+    }
+
+    const subtree = await TrashedSubtree.findOneAndDelete({
+      _id: req.params.subtreeId,
+      userId: req.user.id
+    });
+
+    if (!subtree) {
+      return res.status(404).json({ error: 'Subtree not found in the trash' });
+    }
+
+    res.json({ success: true, message: 'Subtree permanently deleted' });
+  } catch (error) {
+    console.error('Delete subtree error:', error);
+    res.status(500).json({ error: 'Failed to delete subtree' });
+  }
+});
+
 // Get single conversation with tree structure
 router.get('/:id', auth, async (req, res) => {
   try {
@@ -31,13 +344,8 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(404).json({ error: 'Conversation not found' });
     }
 
-    const treeStructure = conversation.getTreeStructure();
-    
     res.json({
-      conversation: {
-        ...conversation.toObject(),
-        treeStructure
-      }
+      conversation: await conversation.toResponse()
     });
   } catch (error) {
     console.error('Get conversation error:', error);
@@ -46,7 +354,9 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // Create new conversation
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, quota, async (req, res) => {
+  let generation = null;
+
   try {
     console.log('Creating conversation with body:', req.body);
     const { title, prompt, provider = 'lmstudio', model = null } = req.body;
@@ -55,9 +365,24 @@ router.post('/', auth, async (req, res) => {
       return res.status(400).json({ error: 'Title and prompt are required' });
     }
 
+    const { parameters, errors } = aiService.validateParameters(provider, req.body.parameters);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid generation parameters', details: errors });
+    }
+
     console.log('Generating AI response for prompt:', prompt);
     // Generate AI response for the initial prompt
-    const aiResponse = await aiService.generateResponse(prompt, provider, model);
+    const fallbacks = aiService.resolveFallbacks({ fallbacks: req.body.fallbacks, user: req.user });
+    generation = generationRegistry.track(req, res);
+    const aiResponse = await aiService.generateResponse(prompt, provider, model, [], {
+      parameters,
+      fallbacks,
+      ...aiService.resolveCacheMode(req.body),
+      apiKeys: aiService.resolveApiKeys(req.user),
+      requester: { userId: req.user._id },
+      quotaUser: req.user,
+      signal: generation.signal
+    });
     console.log('AI response received:', aiResponse);
     
     // Create root node
@@ -71,10 +396,14 @@ router.post('/', auth, async (req, res) => {
       children: [],
       position: { x: 0, y: 0 },
       metadata: {
-        apiProvider: provider,
+        apiProvider: aiResponse.provider,
+        requestedProvider: provider,
+        attempts: aiResponse.attempts,
         model: aiResponse.model,
         tokens: aiResponse.tokens,
-        responseTime: aiResponse.responseTime
+        responseTime: aiResponse.responseTime,
+        cached: aiResponse.cached,
+        parameters: aiResponse.provider === provider ? parameters : aiResponse.parameters
       }
     };
 
@@ -82,68 +411,662 @@ router.post('/', auth, async (req, res) => {
     const conversation = new Conversation({
       title,
       userId: req.user.id,
-      rootNodeId,
-      nodes: [rootNode]
+      rootNodeId
     });
 
     await conversation.save();
+    await conversation.insertNodes([rootNode]);
     
     res.status(201).json({
       success: true,
-      conversation: {
-        ...conversation.toObject(),
-        treeStructure: conversation.getTreeStructure()
-      }
+      conversation: await conversation.toResponse()
     });
   } catch (error) {
+    if (error.cancelled) {
+      return res.status(499).json({ error: 'Generation cancelled', generationId: generation?.id });
+    }
     console.error('Create conversation error:', error);
     res.status(500).json({ 
       error: 'Failed to create conversation',
       message: error.message 
     });
+  } finally {
+    if (generation) generationRegistry.finish(generation.id);
+  }
+});
+
+// Test AI connection. Spends real tokens, so it is recorded as usage
+// (kind 'test') and subject to quotas.
+router.get('/test-ai', auth, quota, async (req, res) => {
+  try {
+    const { provider = 'lmstudio', model = 'gpt-oss-20b' } = req.query;
+    
+    console.log(`Testing AI connection: ${provider} with model ${model}`);
+    
+    const testResponse = await aiService.generateResponse(
+      'Hello! Please respond with a short test message to verify the connection is working.',
+      provider,
+      model,
+      [],
+      {
+        requester: { userId: req.user._id },
+        quotaUser: req.user,
+        usageKind: 'test'
+      }
+    );
+    
+    res.json({
+      success: true,
+      provider,
+      model,
+      response: testResponse.content,
+      responseTime: testResponse.responseTime
+    });
+  } catch (error) {
+    console.error('AI test error:', error);
+    res.status(500).json({
+      error: 'AI connection test failed',
+      message: error.message,
+      provider: req.query.provider || 'lmstudio'
+    });
+  }
+});
+
+// Add branch to conversation
+router.post('/:id/branches', auth, quota, async (req, res) => {
+  let generation = null;
+
+  try {
+    const { parentId, prompt, provider = 'lmstudio', model = null } = req.body;
+    
+    if (!parentId || !prompt) {
+      return res.status(400).json({ error: 'Parent ID and prompt are required' });
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    // Get parent node for context
+    const parentNode = await conversation.getNodeById(parentId);
+    if (!parentNode) {
+      return res.status(404).json({ error: 'Parent node not found' });
+    }
+
+    const { parameters, errors } = aiService.validateParameters(provider, req.body.parameters);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid generation parameters', details: errors });
+    }
+
+    const { context, enhancedPrompt } = await prepareBranch(conversation, req.body);
+    const fallbacks = aiService.resolveFallbacks({ fallbacks: req.body.fallbacks, conversation, user: req.user });
+    generation = generationRegistry.track(req, res);
+    const aiResponse = await aiService.generateResponse(enhancedPrompt, provider, model, context.messages, {
+      parameters,
+      fallbacks,
+      overflow: context.overflow,
+      ...aiService.resolveCacheMode({ ...req.body, conversation }),
+      apiKeys: aiService.resolveApiKeys(req.user),
+      requester: { userId: req.user._id, conversationId: conversation._id },
+      quotaUser: req.user,
+      signal: generation.signal
+    });
+    const newNode = buildBranchNode({ ...req.body, provider, parameters }, aiResponse, context);
+
+    // The parent may have been deleted while the answer was generated
+    const node = await conversation.addChildNode(parentId, newNode);
+    if (!node) {
+      return res.status(404).json({ error: 'Parent node not found' });
+    }
+    await historyService.record(conversation, 'branch', { nodeId: node.id, parentId });
+    
+    res.json({
+      success: true,
+      generationId: generation.id,
+      node: node.toObject(),
+      conversation: await conversation.toResponse()
+    });
+  } catch (error) {
+    if (error.cancelled) {
+      return res.status(499).json({ error: 'Generation cancelled', generationId: generation?.id });
+    }
+    console.error('Add branch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to add branch',
+      message: error.message 
+    });
+  } finally {
+    if (generation) generationRegistry.finish(generation.id);
   }
 });
 
-// Test AI connection
-router.get('/test-ai', auth, async (req, res) => {
-  try {
-    const { provider = 'lmstudio', model = 'gpt-oss-20b' } = req.query;
-    
-    console.log(`Testing AI connection: ${provider} with model ${model}`);
-    
-    const testResponse = await aiService.generateResponse(
-      'Hello! Please respond with a short test message to verify the connection is working.',
-      provider,
-      model
-    );
-    
+// Add branch to conversation, streaming the response as Server-Sent Events
+router.post('/:id/branches/stream', auth, quota, async (req, res) => {
+  let streaming = false;
+  let generation = null;
+
+  try {
+    const { parentId, prompt, provider = 'lmstudio', model = null } = req.body;
+    
+    if (!parentId || !prompt) {
+      return res.status(400).json({ error: 'Parent ID and prompt are required' });
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    if (!(await conversation.getNodeById(parentId))) {
+      return res.status(404).json({ error: 'Parent node not found' });
+    }
+
+    const { parameters, errors } = aiService.validateParameters(provider, req.body.parameters);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid generation parameters', details: errors });
+    }
+
+    const { context, enhancedPrompt } = await prepareBranch(conversation, req.body);
+    const fallbacks = aiService.resolveFallbacks({ fallbacks: req.body.fallbacks, conversation, user: req.user });
+
+    generation = generationRegistry.track(req, res);
+
+    initSSE(res);
+    streaming = true;
+    // Sent before any tokens so the client can cancel right away
+    sendEvent(res, 'start', { generationId: generation.id });
+
+    const aiResponse = await aiService.streamResponse(enhancedPrompt, provider, model, context.messages, (delta) => {
+      sendEvent(res, 'delta', { content: delta });
+    }, {
+      parameters,
+      fallbacks,
+      overflow: context.overflow,
+      ...aiService.resolveCacheMode({ ...req.body, conversation }),
+      apiKeys: aiService.resolveApiKeys(req.user),
+      requester: { userId: req.user._id, conversationId: conversation._id },
+      quotaUser: req.user,
+      signal: generation.signal
+    });
+    const newNode = buildBranchNode({ ...req.body, provider, parameters }, aiResponse, context);
+
+    // Persist once the stream has completed
+    const node = await conversation.addChildNode(parentId, newNode);
+    if (!node) {
+      sendEvent(res, 'error', { error: 'Parent node not found' });
+      return res.end();
+    }
+    await historyService.record(conversation, 'branch', { nodeId: node.id, parentId });
+
+    sendEvent(res, 'done', {
+      success: true,
+      generationId: generation.id,
+      node: node.toObject(),
+      conversation: await conversation.toResponse()
+    });
+    res.end();
+  } catch (error) {
+    if (error.cancelled) {
+      sendEvent(res, 'cancelled', { generationId: generation.id });
+      return res.end();
+    }
+    console.error('Stream branch error:', error);
+    if (!streaming) {
+      return res.status(500).json({ 
+        error: 'Failed to add branch',
+        message: error.message 
+      });
+    }
+    sendEvent(res, 'error', {
+      error: 'Failed to add branch',
+      message: error.message
+    });
+    res.end();
+  } finally {
+    if (generation) generationRegistry.finish(generation.id);
+  }
+});
+
+// Regenerate a node's answer and keep it as a new version. Body may
+// override provider, model and parameters; by default the node's own are
+// reused. The cache is never read, since the point is a different answer.
+router.post('/:id/nodes/:nodeId/regenerate', auth, quota, async (req, res) => {
+  let generation = null;
+
+  try {
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const node = await conversation.getNodeById(req.params.nodeId);
+    if (!node) {
+      return res.status(404).json({ error: 'Node not found' });
+    }
+
+    const { errors, ...settings } = resolveRegeneration(node, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid generation parameters', details: errors });
+    }
+
+    generation = generationRegistry.track(req, res);
+    await regenerateNode(conversation, node, settings, req, generation.signal);
+    await conversation.touch();
+
+    res.json({
+      success: true,
+      generationId: generation.id,
+      node: node.toObject(),
+      conversation: await conversation.toResponse()
+    });
+  } catch (error) {
+    if (error.cancelled) {
+      return res.status(499).json({ error: 'Generation cancelled', generationId: generation?.id });
+    }
+    console.error('Regenerate node error:', error);
+    res.status(500).json({
+      error: 'Failed to regenerate node',
+      message: error.message
+    });
+  } finally {
+    if (generation) generationRegistry.finish(generation.id);
+  }
+});
+
+// Edit a node's prompt and regenerate its answer. Body: { prompt,
+// rerunDescendants?, provider?, model?, parameters? }; provider settings
+// apply to the edited node only. The old prompt and answer stay available as
+// a version.
+router.patch('/:id/nodes/:nodeId/prompt', auth, quota, async (req, res) => {
+  let generation = null;
+
+  try {
+    const { conversation, node, descendants, settings, status, body } = await loadPromptEdit(req);
+    if (status) {
+      return res.status(status).json(body);
+    }
+
+    generation = generationRegistry.track(req, res);
+    const regenerated = await editAndRerun(conversation, node, descendants, settings, req, { signal: generation.signal });
+
+    res.json({
+      success: true,
+      generationId: generation.id,
+      regenerated,
+      conversation: await conversation.toResponse()
+    });
+  } catch (error) {
+    if (error.cancelled) {
+      return res.status(499).json({ error: 'Generation cancelled', generationId: generation?.id, regenerated: error.regenerated });
+    }
+    console.error('Edit prompt error:', error);
+    res.status(500).json({
+      error: 'Failed to edit prompt',
+      message: error.message,
+      regenerated: error.regenerated
+    });
+  } finally {
+    if (generation) generationRegistry.finish(generation.id);
+  }
+});
+
+// Same as above, reporting progress as Server-Sent Events: start (with the
+// generationId and total), progress and node per regenerated node, then done
+// with the conversation, or cancelled/error with the nodes finished so far
+router.post('/:id/nodes/:nodeId/prompt/stream', auth, quota, async (req, res) => {
+  let streaming = false;
+  let generation = null;
+  let conversation = null;
+
+  try {
+    const edit = await loadPromptEdit(req);
+    if (edit.status) {
+      return res.status(edit.status).json(edit.body);
+    }
+    conversation = edit.conversation;
+
+    generation = generationRegistry.track(req, res);
+
+    initSSE(res);
+    streaming = true;
+    sendEvent(res, 'start', { generationId: generation.id, total: edit.descendants.length + 1 });
+
+    const regenerated = await editAndRerun(conversation, edit.node, edit.descendants, edit.settings, req, {
+      signal: generation.signal,
+      onProgress: (event, data) => sendEvent(res, event, data)
+    });
+
+    sendEvent(res, 'done', {
+      success: true,
+      generationId: generation.id,
+      regenerated,
+      conversation: await conversation.toResponse()
+    });
+    res.end();
+  } catch (error) {
+    if (!streaming) {
+      console.error('Edit prompt error:', error);
+      return res.status(500).json({
+        error: 'Failed to edit prompt',
+        message: error.message
+      });
+    }
+    // Nodes finished before the stop keep their new answers
+    const partial = {
+      generationId: generation.id,
+      regenerated: error.regenerated || [],
+      conversation: await conversation.toResponse().catch(() => null)
+    };
+    if (error.cancelled) {
+      sendEvent(res, 'cancelled', partial);
+    } else {
+      console.error('Edit prompt error:', error);
+      sendEvent(res, 'error', { ...partial, error: 'Failed to edit prompt', message: error.message });
+    }
+    res.end();
+  } finally {
+    if (generation) generationRegistry.finish(generation.id);
+  }
+});
+
+// Switch the answer a node shows (and passes on as context) to another version
+router.patch('/:id/nodes/:nodeId/version', auth, async (req, res) => {
+  try {
+    const version = Number(req.body.version);
+    if (!Number.isInteger(version) || version < 0) {
+      return res.status(400).json({ error: 'version must be a non-negative integer' });
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const node = await conversation.getNodeById(req.params.nodeId);
+    if (!node) {
+      return res.status(404).json({ error: 'Node not found' });
+    }
+
+    if (!node.selectVersion(version)) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    await node.save();
+    await conversation.touch();
+
+    res.json({
+      success: true,
+      node: node.toObject(),
+      conversation: await conversation.toResponse()
+    });
+  } catch (error) {
+    console.error('Select version error:', error);
+    res.status(500).json({
+      error: 'Failed to select version',
+      message: error.message
+    });
+  }
+});
+
+// Move a node and its subtree under another parent, or reorder it among its
+// siblings. Body: { parentId, index? } (index among the new siblings,
+// default last).
+router.patch('/:id/nodes/:nodeId/parent', auth, async (req, res) => {
+  try {
+    const { parentId, index = null } = req.body;
+    if (!parentId) {
+      return res.status(400).json({ error: 'Parent ID is required' });
+    }
+    if (index !== null && (!Number.isInteger(index) || index < 0)) {
+      return res.status(400).json({ error: 'index must be a non-negative integer' });
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const move = await conversation.moveNode(req.params.nodeId, parentId, index);
+    await historyService.record(conversation, 'move', { nodeId: req.params.nodeId, ...move });
+
+    res.json({
+      success: true,
+      message: 'Node moved successfully',
+      ...move,
+      conversation: await conversation.toResponse()
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Move node error:', error);
+    res.status(500).json({
+      error: 'Failed to move node',
+      message: error.message
+    });
+  }
+});
+
+// Most node positions accepted in one request
+const MAX_POSITIONS = 1000;
+
+// Save hand-placed node positions, used while settings.autoLayout is off.
+// Body: { positions: { [nodeId]: { x, y } } }. Not logged for undo.
+router.put('/:id/positions', auth, async (req, res) => {
+  try {
+    const { positions } = req.body;
+    if (!positions || typeof positions !== 'object' || Array.isArray(positions)) {
+      return res.status(400).json({ error: 'positions must map node IDs to { x, y }' });
+    }
+    const entries = Object.entries(positions);
+    if (entries.length > MAX_POSITIONS) {
+      return res.status(400).json({ error: `At most ${MAX_POSITIONS} positions can be saved at once` });
+    }
+    if (!entries.every(([, position]) => Number.isFinite(position?.x) && Number.isFinite(position?.y))) {
+      return res.status(400).json({ error: 'Each position needs numeric x and y' });
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const updated = await conversation.setNodePositions(positions);
+
+    res.json({
+      success: true,
+      updated
+    });
+  } catch (error) {
+    console.error('Save node positions error:', error);
+    res.status(500).json({
+      error: 'Failed to save node positions',
+      message: error.message
+    });
+  }
+});
+
+// Whether a subtree transfer keeps the source nodes
+const TRANSFER_MODES = ['copy', 'move'];
+
+// Copy or move a node and its descendants into a new conversation, with the
+// node as its root. Body: { mode?: 'copy' | 'move', title? }. The copies get
+// new ids and record the nodes they came from.
+router.post('/:id/nodes/:nodeId/extract', auth, async (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    const { mode = 'copy', title } = req.body;
+    if (!TRANSFER_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${TRANSFER_MODES.join(', ')}` });
+    }
+
+    const source = await Conversation.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!source) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    if (mode === 'move' && nodeId === source.rootNodeId) {
+      return res.status(400).json({ error: 'Cannot move the root node; copy it instead' });
+    }
+
+    const nodes = await source.copySubtree(nodeId);
+    if (nodes.length === 0) {
+      return res.status(404).json({ error: 'Node not found' });
+    }
+
+    const [root] = nodes;
+    const newConversation = new Conversation({
+      title: title || root.title || root.prompt.substring(0, 50),
+      userId: req.user.id,
+      rootNodeId: root.id,
+      settings: source.toObject().settings,
+      tags: source.tags,
+      origin: { conversationId: source._id, nodeId, mode }
+    });
+
+    await newConversation.save();
+    try {
+      await newConversation.insertNodes(nodes);
+    } catch (error) {
+      await Conversation.deleteOne({ _id: newConversation._id });
+      throw error;
+    }
+
+    // The moved original goes to the trash, so the move can be undone there
+    if (mode === 'move') {
+      const removed = await source.deleteNode(nodeId);
+      await trashService.trashSubtree(source, removed);
+      await historyService.record(source, 'delete', { nodeId });
+    }
+
+    res.status(201).json({
+      success: true,
+      conversation: await newConversation.toResponse(),
+      ...(mode === 'move' && { source: await source.toResponse() })
+    });
+  } catch (error) {
+    console.error('Extract subtree error:', error);
+    res.status(500).json({
+      error: 'Failed to extract subtree',
+      message: error.message
+    });
+  }
+});
+
+// Copy or move a node and its descendants under a node of another of the
+// user's conversations. Body: { conversationId, parentId? (default: that
+// conversation's root), mode?: 'copy' | 'move' }
+router.post('/:id/nodes/:nodeId/graft', auth, async (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    const { conversationId, parentId = null, mode = 'copy' } = req.body;
+    if (!conversationId) {
+      return res.status(400).json({ error: 'Target conversation ID is required' });
+    }
+    if (!TRANSFER_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${TRANSFER_MODES.join(', ')}` });
+    }
+    if (mode === 'move' && conversationId === req.params.id) {
+      return res.status(400).json({ error: 'Use PATCH /nodes/:nodeId/parent to move a node within a conversation' });
+    }
+
+    const [source, target] = await Promise.all([
+      Conversation.findOne({ _id: req.params.id, userId: req.user.id }),
+      Conversation.findOne({ _id: conversationId, userId: req.user.id })
+    ]);
+
+    if (!source) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    if (!target) {
+      return res.status(404).json({ error: 'Target conversation not found' });
+    }
+
+    if (mode === 'move' && nodeId === source.rootNodeId) {
+      return res.status(400).json({ error: 'Cannot move the root node; copy it instead' });
+    }
+
+    const nodes = await source.copySubtree(nodeId);
+    if (nodes.length === 0) {
+      return res.status(404).json({ error: 'Node not found' });
+    }
+
+    const targetParentId = parentId || target.rootNodeId;
+    const inserted = await target.attachSubtree(targetParentId, nodes);
+    if (!inserted) {
+      return res.status(404).json({ error: 'Target node not found' });
+    }
+    await historyService.record(target, 'branch', { nodeId: nodes[0].id, parentId: targetParentId });
+
+    // The moved original goes to the trash, so the move can be undone there
+    if (mode === 'move') {
+      const removed = await source.deleteNode(nodeId);
+      await trashService.trashSubtree(source, removed);
+      await historyService.record(source, 'delete', { nodeId });
+    }
+
     res.json({
       success: true,
-      provider,
-      model,
-      response: testResponse.content,
-      responseTime: testResponse.responseTime
+      nodeId: nodes[0].id,
+      conversation: await target.toResponse(),
+      ...(mode === 'move' && { source: await source.toResponse() })
     });
   } catch (error) {
-    console.error('AI test error:', error);
+    console.error('Graft subtree error:', error);
     res.status(500).json({
-      error: 'AI connection test failed',
-      message: error.message,
-      provider: req.query.provider || 'lmstudio'
+      error: 'Failed to graft subtree',
+      message: error.message
     });
   }
 });
 
-// Add branch to conversation
-router.post('/:id/branches', auth, async (req, res) => {
+// Create a node that synthesizes or compares several branches. Body:
+// { nodeIds (at least two), mode?: 'synthesize' | 'compare', prompt?
+// (instructions, default by mode), provider?, model?, parameters? }. The
+// node is stored under the first node, with the others as merge parents.
+router.post('/:id/merges', auth, quota, async (req, res) => {
+  let generation = null;
+
   try {
-    const { parentId, selectedText, prompt, provider = 'lmstudio', model = null } = req.body;
-    
-    if (!parentId || !prompt) {
-      return res.status(400).json({ error: 'Parent ID and prompt are required' });
+    const { mode = 'synthesize', provider = 'lmstudio', model = null } = req.body;
+    const nodeIds = Array.isArray(req.body.nodeIds) ? [...new Set(req.body.nodeIds.map(String))] : [];
+
+    if (nodeIds.length < 2) {
+      return res.status(400).json({ error: 'At least two nodes are required to merge' });
+    }
+    if (!MERGE_PROMPTS[mode]) {
+      return res.status(400).json({ error: `mode must be one of: ${Object.keys(MERGE_PROMPTS).join(', ')}` });
     }
 
-    let conversation = await Conversation.findOne({
+    const conversation = await Conversation.findOne({
       _id: req.params.id,
       userId: req.user.id
     });
@@ -152,83 +1075,60 @@ router.post('/:id/branches', auth, async (req, res) => {
       return res.status(404).json({ error: 'Conversation not found' });
     }
 
-    // Get parent node for context
-    const parentNode = conversation.getNodeById(parentId);
-    if (!parentNode) {
-      return res.status(404).json({ error: 'Parent node not found' });
+    const found = await Node.countDocuments({ conversationId: conversation._id, id: { $in: nodeIds } });
+    if (found < nodeIds.length) {
+      return res.status(404).json({ error: 'Node not found' });
     }
 
-    // Generate AI response with enhanced context
-    const context = [
-      { role: 'user', content: parentNode.prompt },
-      { role: 'assistant', content: parentNode.response }
-    ];
-    
-    // If there's selected text, enhance the prompt with context
-    let enhancedPrompt = prompt;
-    if (selectedText && selectedText.trim()) {
-      enhancedPrompt = `Based on the previous response, please elaborate on this specific aspect: "${selectedText.trim()}"\n\nOriginal prompt: ${prompt}`;
+    const { parameters, errors } = aiService.validateParameters(provider, req.body.parameters);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid generation parameters', details: errors });
     }
-    
-    const aiResponse = await aiService.generateResponse(enhancedPrompt, provider, model, context);
-    
-    // Create new node
-    const newNodeId = uuidv4();
-    const newNode = {
-      id: newNodeId,
-      title: selectedText && selectedText.trim() ? selectedText.trim() : null,
-      prompt: selectedText && selectedText.trim() ? selectedText.trim() : prompt.trim(),
-      response: aiResponse.content,
-      selectedText,
-      parentId,
-      children: [],
-      position: { x: 0, y: 0 },
-      metadata: {
-        apiProvider: provider,
-        model: aiResponse.model,
-        tokens: aiResponse.tokens,
-        responseTime: aiResponse.responseTime
-      }
-    };
 
-    // Add to conversation with retry logic for version conflicts
-    let retries = 3;
-    while (retries > 0) {
-      try {
-        conversation.addChildNode(parentId, newNode);
-        await conversation.save();
-        break;
-      } catch (error) {
-        if (error.name === 'VersionError' && retries > 1) {
-          // Reload the conversation and retry
-          conversation = await Conversation.findOne({
-            _id: req.params.id,
-            userId: req.user.id
-          });
-          if (!conversation) {
-            return res.status(404).json({ error: 'Conversation not found' });
-          }
-          retries--;
-        } else {
-          throw error;
-        }
-      }
+    const prompt = req.body.prompt?.trim() || MERGE_PROMPTS[mode];
+    const { context, enhancedPrompt } = await prepareMerge(conversation, { nodeIds, prompt });
+    const fallbacks = aiService.resolveFallbacks({ fallbacks: req.body.fallbacks, conversation, user: req.user });
+    generation = generationRegistry.track(req, res);
+    const aiResponse = await aiService.generateResponse(enhancedPrompt, provider, model, context.messages, {
+      parameters,
+      fallbacks,
+      overflow: context.overflow,
+      ...aiService.resolveCacheMode({ ...req.body, conversation }),
+      apiKeys: aiService.resolveApiKeys(req.user),
+      requester: { userId: req.user._id, conversationId: conversation._id },
+      quotaUser: req.user,
+      signal: generation.signal
+    });
+
+    const [parentId, ...mergeParentIds] = nodeIds;
+    const node = await conversation.addChildNode(parentId, {
+      ...buildBranchNode({ parentId, prompt, provider, parameters }, aiResponse, context),
+      title: `${mode === 'compare' ? 'Comparison' : 'Synthesis'} of ${nodeIds.length} branches`,
+      mergeParentIds,
+      mergeMode: mode
+    });
+    if (!node) {
+      return res.status(404).json({ error: 'Parent node not found' });
     }
-    
+    await historyService.record(conversation, 'branch', { nodeId: node.id, parentId });
+
     res.json({
       success: true,
-      node: newNode,
-      conversation: {
-        ...conversation.toObject(),
-        treeStructure: conversation.getTreeStructure()
-      }
+      generationId: generation.id,
+      node: node.toObject(),
+      conversation: await conversation.toResponse()
     });
   } catch (error) {
-    console.error('Add branch error:', error);
-    res.status(500).json({ 
-      error: 'Failed to add branch',
-      message: error.message 
+    if (error.cancelled) {
+      return res.status(499).json({ error: 'Generation cancelled', generationId: generation?.id });
+    }
+    console.error('Merge nodes error:', error);
+    res.status(500).json({
+      error: 'Failed to merge nodes',
+      message: error.message
     });
+  } finally {
+    if (generation) generationRegistry.finish(generation.id);
   }
 });
 
@@ -242,7 +1142,7 @@ router.patch('/:id/nodes/:nodeId/title', auth, async (req, res) => {
       return res.status(400).json({ error: 'Title is required' });
     }
 
-    let conversation = await Conversation.findOne({
+    const conversation = await Conversation.findOne({
       _id: id,
       userId: req.user.id
     });
@@ -251,45 +1151,25 @@ router.patch('/:id/nodes/:nodeId/title', auth, async (req, res) => {
       return res.status(404).json({ error: 'Conversation not found' });
     }
 
-    const node = conversation.getNodeById(nodeId);
+    // Update the node's title
+    const node = await Node.findOneAndUpdate(
+      { conversationId: conversation._id, id: nodeId },
+      { $set: { title: title.trim() } }
+    );
     if (!node) {
       return res.status(404).json({ error: 'Node not found' });
     }
-
-    // Update the node's title
-    node.title = title.trim();
-    conversation.lastModified = new Date();
-
-    // Save with retry logic for version conflicts
-    let retries = 3;
-    while (retries > 0) {
-      try {
-        await conversation.save();
-        break;
-      } catch (error) {
-        if (error.name === 'VersionError' && retries > 1) {
-          // Reload the conversation and retry
-          conversation = await Conversation.findOne({
-            _id: id,
-            userId: req.user.id
-          });
-          if (!conversation) {
-            return res.status(404).json({ error: 'Conversation not found' });
-          }
-          retries--;
-        } else {
-          throw error;
-        }
-      }
-    }
+    await conversation.touch();
+    await historyService.record(conversation, 'title', {
+      nodeId,
+      from: node.title ?? null,
+      to: title.trim()
+    });
     
     res.json({
       success: true,
       message: 'Node title updated successfully',
-      conversation: {
-        ...conversation.toObject(),
-        treeStructure: conversation.getTreeStructure()
-      }
+      conversation: await conversation.toResponse()
     });
   } catch (error) {
     console.error('Update node title error:', error);
@@ -305,7 +1185,7 @@ router.delete('/:id/nodes/:nodeId', auth, async (req, res) => {
   try {
     const { id, nodeId } = req.params;
     
-    let conversation = await Conversation.findOne({
+    const conversation = await Conversation.findOne({
       _id: id,
       userId: req.user.id
     });
@@ -319,41 +1199,17 @@ router.delete('/:id/nodes/:nodeId', auth, async (req, res) => {
       return res.status(400).json({ error: 'Cannot delete the root node' });
     }
 
-    const success = conversation.deleteNode(nodeId);
-    if (!success) {
+    const removed = await conversation.deleteNode(nodeId);
+    if (!removed) {
       return res.status(404).json({ error: 'Node not found' });
     }
-
-    // Save with retry logic for version conflicts
-    let retries = 3;
-    while (retries > 0) {
-      try {
-        await conversation.save();
-        break;
-      } catch (error) {
-        if (error.name === 'VersionError' && retries > 1) {
-          // Reload the conversation and retry
-          conversation = await Conversation.findOne({
-            _id: id,
-            userId: req.user.id
-          });
-          if (!conversation) {
-            return res.status(404).json({ error: 'Conversation not found' });
-          }
-          retries--;
-        } else {
-          throw error;
-        }
-      }
-    }
+    await trashService.trashSubtree(conversation, removed);
+    await historyService.record(conversation, 'delete', { nodeId });
     
     res.json({
       success: true,
-      message: 'Node deleted successfully',
-      conversation: {
-        ...conversation.toObject(),
-        treeStructure: conversation.getTreeStructure()
-      }
+      message: 'Node moved to the trash',
+      conversation: await conversation.toResponse()
     });
   } catch (error) {
     console.error('Delete node error:', error);
@@ -364,32 +1220,246 @@ router.delete('/:id/nodes/:nodeId', auth, async (req, res) => {
   }
 });
 
+// List a conversation's snapshots (named and automatic), newest first
+router.get('/:id/snapshots', auth, async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json({ snapshots: await snapshotService.list(conversation) });
+  } catch (error) {
+    console.error('Get snapshots error:', error);
+    res.status(500).json({ error: 'Failed to get snapshots' });
+  }
+});
+
+// Take a named snapshot of the conversation's current tree. Body: { name }
+router.post('/:id/snapshots', auth, async (req, res) => {
+  try {
+    const name = req.body.name?.trim();
+    if (!name) {
+      return res.status(400).json({ error: 'Snapshot name is required' });
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const snapshot = await snapshotService.take(conversation, { name });
+    const { settings, ...summary } = snapshot.toObject();
+
+    res.status(201).json({ success: true, snapshot: summary });
+  } catch (error) {
+    console.error('Create snapshot error:', error);
+    res.status(500).json({
+      error: 'Failed to create snapshot',
+      message: error.message
+    });
+  }
+});
+
+// Structural diff between two snapshots. Query: from (snapshot id), to
+// (snapshot id, default 'current' for the live tree)
+router.get('/:id/snapshots/diff', auth, async (req, res) => {
+  try {
+    const { from, to = 'current' } = req.query;
+    if (!from) {
+      return res.status(400).json({ error: 'from is required' });
+    }
+    if (!mongoose.isValidObjectId(from) || (to !== 'current' && !mongoose.isValidObjectId(to))) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const diff = await snapshotService.diff(conversation, from, to);
+    if (!diff) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    res.json(diff);
+  } catch (error) {
+    console.error('Diff snapshots error:', error);
+    res.status(500).json({
+      error: 'Failed to diff snapshots',
+      message: error.message
+    });
+  }
+});
+
+// Restore a snapshot as a new conversation; the original is left as it is
+router.post('/:id/snapshots/:snapshotId/restore', auth, async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const snapshot = mongoose.isValidObjectId(req.params.snapshotId)
+      ? await snapshotService.get(conversation, req.params.snapshotId)
+      : null;
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    const restored = await snapshotService.restore(snapshot, conversation);
+
+    res.status(201).json({
+      success: true,
+      conversation: await restored.toResponse()
+    });
+  } catch (error) {
+    console.error('Restore snapshot error:', error);
+    res.status(500).json({
+      error: 'Failed to restore snapshot',
+      message: error.message
+    });
+  }
+});
+
+// Delete a snapshot
+router.delete('/:id/snapshots/:snapshotId', auth, async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const snapshot = mongoose.isValidObjectId(req.params.snapshotId)
+      ? await snapshotService.get(conversation, req.params.snapshotId)
+      : null;
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+    await snapshotService.remove([snapshot._id]);
+
+    res.json({ success: true, message: 'Snapshot deleted' });
+  } catch (error) {
+    console.error('Delete snapshot error:', error);
+    res.status(500).json({ error: 'Failed to delete snapshot' });
+  }
+});
+
+// Undo the latest recorded change (branch, delete, title, settings or move)
+router.post('/:id/undo', auth, async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const operation = await historyService.undo(conversation);
+    if (!operation) {
+      return res.status(409).json({ error: 'Nothing to undo' });
+    }
+
+    res.json({
+      success: true,
+      operation: { type: operation.type, nodeId: operation.data.nodeId },
+      conversation: await conversation.toResponse()
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: `Cannot undo: ${error.message}` });
+    }
+    console.error('Undo error:', error);
+    res.status(500).json({
+      error: 'Failed to undo',
+      message: error.message
+    });
+  }
+});
+
+// Redo the most recently undone change
+router.post('/:id/redo', auth, async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const operation = await historyService.redo(conversation);
+    if (!operation) {
+      return res.status(409).json({ error: 'Nothing to redo' });
+    }
+
+    res.json({
+      success: true,
+      operation: { type: operation.type, nodeId: operation.data.nodeId },
+      conversation: await conversation.toResponse()
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: `Cannot redo: ${error.message}` });
+    }
+    console.error('Redo error:', error);
+    res.status(500).json({
+      error: 'Failed to redo',
+      message: error.message
+    });
+  }
+});
+
 // Update conversation settings
 router.patch('/:id/settings', auth, async (req, res) => {
   try {
     const { settings } = req.body;
     
-    const conversation = await Conversation.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user.id },
-      { 
-        $set: { 
-          settings: { ...settings },
-          lastModified: new Date()
-        }
-      },
-      { new: true }
-    );
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
 
     if (!conversation) {
       return res.status(404).json({ error: 'Conversation not found' });
     }
 
+    const previous = conversation.toObject().settings;
+    conversation.settings = { ...settings };
+    conversation.lastModified = new Date();
+    await conversation.save();
+    await historyService.record(conversation, 'settings', {
+      from: previous,
+      to: conversation.toObject().settings
+    });
+
     res.json({
       success: true,
-      conversation: {
-        ...conversation.toObject(),
-        treeStructure: conversation.getTreeStructure()
-      }
+      conversation: await conversation.toResponse()
     });
   } catch (error) {
     console.error('Update settings error:', error);
@@ -397,25 +1467,43 @@ router.patch('/:id/settings', auth, async (req, res) => {
   }
 });
 
-// Delete conversation
+// Delete conversation (moves it to the trash)
 router.delete('/:id', auth, async (req, res) => {
   try {
-    const conversation = await Conversation.findOneAndDelete({
-      _id: req.params.id,
-      userId: req.user.id
-    });
+    const conversation = await Conversation.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.id },
+      { $set: { deletedAt: new Date() } },
+      { new: true }
+    );
 
     if (!conversation) {
       return res.status(404).json({ error: 'Conversation not found' });
     }
 
-    res.json({ success: true, message: 'Conversation deleted' });
+    res.json({
+      success: true,
+      message: 'Conversation moved to the trash',
+      expiresAt: trashService.expiresAt(conversation.deletedAt)
+    });
   } catch (error) {
     console.error('Delete conversation error:', error);
     res.status(500).json({ error: 'Failed to delete conversation' });
   }
 });
 
+// Node metadata anonymous viewers of a shared conversation may see; the
+// rest (attempts, parameters with the system prompt) stays with the owner
+const SHARED_METADATA_FIELDS = ['apiProvider', 'model', 'tokens', 'responseTime', 'cached'];
+
+// A node as shared publicly: the active answer only, since earlier versions
+// are not filtered, and display metadata only
+const toSharedNode = ({ versions, activeVersion, metadata, ...node }) => ({
+  ...node,
+  metadata: Object.fromEntries(SHARED_METADATA_FIELDS
+    .filter(field => metadata?.[field] !== undefined)
+    .map(field => [field, metadata[field]]))
+});
+
 // Get shared conversation (public)
 router.get('/shared/:token', async (req, res) => {
   try {
@@ -428,14 +1516,18 @@ router.get('/shared/:token', async (req, res) => {
       return res.status(404).json({ error: 'Shared conversation not found' });
     }
 
-    // Apply content safety filtering for public viewing
-    const sanitizedConversation = req.contentSafety.sanitizeConversation(conversation.toObject());
-    const treeStructure = conversation.getTreeStructure();
+    // Apply content safety filtering for public viewing; undo state is the
+    // owner's business
+    const { treeStructure, history, nodes, ...conversationData } = await conversation.toResponse();
+    const sanitizedConversation = req.contentSafety.sanitizeConversation({
+      ...conversationData,
+      nodes: nodes.map(toSharedNode)
+    });
     
     res.json({
       conversation: {
         ...sanitizedConversation,
-        treeStructure
+        treeStructure: buildTree(sanitizedConversation.nodes)
       }
     });
   } catch (error) {
@@ -463,7 +1555,7 @@ router.get('/:id/export', auth, async (req, res) => {
       conversation: {
         title: conversation.title,
         description: conversation.description,
-        nodes: conversation.nodes,
+        nodes: await conversation.getNodes(),
         rootNodeId: conversation.rootNodeId,
         createdAt: conversation.createdAt,
         lastModified: conversation.lastModified,
@@ -502,18 +1594,21 @@ router.post('/import', auth, async (req, res) => {
       description: importData.description || '',
       userId: req.user.id,
       rootNodeId: importData.rootNodeId || importData.nodes[0]?.id,
-      nodes: importData.nodes,
       settings: importData.settings || {}
     });
 
     await newConversation.save();
+    try {
+      await newConversation.insertNodes(importData.nodes);
+    } catch (error) {
+      // Do not leave an empty conversation behind when the nodes are invalid
+      await Conversation.deleteOne({ _id: newConversation._id });
+      throw error;
+    }
     
     res.status(201).json({
       success: true,
-      conversation: {
-        ...newConversation.toObject(),
-        treeStructure: newConversation.getTreeStructure()
-      }
+      conversation: await newConversation.toResponse()
     });
   } catch (error) {
     console.error('Import conversation error:', error);
@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const usageService = require('../services/usageService');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+const DEFAULT_RANGE_DAYS = 30;
+const INTERVALS = ['day', 'month'];
+
+// Read ?from, ?to and ?interval; defaults to the last 30 days by day
+const parseRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+  const interval = query.interval || 'day';
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from >= to) {
+    return { error: 'from must be before to' };
+  }
+  if (!INTERVALS.includes(interval)) {
+    return { error: `interval must be one of: ${INTERVALS.join(', ')}` };
+  }
+  return { from, to, interval };
+};
+
+// Current user's usage over time and remaining quota
+router.get('/me', auth, async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const [usage, quota] = await Promise.all([
+      usageService.getUsage(req.user._id, range),
+      usageService.getQuotaStatus(req.user)
+    ]);
+
+    res.json({ ...usage, quota, unlimited: req.user.role === 'admin' });
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({ error: 'Failed to get usage' });
+  }
+});
+
+// Usage per user across the whole server (admin only)
+router.get('/users', auth, admin, async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const users = await usageService.getUsageByUser({ ...range, limit });
+
+    res.json({ from: range.from, to: range.to, users });
+  } catch (error) {
+    console.error('Get usage by user error:', error);
+    res.status(500).json({ error: 'Failed to get usage' });
+  }
+});
+
+// One user's usage and quota (admin only)
+router.get('/users/:userId', auth, admin, async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const [usage, quota] = await Promise.all([
+      usageService.getUsage(user._id, range),
+      usageService.getQuotaStatus(user)
+    ]);
+
+    res.json({ user: user.toJSON(), ...usage, quota });
+  } catch (error) {
+    console.error('Get user usage error:', error);
+    res.status(500).json({ error: 'Failed to get usage' });
+  }
+});
+
+// Override a user's token quotas; null falls back to the server default
+router.patch('/users/:userId/quota', auth, admin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const updates = {};
+    for (const field of ['dailyTokens', 'monthlyTokens']) {
+      if (req.body[field] === undefined) continue;
+      const value = req.body[field];
+      if (value !== null && (!Number.isInteger(value) || value < 0)) {
+        return res.status(400).json({ error: `${field} must be a non-negative integer or null` });
+      }
+      updates[`quota.${field}`] = value;
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.userId, { $set: updates }, { new: true, runValidators: true });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ success: true, user: user.toJSON() });
+  } catch (error) {
+    console.error('Update quota error:', error);
+    res.status(500).json({ error: 'Failed to update quota' });
+  }
+});
+
+module.exports = router;
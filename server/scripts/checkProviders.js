@@ -0,0 +1,281 @@
+// Runs the Ollama and Anthropic adapters end to end (generate, stream and
+// health check through aiService) against a local stub server that speaks
+// both APIs, then the error paths retries and fallbacks rely on: Anthropic
+// 401 and 429 (with Retry-After) and Ollama `{ "error": ... }` bodies.
+// Needs no network, database or API keys.
+//
+// Usage: npm run check:providers
+//
+// Exits with 1 and prints the failed check when a request or parsed
+// response is not what the real API would send or return.
+const http = require('http');
+const assert = require('assert');
+
+const OLLAMA_MODEL = 'stub-llama';
+const ANTHROPIC_MODEL = 'stub-claude';
+const ANTHROPIC_KEY = 'stub-anthropic-key';
+// Models the stub answers with errors
+const ANTHROPIC_BUSY_MODEL = 'stub-busy';
+const OLLAMA_MISSING_MODEL = 'stub-missing';
+const OLLAMA_CRASHING_MODEL = 'stub-crashing';
+
+// Requests the stub received, by endpoint
+const received = { ollama: [], anthropic: [] };
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(body ? JSON.parse(body) : null));
+  req.on('error', reject);
+});
+
+const sendJson = (res, status, data) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+// Ollama's /api/chat: one JSON object, or NDJSON lines when streaming
+const handleOllamaChat = (req, res, body) => {
+  received.ollama.push({ headers: req.headers, body });
+
+  if (body.model === OLLAMA_MISSING_MODEL) {
+    return sendJson(res, 404, { error: `model "${body.model}" not found, try pulling it first` });
+  }
+
+  if (!body.stream) {
+    return sendJson(res, 200, {
+      model: body.model,
+      message: { role: 'assistant', content: 'Hello from Ollama' },
+      done: true,
+      prompt_eval_count: 12,
+      eval_count: 4
+    });
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+  ['Hello ', 'from ', 'Ollama'].forEach(content => {
+    res.write(`${JSON.stringify({ model: body.model, message: { role: 'assistant', content }, done: false })}\n`);
+  });
+  // Ollama reports failures after the stream started as an error line
+  if (body.model === OLLAMA_CRASHING_MODEL) {
+    return res.end(`${JSON.stringify({ error: 'model runner has unexpectedly stopped' })}\n`);
+  }
+  res.end(`${JSON.stringify({ model: body.model, message: { role: 'assistant', content: '' }, done: true, prompt_eval_count: 12, eval_count: 3 })}\n`);
+};
+
+// Anthropic's /v1/messages: one message, or server-sent events when streaming
+const handleAnthropicMessages = (req, res, body) => {
+  received.anthropic.push({ headers: req.headers, body });
+
+  if (req.headers['x-api-key'] !== ANTHROPIC_KEY) {
+    return sendJson(res, 401, { type: 'error', error: { type: 'authentication_error', message: 'invalid x-api-key' } });
+  }
+
+  if (body.model === ANTHROPIC_BUSY_MODEL) {
+    res.setHeader('Retry-After', '0');
+    return sendJson(res, 429, { type: 'error', error: { type: 'rate_limit_error', message: 'Number of request tokens has exceeded your rate limit' } });
+  }
+
+  if (!body.stream) {
+    return sendJson(res, 200, {
+      id: 'msg_stub',
+      type: 'message',
+      role: 'assistant',
+      model: body.model,
+      content: [{ type: 'text', text: 'Hello from Claude' }],
+      usage: { input_tokens: 20, output_tokens: 5 }
+    });
+  }
+
+  const event = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  event('message_start', { message: { id: 'msg_stub', model: body.model, usage: { input_tokens: 20, output_tokens: 1 } } });
+  event('content_block_start', { index: 0, content_block: { type: 'text', text: '' } });
+  ['Hello ', 'from ', 'Claude'].forEach(text => {
+    event('content_block_delta', { index: 0, delta: { type: 'text_delta', text } });
+  });
+  event('content_block_stop', { index: 0 });
+  event('message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 6 } });
+  event('message_stop', {});
+  res.end();
+};
+
+const stub = http.createServer(async (req, res) => {
+  try {
+    const body = await readBody(req);
+    if (req.method === 'POST' && req.url === '/api/chat') return handleOllamaChat(req, res, body);
+    if (req.method === 'POST' && req.url === '/v1/messages') return handleAnthropicMessages(req, res, body);
+    if (req.method === 'GET' && req.url === '/api/tags') return sendJson(res, 200, { models: [{ name: OLLAMA_MODEL }] });
+    if (req.method === 'GET' && req.url === '/v1/models') return sendJson(res, 200, { data: [{ id: ANTHROPIC_MODEL }] });
+    sendJson(res, 404, { error: `No stub for ${req.method} ${req.url}` });
+  } catch (error) {
+    sendJson(res, 500, { error: error.message });
+  }
+});
+
+const context = [
+  { role: 'system', content: 'Be brief.' },
+  { role: 'user', content: 'Hi' },
+  { role: 'assistant', content: 'Hello!' }
+];
+
+const checkOllama = async (aiService) => {
+  const options = { noCache: true, parameters: { temperature: 0.2, maxTokens: 64 } };
+
+  const response = await aiService.generateResponse('Say hello', 'ollama', OLLAMA_MODEL, context, options);
+  assert.strictEqual(response.content, 'Hello from Ollama');
+  assert.strictEqual(response.tokens, 16);
+  assert.strictEqual(response.model, OLLAMA_MODEL);
+
+  const [request] = received.ollama;
+  assert.strictEqual(request.body.stream, false);
+  assert.strictEqual(request.body.model, OLLAMA_MODEL);
+  assert.deepStrictEqual(request.body.options, { temperature: 0.2, num_predict: 64 });
+  assert.deepStrictEqual(request.body.messages.map(message => message.role), ['system', 'user', 'assistant', 'user']);
+  assert.strictEqual(request.body.messages[3].content, 'Say hello');
+
+  const deltas = [];
+  const streamed = await aiService.streamResponse('Say hello', 'ollama', OLLAMA_MODEL, context, delta => deltas.push(delta), options);
+  assert.deepStrictEqual(deltas, ['Hello ', 'from ', 'Ollama']);
+  assert.strictEqual(streamed.content, 'Hello from Ollama');
+  assert.strictEqual(streamed.tokens, 15);
+  assert.strictEqual(received.ollama[1].body.stream, true);
+
+  const health = await aiService.checkHealth('ollama');
+  assert.strictEqual(health.healthy, true);
+  assert.deepStrictEqual(health.models, [OLLAMA_MODEL]);
+};
+
+const checkAnthropic = async (aiService) => {
+  const options = { noCache: true, parameters: { temperature: 0.2, maxTokens: 64, systemPrompt: 'You are a stub.' } };
+
+  const response = await aiService.generateResponse('Say hello', 'anthropic', ANTHROPIC_MODEL, context, options);
+  assert.strictEqual(response.content, 'Hello from Claude');
+  assert.strictEqual(response.tokens, 25);
+  assert.strictEqual(response.model, ANTHROPIC_MODEL);
+
+  const [request] = received.anthropic;
+  assert.strictEqual(request.headers['x-api-key'], ANTHROPIC_KEY);
+  assert.ok(request.headers['anthropic-version'], 'anthropic-version header is missing');
+  assert.strictEqual(request.body.stream, false);
+  assert.strictEqual(request.body.max_tokens, 64);
+  assert.strictEqual(request.body.system, 'You are a stub.\n\nBe brief.');
+  assert.deepStrictEqual(request.body.messages, [
+    { role: 'user', content: 'Hi' },
+    { role: 'assistant', content: 'Hello!' },
+    { role: 'user', content: 'Say hello' }
+  ]);
+
+  const deltas = [];
+  const streamed = await aiService.streamResponse('Say hello', 'anthropic', ANTHROPIC_MODEL, context, delta => deltas.push(delta), options);
+  assert.deepStrictEqual(deltas, ['Hello ', 'from ', 'Claude']);
+  assert.strictEqual(streamed.content, 'Hello from Claude');
+  assert.strictEqual(streamed.tokens, 26);
+  assert.strictEqual(received.anthropic[1].body.stream, true);
+
+  const health = await aiService.checkHealth('anthropic');
+  assert.strictEqual(health.healthy, true);
+  assert.deepStrictEqual(health.models, [ANTHROPIC_MODEL]);
+};
+
+// Resolves with the error promise rejects with
+const rejection = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the call to fail');
+};
+
+const checkErrors = async (aiService) => {
+  const ollama = aiService.getAdapter('ollama');
+  const anthropic = aiService.getAdapter('anthropic');
+  const ignore = () => {};
+
+  // Errors carry the upstream status, message and Retry-After for retries
+  const unauthorized = await rejection(aiService.callProvider(anthropic, 'Say hello', ANTHROPIC_MODEL, [], { apiKey: 'wrong-key' }));
+  assert.strictEqual(unauthorized.status, 401);
+  assert.strictEqual(unauthorized.message, 'invalid x-api-key');
+  assert.strictEqual(aiService.getRetryDelay(unauthorized, 1), null, '401 must not be retried');
+
+  const rateLimited = await rejection(aiService.streamProvider(anthropic, 'Say hello', ANTHROPIC_BUSY_MODEL, [], ignore));
+  assert.strictEqual(rateLimited.status, 429);
+  assert.strictEqual(rateLimited.message, 'Number of request tokens has exceeded your rate limit');
+  assert.strictEqual(rateLimited.retryAfter, 0);
+  assert.strictEqual(aiService.getRetryDelay(rateLimited, 1), 0, '429 must be retried after Retry-After');
+
+  const missing = await rejection(aiService.callProvider(ollama, 'Say hello', OLLAMA_MISSING_MODEL, []));
+  assert.strictEqual(missing.status, 404);
+  assert.strictEqual(missing.message, `model "${OLLAMA_MISSING_MODEL}" not found, try pulling it first`);
+
+  const missingStream = await rejection(aiService.streamProvider(ollama, 'Say hello', OLLAMA_MISSING_MODEL, [], ignore));
+  assert.strictEqual(missingStream.status, 404);
+  assert.strictEqual(missingStream.message, missing.message);
+
+  const crashed = await rejection(aiService.streamProvider(ollama, 'Say hello', OLLAMA_CRASHING_MODEL, [], ignore));
+  assert.strictEqual(crashed.message, 'model runner has unexpectedly stopped');
+
+  // A rate limited provider is retried once (AI_MAX_RETRIES), then the chain
+  // falls back
+  const fallbacks = [{ provider: 'ollama', model: OLLAMA_MODEL }];
+  const response = await aiService.generateResponse('Say hello', 'anthropic', ANTHROPIC_BUSY_MODEL, context, { noCache: true, fallbacks });
+  assert.strictEqual(response.provider, 'ollama');
+  assert.strictEqual(response.content, 'Hello from Ollama');
+  assert.deepStrictEqual(response.attempts.map(attempt => [attempt.provider, attempt.status || null, attempt.success]), [
+    ['anthropic', 429, false],
+    ['anthropic', 429, false],
+    ['ollama', null, true]
+  ]);
+
+  // A rejected key is not retried; streams fall back before the first delta
+  const deltas = [];
+  const streamed = await aiService.streamResponse('Say hello', 'anthropic', ANTHROPIC_MODEL, context, delta => deltas.push(delta), {
+    noCache: true,
+    fallbacks,
+    apiKeys: { anthropic: 'wrong-key' }
+  });
+  assert.strictEqual(streamed.provider, 'ollama');
+  assert.deepStrictEqual(deltas, ['Hello ', 'from ', 'Ollama']);
+  assert.deepStrictEqual(streamed.attempts.map(attempt => [attempt.provider, attempt.status || null, attempt.success]), [
+    ['anthropic', 401, false],
+    ['ollama', null, true]
+  ]);
+
+  // Without a fallback the chain error names the upstream message
+  const exhausted = await rejection(aiService.generateResponse('Say hello', 'ollama', OLLAMA_MISSING_MODEL, context, { noCache: true }));
+  assert.ok(exhausted.message.includes('not found, try pulling it first'), exhausted.message);
+};
+
+const main = async () => {
+  await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+  const baseURL = `http://127.0.0.1:${stub.address().port}`;
+
+  // Provider configs read these when first loaded, so set them before
+  // requiring aiService; a single retry keeps the retry check quick
+  process.env.OLLAMA_BASE_URL = baseURL;
+  process.env.ANTHROPIC_BASE_URL = baseURL;
+  process.env.ANTHROPIC_API_KEY = ANTHROPIC_KEY;
+  process.env.AI_MAX_RETRIES = '1';
+  process.env.CACHE_DISABLED = 'true';
+  delete process.env.PROVIDERS_CONFIG;
+  delete process.env.FREE_MODE;
+  const aiService = require('../services/aiService');
+
+  for (const [name, check] of [['Ollama', checkOllama], ['Anthropic', checkAnthropic]]) {
+    await check(aiService);
+    console.log(`${name}: generate, stream and health check OK`);
+  }
+  await checkErrors(aiService);
+  console.log('Errors: mapping, retry and fallback OK');
+};
+
+main()
+  .then(() => {
+    console.log('All provider checks passed');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('Provider check failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,86 @@
+// Moves nodes embedded in conversation documents (the old `nodes` array)
+// into the Node collection and sets nodeCount.
+//
+// Usage: npm run migrate:nodes [-- --dry-run]
+//
+// Safe to re-run: nodes already copied are skipped, and a conversation's
+// embedded array is only removed once all of its nodes are stored.
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Conversation = require('../models/Conversation');
+const Node = require('../models/Node');
+
+const DUPLICATE_KEY = 11000;
+
+const migrateConversation = async (conversation, dryRun) => {
+  const nodes = conversation.nodes.map(node => ({ ...node, conversationId: conversation._id }));
+
+  if (dryRun) {
+    console.log(`Would move ${nodes.length} nodes of conversation ${conversation._id}`);
+    return nodes.length;
+  }
+
+  // Raw inserts: stored data is copied as-is, even if it would no longer
+  // pass validation (e.g. a provider that has since been removed)
+  try {
+    await Node.collection.insertMany(nodes, { ordered: false });
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== DUPLICATE_KEY)) {
+      throw error;
+    }
+  }
+
+  const stored = await Node.countDocuments({ conversationId: conversation._id });
+  if (stored < nodes.length) {
+    throw new Error(`only ${stored} of ${nodes.length} nodes stored`);
+  }
+
+  await Conversation.collection.updateOne(
+    { _id: conversation._id },
+    { $unset: { nodes: '' }, $set: { nodeCount: stored } }
+  );
+  return nodes.length;
+};
+
+const migrate = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/vynix');
+  await Node.createIndexes();
+
+  const cursor = Conversation.collection.find({ nodes: { $type: 'array' } });
+  let conversations = 0;
+  let nodes = 0;
+  let failed = 0;
+
+  for await (const conversation of cursor) {
+    try {
+      nodes += await migrateConversation(conversation, dryRun);
+      conversations++;
+    } catch (error) {
+      failed++;
+      console.error(`Conversation ${conversation._id} failed:`, error.message);
+    }
+  }
+
+  // Drops the unique index on the old embedded nodes.id
+  if (!dryRun && failed === 0) {
+    await Conversation.syncIndexes();
+  }
+
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${nodes} nodes from ${conversations} conversations` +
+    (failed > 0 ? `, ${failed} failed` : ''));
+  return failed;
+};
+
+migrate()
+  .then(failed => {
+    process.exitCode = failed > 0 ? 1 : 0;
+  })
+  .catch(error => {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
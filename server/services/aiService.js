@@ -1,261 +1,661 @@
+const crypto = require('crypto');
 const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
 const cacheService = require('./cache');
+const contextService = require('./contextService');
+const usageService = require('./usageService');
+const singleFlight = require('./singleFlight');
+const providerRegistry = require('../providers');
+const { readEventStream, readStreamBody } = require('../utils/sse');
+const { sleep, parseRetryAfter, isRetryableError, computeBackoff } = require('../utils/retry');
+
+// Roles accepted in a client-supplied message history
+const MESSAGE_ROLES = ['system', 'user', 'assistant'];
 
 class AIService {
   constructor() {
-    this.providers = {
-      lmstudio: {
-        baseURL: 'http://127.0.0.1:1234',
-        endpoint: '/v1/chat/completions',
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      },
-      openai: {
-        baseURL: 'https://api.openai.com',
-        endpoint: '/v1/chat/completions',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
-        }
-      },
-      google: {
-        baseURL: 'https://generativelanguage.googleapis.com',
-        // endpoint will be composed with model at call time
-        endpoint: '/v1beta/models',
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      },
-      groq: {
-        baseURL: 'https://api.groq.com',
-        endpoint: '/openai/v1/chat/completions',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${process.env.GROQ_API_KEY}`
-        }
-      },
-      openrouter: {
-        baseURL: 'https://openrouter.ai',
-        endpoint: '/api/v1/chat/completions',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-          'HTTP-Referer': process.env.OPENROUTER_REFERER || 'https://vynix.app',
-          'X-Title': 'Vynix'
-        }
+    this.providers = providerRegistry;
+    this.retry = {
+      maxRetries: Math.max(0, parseInt(process.env.AI_MAX_RETRIES ?? 2) || 0),
+      baseDelay: parseInt(process.env.AI_RETRY_BASE_MS) || 500,
+      maxDelay: parseInt(process.env.AI_RETRY_MAX_MS) || 10000
+    };
+  }
+
+  // User keys are ignored in FREE_MODE unless ALLOW_BYOK_IN_FREE_MODE is set
+  isByokAllowed() {
+    return process.env.FREE_MODE !== 'true' || process.env.ALLOW_BYOK_IN_FREE_MODE === 'true';
+  }
+
+  // Decrypted keys the user stored for configured providers: { provider: key }
+  resolveApiKeys(user) {
+    const apiKeys = {};
+    if (!user?.apiKeys?.length || !this.isByokAllowed()) return apiKeys;
+
+    user.apiKeys.forEach(({ provider }) => {
+      const adapter = this.providers.get(provider);
+      if (!adapter || !adapter.acceptsApiKey()) return;
+      try {
+        apiKeys[provider] = user.getApiKey(provider);
+      } catch (error) {
+        console.error(`Could not decrypt ${provider} key for user ${user.id}:`, error.message);
       }
+    });
+    return apiKeys;
+  }
+
+  // Throw if FREE_MODE forbids this provider/model combination. Calls paid
+  // for with the user's own key are allowed when BYOK is.
+  assertFreeModeAllowed(provider, model, apiKey = null) {
+    if (process.env.FREE_MODE !== 'true') return;
+    if (apiKey && this.isByokAllowed()) return;
+
+    const adapter = this.providers.get(provider);
+    if (adapter && !adapter.isAvailableInFreeMode()) {
+      throw new Error(`Provider ${provider} is not available in FREE_MODE. Only free providers are allowed.`);
+    }
+
+    // e.g. OpenRouter in FREE_MODE only allows models ending with ':free'
+    if (adapter && model && !adapter.isModelAllowedInFreeMode(model)) {
+      throw new Error(`Model ${model} is not free. Only models ending with '${adapter.freeModelSuffix}' are allowed in FREE_MODE.`);
+    }
+  }
+
+  getAdapter(provider) {
+    const adapter = this.providers.get(provider);
+    if (!adapter) {
+      throw new Error(`Unsupported provider: ${provider}`);
+    }
+    return adapter;
+  }
+
+  // Validate generation parameters for a provider: { parameters, errors }
+  validateParameters(provider, raw = {}) {
+    const adapter = this.providers.get(provider);
+    if (!adapter) {
+      return { parameters: {}, errors: [`Unsupported provider: ${provider}`] };
+    }
+    return adapter.validateParameters(raw || {});
+  }
+
+  // Validate a message history sent by the client; returns a list of errors,
+  // empty when context is an array of { role, content } messages
+  validateContext(context) {
+    if (!Array.isArray(context)) {
+      return ['context must be an array of { role, content } messages'];
+    }
+    const errors = [];
+    context.forEach((message, index) => {
+      if (!message || typeof message !== 'object') {
+        errors.push(`context[${index}] must be a { role, content } message`);
+        return;
+      }
+      if (!MESSAGE_ROLES.includes(message.role)) {
+        errors.push(`context[${index}].role must be one of: ${MESSAGE_ROLES.join(', ')}`);
+      }
+      if (typeof message.content !== 'string') {
+        errors.push(`context[${index}].content must be a string`);
+      }
+    });
+    return errors;
+  }
+
+  // Fallback chain for a request: an explicit list wins, then the
+  // conversation's settings, then the user's preferences
+  resolveFallbacks({ fallbacks, conversation, user } = {}) {
+    const toPlain = (list) => (list || []).map(({ provider, model }) => ({ provider, model: model || null }));
+
+    if (Array.isArray(fallbacks)) return toPlain(fallbacks);
+    if (conversation?.settings?.fallbackChain?.length) return toPlain(conversation.settings.fallbackChain);
+    return toPlain(user?.preferences?.fallbackProviders);
+  }
+
+  // Cache bypass for a request: the request's noCache/refresh flags, plus
+  // noCache for conversations that turned caching off
+  resolveCacheMode({ noCache, refresh, conversation } = {}) {
+    return {
+      noCache: noCache === true || conversation?.settings?.cacheEnabled === false,
+      refresh: refresh === true
     };
   }
 
-  async generateResponse(prompt, provider = 'lmstudio', model = null, context = []) {
-    const startTime = Date.now();
-    
-    try {
-      // Check FREE_MODE restrictions
-      if (process.env.FREE_MODE === 'true' && !['lmstudio', 'openrouter'].includes(provider)) {
-        throw new Error(`Provider ${provider} is not available in FREE_MODE. Only LM Studio and OpenRouter free models are allowed.`);
+  // Primary provider followed by the configured fallbacks, without duplicates
+  buildChain(provider, model, fallbacks = []) {
+    const chain = [{ provider, model: model || null }];
+    (Array.isArray(fallbacks) ? fallbacks : []).forEach(entry => {
+      if (!entry || !entry.provider) return;
+      const target = { provider: entry.provider, model: entry.model || null };
+      if (!chain.some(t => t.provider === target.provider && t.model === target.model)) {
+        chain.push(target);
       }
-      
-      // For OpenRouter in FREE_MODE, ensure only free models are used
-      if (process.env.FREE_MODE === 'true' && provider === 'openrouter' && model && !model.includes(':free')) {
-        throw new Error(`Model ${model} is not free. Only models ending with ':free' are allowed in FREE_MODE.`);
+    });
+    return chain;
+  }
+
+  // Delay before the next attempt, or null when the error should not be retried
+  getRetryDelay(error, attempt) {
+    if (attempt > this.retry.maxRetries || !isRetryableError(error)) {
+      return null;
+    }
+    if (error.retryAfter !== null && error.retryAfter !== undefined) {
+      // Waiting longer than maxDelay is worse than moving on to a fallback
+      return error.retryAfter > this.retry.maxDelay ? null : error.retryAfter;
+    }
+    return computeBackoff(attempt, this.retry.baseDelay, this.retry.maxDelay);
+  }
+
+  createCancelledError() {
+    const error = new Error('Generation cancelled');
+    error.cancelled = true;
+    return error;
+  }
+
+  // Run fn with retries, recording every attempt in `attempts`.
+  // canRetry() lets streaming calls stop retrying once output was emitted.
+  async withRetry(target, attempts, fn, { canRetry = () => true, signal } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      const startTime = Date.now();
+      try {
+        const response = await fn();
+        attempts.push({ ...target, attempt, success: true, durationMs: Date.now() - startTime });
+        return response;
+      } catch (error) {
+        attempts.push({
+          ...target,
+          attempt,
+          success: false,
+          status: error.status || null,
+          error: error.message,
+          durationMs: Date.now() - startTime
+        });
+
+        const delay = canRetry() && !error.cancelled ? this.getRetryDelay(error, attempt) : null;
+        if (delay === null) throw error;
+
+        console.log(`Retrying ${target.provider} in ${delay}ms (attempt ${attempt + 1})`);
+        await sleep(delay, signal);
+        if (signal?.aborted) throw this.createCancelledError();
       }
-      
-      // Check cache first
-      const cachedResponse = cacheService.get(provider, model, prompt, context);
-      if (cachedResponse) {
-        console.log('Returning cached response');
-        return {
-          ...cachedResponse,
+    }
+  }
+
+  // Parameters were validated against the requested provider; fallbacks
+  // silently drop whatever they do not support
+  parametersFor(adapter, target, provider, parameters = {}) {
+    if (target.provider === provider) return parameters;
+    return adapter.validateParameters(parameters).parameters;
+  }
+
+  // Trim the history to the target model's context window
+  async fitContext(adapter, target, prompt, context, parameters, options) {
+    return contextService.fitToWindow({
+      provider: target.provider,
+      model: adapter.resolveModel(target.model),
+      prompt,
+      messages: Array.isArray(context) ? context : [],
+      systemPrompt: parameters.systemPrompt,
+      reserveTokens: parameters.maxTokens || adapter.maxTokens,
+      overflow: options.overflow,
+      summarize: (transcript, maxTokens) => this.summarizeContext(adapter, target.model, transcript, maxTokens, options)
+    });
+  }
+
+  // Ask the model for a short summary of turns that no longer fit
+  async summarizeContext(adapter, model, transcript, maxTokens, options = {}) {
+    const prompt = `Summarize the following conversation in a few short paragraphs (under ${maxTokens} tokens). Keep names, facts, decisions and open questions; do not add commentary.\n\n${transcript}`;
+    const startTime = Date.now();
+    const response = await this.callProvider(adapter, prompt, model, [], {
+      parameters: { maxTokens },
+      signal: options.signal,
+      apiKey: options.apiKey
+    });
+    this.recordUsage(options, {
+      kind: 'summary',
+      provider: adapter.id,
+      model: response.model || model || 'default',
+      tokens: response.tokens || 0,
+      responseTime: Date.now() - startTime,
+      byok: !!options.apiKey
+    });
+    return response.content;
+  }
+
+  // options.noCache skips the cache entirely; options.refresh only skips the
+  // lookup, so the fresh answer replaces the cached one
+  readsCache(options) {
+    return !options.noCache && !options.refresh;
+  }
+
+  // Key that groups identical requests in flight, or null to call alone.
+  // Requests that bypass the cache asked for their own answer, and callers
+  // paying with different API keys never share (and split the bill for) a call.
+  getFlightKey(target, prompt, context, cacheOptions, apiKey, options) {
+    if (!this.readsCache(options)) return null;
+
+    const cacheKey = cacheService.resolveKey(target.provider, target.model, prompt, context, cacheOptions);
+    if (!cacheKey) return null;
+
+    const payer = apiKey ? crypto.createHash('sha256').update(apiKey).digest('hex').substring(0, 16) : 'server';
+    return `${cacheKey}:${payer}`;
+  }
+
+  // Generations without a requester are not accounted. options.usageKind
+  // marks e.g. connection tests; summaries set their own kind.
+  recordUsage(options, entry) {
+    if (!options.requester?.userId) return;
+    usageService.record({
+      userId: options.requester.userId,
+      conversationId: options.requester.conversationId || null,
+      kind: options.usageKind || 'generation',
+      ...entry
+    });
+  }
+
+  // Throw when options.quotaUser has used up a token quota that applies to
+  // this target, so the chain moves on without calling it. Calls paid for
+  // with the user's own key do not count against quotas and are not checked.
+  // Like the quota middleware, accounting failures never block a generation.
+  async assertQuotaAvailable(target, apiKey, options) {
+    if (!options.quotaUser || apiKey) return;
+
+    let exceeded;
+    try {
+      exceeded = await usageService.checkQuota(options.quotaUser, target.provider);
+    } catch (error) {
+      console.error('Quota check error:', error.message);
+      return;
+    }
+    if (exceeded) {
+      const scope = exceeded.scope === 'provider' ? `${exceeded.provider} ` : '';
+      const error = new Error(`${exceeded.period === 'day' ? 'Daily' : 'Monthly'} ${scope}token quota (${exceeded.limit}) is used up`);
+      error.quota = exceeded;
+      throw error;
+    }
+  }
+
+  formatChainError(provider, error, attempts) {
+    const providersTried = [...new Set(attempts.map(a => a.provider))];
+
+    if (providersTried.length > 1) {
+      return new Error(`All providers failed (${providersTried.join(', ')}). Last error: ${error.message}`);
+    }
+
+    // For LM Studio, provide a more helpful error message
+    if (provider === 'lmstudio') {
+      console.error('LM Studio connection failed. Please check:');
+      console.error('1. LM Studio is running on http://127.0.0.1:1234');
+      console.error('2. The model "openai/gpt-oss-20b" is loaded');
+      console.error('3. The model is ready to generate responses');
+      return new Error(`LM Studio connection failed: ${error.message}. Please ensure LM Studio is running and the model is loaded.`);
+    }
+
+    return new Error(`Failed to generate response: ${error.message}`);
+  }
+
+  // options.parameters: validated generation parameters (see validateParameters)
+  // options.fallbacks: [{ provider, model }] tried in order when the primary fails
+  // options.signal: AbortSignal that cancels the upstream request
+  // options.overflow: context window strategy (see contextService.fitToWindow)
+  // options.requester: { userId, conversationId } the generation is for; used
+  // for the usage ledger and to scope cache entries (see CACHE_SCOPE)
+  // options.noCache / options.refresh: bypass the response cache (see readsCache)
+  // options.quotaUser: user whose token quotas every chain target is checked
+  // against before it is called (see assertQuotaAvailable)
+  async generateResponse(prompt, provider = 'lmstudio', model = null, context = [], options = {}) {
+    const startTime = Date.now();
+    const attempts = [];
+    let lastError;
+
+    for (const target of this.buildChain(provider, model, options.fallbacks)) {
+      if (options.signal?.aborted) break;
+
+      try {
+        const apiKey = options.apiKeys?.[target.provider] || null;
+        this.assertFreeModeAllowed(target.provider, target.model, apiKey);
+        const adapter = this.getAdapter(target.provider);
+
+        const parameters = this.parametersFor(adapter, target, provider, options.parameters);
+        const cacheOptions = { requester: options.requester, parameters };
+
+        // Check cache first
+        const cachedResponse = this.readsCache(options) ? await cacheService.get(target.provider, target.model, prompt, context, cacheOptions) : null;
+        if (cachedResponse) {
+          console.log('Returning cached response');
+          attempts.push({ ...target, attempt: 1, success: true, cached: true, durationMs: 0 });
+          this.recordUsage(options, {
+            provider: target.provider,
+            requestedProvider: provider,
+            model: cachedResponse.model,
+            tokens: cachedResponse.tokens,
+            responseTime: Date.now() - startTime,
+            cached: true,
+            byok: !!apiKey
+          });
+          return {
+            ...cachedResponse,
+            parameters,
+            responseTime: Date.now() - startTime,
+            requestedProvider: provider,
+            attempts,
+            cached: true
+          };
+        }
+
+        await this.assertQuotaAvailable(target, apiKey, options);
+
+        // Identical requests already in flight share one upstream call
+        const flightKey = this.getFlightKey(target, prompt, context, cacheOptions, apiKey, options);
+        const { value, shared } = await singleFlight.run(flightKey, (signal) =>
+          this.generateFromTarget(adapter, target, prompt, context, parameters, { ...options, apiKey, signal, cacheOptions }),
+          options.signal
+        );
+        attempts.push(...value.attempts);
+
+        const result = {
+          ...value.result,
+          id: shared ? uuidv4() : value.result.id,
           responseTime: Date.now() - startTime,
-          cached: true
+          coalesced: shared
         };
-      }
-      
-      const providerConfig = this.providers[provider];
-      if (!providerConfig) {
-        throw new Error(`Unsupported provider: ${provider}`);
-      }
 
-      let response;
-      switch (provider) {
-        case 'lmstudio':
-        case 'openai':
-        case 'groq':
-        case 'openrouter':
-          response = await this.callOpenAICompatibleAPI(prompt, providerConfig, model, context);
-          break;
-        case 'google':
-          response = await this.callGoogleAI(prompt, providerConfig, model, context);
-          break;
-        default:
-          throw new Error(`Provider ${provider} not implemented`);
+        // A joined call cost nothing upstream, so it is accounted like a cache hit
+        this.recordUsage(options, {
+          provider: result.provider,
+          requestedProvider: provider,
+          model: result.model,
+          tokens: result.tokens,
+          responseTime: result.responseTime,
+          cached: shared,
+          byok: !!apiKey
+        });
+
+        return { ...result, requestedProvider: provider, attempts };
+      } catch (error) {
+        console.error(`AI Service Error (${target.provider}):`, error.message);
+        if (error.attempts) attempts.push(...error.attempts);
+        if (!attempts.some(a => a.provider === target.provider && a.model === target.model)) {
+          attempts.push({ ...target, attempt: 1, success: false, status: null, error: error.message, durationMs: 0 });
+        }
+        lastError = error;
+        if (error.cancelled) break;
       }
+    }
+
+    this.recordUsage(options, {
+      provider,
+      requestedProvider: provider,
+      model: model || 'default',
+      responseTime: Date.now() - startTime,
+      success: false,
+      error: options.signal?.aborted ? 'cancelled' : lastError?.message
+    });
+
+    if (options.signal?.aborted) throw this.createCancelledError();
+    throw this.formatChainError(provider, lastError, attempts);
+  }
+
+  // One provider's share of generateResponse: fit the context, call with
+  // retries and cache the answer. Resolves with { result, attempts }; errors
+  // carry the attempts made so callers sharing the call can report them.
+  async generateFromTarget(adapter, target, prompt, context, parameters, options) {
+    const startTime = Date.now();
+    const attempts = [];
+
+    try {
+      const { messages, contextWindow } = await this.fitContext(adapter, target, prompt, context, parameters, options);
+      const response = await this.withRetry(target, attempts, () =>
+        this.callProvider(adapter, prompt, target.model, messages, { ...options, parameters }),
+        { signal: options.signal }
+      );
 
-      const responseTime = Date.now() - startTime;
-      
       const result = {
         id: uuidv4(),
         content: response.content,
         tokens: response.tokens || 0,
-        responseTime,
-        provider,
-        model: response.model || model || 'default',
+        responseTime: Date.now() - startTime,
+        provider: target.provider,
+        model: response.model || target.model || 'default',
+        parameters,
+        contextWindow,
         cached: false
       };
 
       // Cache the successful response
-      cacheService.set(provider, model, prompt, context, result);
-      
-      return result;
+      if (!options.noCache) {
+        await cacheService.set(target.provider, target.model, prompt, context, result, options.cacheOptions);
+      }
 
+      return { result, attempts };
     } catch (error) {
-      console.error(`AI Service Error (${provider}):`, error.message);
-      
-      // For LM Studio, provide a more helpful error message
-      if (provider === 'lmstudio') {
-        console.error('LM Studio connection failed. Please check:');
-        console.error('1. LM Studio is running on http://127.0.0.1:1234');
-        console.error('2. The model "openai/gpt-oss-20b" is loaded');
-        console.error('3. The model is ready to generate responses');
-        throw new Error(`LM Studio connection failed: ${error.message}. Please ensure LM Studio is running and the model is loaded.`);
-      }
-      
-      throw new Error(`Failed to generate response: ${error.message}`);
+      error.attempts = attempts;
+      throw error;
     }
   }
 
-  async callOpenAICompatibleAPI(prompt, config, model, context) {
-    const messages = [
-      ...context.map(msg => ({
-        role: msg.role || 'user',
-        content: msg.content
-      })),
-      {
-        role: 'user',
-        content: prompt
-      }
-    ];
-
-    // Default model selection
-    const defaultModel = config.baseURL.includes('127.0.0.1') ? 'openai/gpt-oss-20b' : 'gpt-3.5-turbo';
-    const selectedModel = model || defaultModel;
-
-    console.log(`Calling AI API: ${config.baseURL}${config.endpoint}`);
-    console.log(`Model: ${selectedModel}`);
-    console.log(`Provider: ${config.baseURL.includes('127.0.0.1') ? 'LM Studio' : 'OpenAI/Groq'}`);
-
-    // Configure max tokens based on provider
-    let maxTokens = 1000; // Default
-    if (config.baseURL.includes('openrouter.ai')) {
-      // OpenRouter specific settings
-      maxTokens = 2048; // Higher limit for OpenRouter models
-    } else if (config.baseURL.includes('127.0.0.1')) {
-      // LM Studio settings
-      maxTokens = 1000;
-    } else {
-      // OpenAI/Groq settings
-      maxTokens = 1000;
-    }
+  // Stream a response, calling onDelta(text) for every content fragment.
+  // Resolves with the same result shape as generateResponse. Retries and
+  // fallbacks only happen before the first fragment has been sent.
+  async streamResponse(prompt, provider = 'lmstudio', model = null, context = [], onDelta = () => {}, options = {}) {
+    const startTime = Date.now();
+    const attempts = [];
+    let emitted = false;
+    let lastError;
 
-    const requestBody = {
-      model: selectedModel,
-      messages,
-      max_tokens: maxTokens,
-      temperature: 0.7,
-      stream: false
+    const emit = (delta) => {
+      emitted = true;
+      onDelta(delta);
     };
 
-    try {
-      const response = await axios.post(
-        `${config.baseURL}${config.endpoint}`,
-        requestBody,
-        {
-          headers: config.headers,
-          timeout: 120000 // Increased to 2 minutes for large models
+    for (const target of this.buildChain(provider, model, options.fallbacks)) {
+      if (options.signal?.aborted) break;
+
+      try {
+        const apiKey = options.apiKeys?.[target.provider] || null;
+        this.assertFreeModeAllowed(target.provider, target.model, apiKey);
+        const adapter = this.getAdapter(target.provider);
+
+        const parameters = this.parametersFor(adapter, target, provider, options.parameters);
+        const cacheOptions = { requester: options.requester, parameters };
+
+        // Replay cached responses as a single delta
+        const cachedResponse = this.readsCache(options) ? await cacheService.get(target.provider, target.model, prompt, context, cacheOptions) : null;
+        if (cachedResponse) {
+          console.log('Returning cached response');
+          attempts.push({ ...target, attempt: 1, success: true, cached: true, durationMs: 0 });
+          this.recordUsage(options, {
+            provider: target.provider,
+            requestedProvider: provider,
+            model: cachedResponse.model,
+            tokens: cachedResponse.tokens,
+            responseTime: Date.now() - startTime,
+            cached: true,
+            byok: !!apiKey
+          });
+          emit(cachedResponse.content);
+          return {
+            ...cachedResponse,
+            parameters,
+            responseTime: Date.now() - startTime,
+            requestedProvider: provider,
+            attempts,
+            cached: true
+          };
         }
-      );
 
-      console.log('AI API Response received successfully');
-      console.log('Response model:', response.data.model);
-      console.log('Response content length:', response.data.choices[0]?.message?.content?.length || 0);
-      
-      // Check for empty response content
-      const content = response.data.choices[0]?.message?.content;
-      if (!content || content.trim() === '') {
-        console.error('Empty response content received from AI API');
-        console.log('Full response data:', JSON.stringify(response.data, null, 2));
-        throw new Error('AI API returned empty response content');
+        await this.assertQuotaAvailable(target, apiKey, options);
+
+        const { messages, contextWindow } = await this.fitContext(adapter, target, prompt, context, parameters, { ...options, apiKey });
+        const response = await this.withRetry(target, attempts, () =>
+          this.streamProvider(adapter, prompt, target.model, messages, emit, { ...options, parameters, apiKey }),
+          { canRetry: () => !emitted, signal: options.signal }
+        );
+
+        const result = {
+          id: uuidv4(),
+          content: response.content,
+          tokens: response.tokens || 0,
+          responseTime: Date.now() - startTime,
+          provider: target.provider,
+          model: response.model || target.model || 'default',
+          parameters,
+          contextWindow,
+          cached: false
+        };
+
+        if (!options.noCache) {
+          await cacheService.set(target.provider, target.model, prompt, context, result, cacheOptions);
+        }
+
+        this.recordUsage(options, {
+          provider: result.provider,
+          requestedProvider: provider,
+          model: result.model,
+          tokens: result.tokens,
+          responseTime: result.responseTime,
+          byok: !!apiKey
+        });
+
+        return { ...result, requestedProvider: provider, attempts };
+      } catch (error) {
+        console.error(`AI Service Stream Error (${target.provider}):`, error.message);
+        if (!attempts.some(a => a.provider === target.provider && a.model === target.model)) {
+          attempts.push({ ...target, attempt: 1, success: false, status: null, error: error.message, durationMs: 0 });
+        }
+        lastError = error;
+        // Part of the answer already reached the client; do not mix providers
+        if (emitted || error.cancelled) break;
       }
+    }
 
-      return {
-        content: content,
-        tokens: response.data.usage?.total_tokens || 0,
-        model: response.data.model
-      };
-    } catch (error) {
-      console.error('AI API call failed:', error.message);
-      throw error;
+    this.recordUsage(options, {
+      provider,
+      requestedProvider: provider,
+      model: model || 'default',
+      responseTime: Date.now() - startTime,
+      success: false,
+      error: options.signal?.aborted ? 'cancelled' : lastError?.message
+    });
+
+    if (options.signal?.aborted) throw this.createCancelledError();
+    throw this.formatChainError(provider, lastError, attempts);
+  }
+
+  // Wrap an axios failure so retry decisions can see status and Retry-After
+  createProviderError(adapter, error, body) {
+    if (axios.isCancel(error)) {
+      return this.createCancelledError();
     }
+    const message = adapter.parseError(error, body);
+    const providerError = new Error(typeof message === 'string' ? message : 'AI request failed');
+    providerError.status = error.response?.status || null;
+    providerError.code = error.code || null;
+    providerError.retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+    return providerError;
   }
 
-  async callGoogleAI(prompt, config, model, context) {
-    const contents = [
-      ...context.map(msg => ({
-        role: msg.role === 'assistant' ? 'model' : 'user',
-        parts: [{ text: msg.content }]
-      })),
-      {
-        role: 'user',
-        parts: [{ text: prompt }]
-      }
-    ];
+  async callProvider(adapter, prompt, model, context, options = {}) {
+    const request = adapter.buildRequest(prompt, model, context, { parameters: options.parameters, apiKey: options.apiKey });
 
-    const requestBody = {
-      contents,
-      generationConfig: {
-        maxOutputTokens: 1000,
-        temperature: 0.7
-      }
-    };
+    console.log(`Calling AI API (${adapter.id}): ${request.url.split('?')[0]}`);
+    console.log(`Model: ${request.model}`);
+
+    let response;
+    try {
+      response = await axios.post(request.url, request.body, {
+        headers: request.headers,
+        timeout: adapter.timeout,
+        signal: options.signal
+      });
+    } catch (error) {
+      const providerError = this.createProviderError(adapter, error);
+      console.error('AI API call failed:', providerError.message);
+      throw providerError;
+    }
+
+    const result = adapter.parseResponse(response.data, request.model);
+    console.log('AI API Response received successfully');
+    console.log('Response model:', result.model);
+    console.log('Response content length:', result.content?.length || 0);
+
+    // Check for empty response content
+    if (!result.content || result.content.trim() === '') {
+      console.error('Empty response content received from AI API');
+      console.log('Full response data:', JSON.stringify(response.data, null, 2));
+      throw new Error('AI API returned empty response content');
+    }
+
+    return result;
+  }
 
-    // Choose cheapest sensible default unless explicitly provided
-    // gemini-1.5-flash is the most cost-effective option
-    const selectedModel = model || process.env.GEMINI_DEFAULT_MODEL || 'gemini-1.5-flash';
+  async streamProvider(adapter, prompt, model, context, onDelta, options = {}) {
+    const request = adapter.buildRequest(prompt, model, context, {
+      stream: true,
+      parameters: options.parameters,
+      apiKey: options.apiKey
+    });
 
-    // Fix the URL format for Google AI API
-    const url = `${config.baseURL}/v1beta/models/${selectedModel}:generateContent?key=${process.env.GOOGLE_AI_KEY}`;
+    console.log(`Streaming AI API (${adapter.id}): ${request.url.split('?')[0]}`);
 
-    console.log('Calling Google AI API:', url);
-    console.log('Model:', selectedModel);
-    console.log('Request body:', JSON.stringify(requestBody, null, 2));
+    let content = '';
+    let tokens = 0;
+    let responseModel = request.model;
+    // Scratch space for adapters that need to carry values across chunks
+    const streamState = {};
 
+    let response;
     try {
-      const response = await axios.post(url, requestBody, {
-        headers: config.headers,
-        timeout: 60000
+      response = await axios.post(request.url, request.body, {
+        headers: request.headers,
+        responseType: 'stream',
+        timeout: adapter.timeout,
+        signal: options.signal
       });
+    } catch (error) {
+      const body = axios.isCancel(error) ? null : await readStreamBody(error.response?.data);
+      const providerError = this.createProviderError(adapter, error, body);
+      console.error('AI API stream failed:', providerError.message);
+      throw providerError;
+    }
 
-      console.log('Google AI Response:', JSON.stringify(response.data, null, 2));
+    // Stop reading the upstream body as soon as the generation is cancelled
+    const onAbort = () => response.data.destroy(this.createCancelledError());
+    options.signal?.addEventListener('abort', onAbort, { once: true });
 
-      return {
-        content: response.data?.candidates?.[0]?.content?.parts?.[0]?.text || '',
-        tokens: response.data?.usageMetadata?.totalTokenCount || 0,
-        model: selectedModel
-      };
-    } catch (err) {
-      const detail = err.response?.data || err.message;
-      console.error('Google AI error detail:', JSON.stringify(detail, null, 2));
-      throw new Error(typeof detail === 'string' ? detail : (detail.error?.message || 'Google AI request failed'));
+    try {
+      await readEventStream(response.data, (chunk) => {
+        const parsed = adapter.parseStreamChunk(chunk, streamState);
+        if (parsed.delta) {
+          content += parsed.delta;
+          onDelta(parsed.delta);
+        }
+        if (parsed.tokens) {
+          tokens = parsed.tokens;
+        }
+        if (parsed.model) {
+          responseModel = parsed.model;
+        }
+      }, { format: adapter.streamFormat });
+    } catch (error) {
+      if (options.signal?.aborted) throw this.createCancelledError();
+      throw error;
+    } finally {
+      options.signal?.removeEventListener('abort', onAbort);
+    }
+
+    if (!content || content.trim() === '') {
+      throw new Error('AI API returned empty response content');
     }
+
+    return { content, tokens, model: responseModel };
   }
 
-  async testConnection(provider) {
+  // options.apiKeys: { provider: key } to test a user's key instead of the server's
+  // options.requester / options.quotaUser: as for generateResponse; the test
+  // is recorded as usage of kind 'test'
+  async testConnection(provider, options = {}) {
     try {
       const testPrompt = "Hello, this is a connection test. Please respond with 'Connection successful' if you can see this message.";
-      const response = await this.generateResponse(testPrompt, provider, null, []);
+      const response = await this.generateResponse(testPrompt, provider, null, [], { ...options, noCache: true, usageKind: 'test' });
       return {
         success: true,
         response: response.content,
@@ -270,60 +670,58 @@ class AIService {
     }
   }
 
-  getAvailableProviders() {
-    const allProviders = Object.keys(this.providers);
-    
-    // If FREE_MODE is enabled, only return free providers
+  // Lightweight reachability check that does not spend generation tokens
+  async checkHealth(provider, apiKey = null) {
+    const adapter = this.getAdapter(provider);
+    const startTime = Date.now();
+    try {
+      const result = await adapter.healthCheck(axios, apiKey);
+      return { ...result, provider, latency: Date.now() - startTime };
+    } catch (error) {
+      return {
+        healthy: false,
+        provider,
+        error: adapter.parseError(error),
+        latency: Date.now() - startTime
+      };
+    }
+  }
+
+  // userKeyProviders: providers the user has their own key for
+  getAvailableProviders(userKeyProviders = []) {
+    const allProviders = this.providers.list();
+
+    // If FREE_MODE is enabled, only return free providers (and BYOK ones when allowed)
     if (process.env.FREE_MODE === 'true') {
-      return allProviders.filter(provider => ['lmstudio', 'openrouter'].includes(provider));
+      const byok = this.isByokAllowed() ? userKeyProviders : [];
+      return allProviders
+        .filter(adapter => adapter.isAvailableInFreeMode() || byok.includes(adapter.id))
+        .map(adapter => adapter.id);
     }
-    
-    return allProviders;
+
+    return allProviders.map(adapter => adapter.id);
   }
 
   getProviderConfig(provider) {
-    return this.providers[provider] || null;
-  }
-
-  getModels(provider) {
-    const allModels = {
-      google: [
-        'gemini-1.5-flash',      // Cheapest, fastest
-        'gemini-1.5-flash-exp',  // Experimental version
-        'gemini-2.0-flash',      // Newer, still cost-effective
-        'gemini-1.5-pro',        // More capable, higher cost
-        'gemini-1.0-pro',        // Legacy
-        'gemini-pro'             // Original
-      ],
-      openai: ['gpt-4o', 'gpt-4o-mini', 'gpt-3.5-turbo'],
-      groq: ['llama-3.1-70b-versatile', 'llama-3.1-8b-instant'],
-      lmstudio: ['openai/gpt-oss-20b'],
-      openrouter: [
-        'openai/gpt-oss-20b:free',
-        'z-ai/glm-4.5-air:free',
-        'qwen/qwen3-coder:free',
-        'moonshotai/kimi-k2:free',
-        'cognitivecomputations/dolphin-mistral-24b-venice-edition:free',
-        'google/gemma-3n-e2b-it:free'
-      ]
-    };
+    const adapter = this.providers.get(provider);
+    return adapter ? adapter.describe() : null;
+  }
 
-    const models = allModels[provider] || [];
-    
-    // If FREE_MODE is enabled, filter to only free models
-    if (process.env.FREE_MODE === 'true') {
-      if (provider === 'openrouter') {
-        return models.filter(model => model.includes(':free'));
-      }
-      // For lmstudio, return all models as they're local/free
-      if (provider === 'lmstudio') {
-        return models;
-      }
-      // For other providers in FREE_MODE, return empty array
+  // hasUserKey: the user pays with their own key, so FREE_MODE limits do not apply
+  getModels(provider, hasUserKey = false) {
+    const adapter = this.providers.get(provider);
+    if (!adapter) return [];
+
+    if (hasUserKey && this.isByokAllowed()) {
+      return adapter.models;
+    }
+
+    // For other providers in FREE_MODE, return empty array
+    if (process.env.FREE_MODE === 'true' && !adapter.isAvailableInFreeMode()) {
       return [];
     }
-    
-    return models;
+
+    return adapter.listModels();
   }
 }
 
@@ -1,20 +1,49 @@
 const crypto = require('crypto');
+const { loadConfig, createStore } = require('../cache');
 
+// Who may share a cached answer: everyone, the same user, or the same conversation
+const CACHE_SCOPES = ['global', 'user', 'conversation'];
+
+// Response cache in front of the AI providers. Entries live in a pluggable
+// store (see server/cache/) chosen by CACHE_BACKEND; store errors are logged
+// and treated as misses so a broken cache never fails a generation.
 class CacheService {
-  constructor() {
-    this.cache = new Map();
-    this.maxItems = parseInt(process.env.CACHE_MAX_ITEMS) || 500;
-    this.ttl = parseInt(process.env.CACHE_TTL_MS) || 86400000; // 24 hours default
+  constructor(config = loadConfig()) {
+    this.backend = config.type;
+    this.maxItems = config.maxItems;
+    this.ttl = config.ttl;
     this.disabled = process.env.CACHE_DISABLED === 'true';
+    this.scope = CACHE_SCOPES.includes(process.env.CACHE_SCOPE) ? process.env.CACHE_SCOPE : 'user';
+    this.store = createStore(config);
+    this.resetCounters();
+  }
+
+  // Hit/miss/eviction counts for this process since start or the last clear
+  resetCounters() {
+    this.counters = { hits: 0, misses: 0, evictions: 0, since: new Date() };
+  }
+
+  // Partition of the cache a requester ({ userId, conversationId }) reads
+  // and writes. Conversation scope falls back to the user when there is no
+  // conversation yet. null means the request cannot be scoped and bypasses
+  // the cache rather than risk sharing answers between users.
+  getScopeKey(requester = {}) {
+    if (this.scope === 'global') return 'global';
+    if (this.scope === 'conversation' && requester?.conversationId) {
+      return `conversation:${requester.conversationId}`;
+    }
+    return requester?.userId ? `user:${requester.userId}` : null;
   }
 
   // Generate cache key from request parameters
-  generateKey(provider, model, prompt, contextHash) {
+  generateKey(provider, model, prompt, contextHash, scopeKey = 'global', parametersHash = 'default') {
     const keyData = {
+      scope: scopeKey,
       provider,
       model,
       prompt: prompt.trim(),
-      contextHash
+      contextHash,
+      parametersHash
     };
     
     const keyString = JSON.stringify(keyData);
@@ -34,39 +63,70 @@ class CacheService {
     return crypto.createHash('sha256').update(contextString).digest('hex').substring(0, 16);
   }
 
-  // Get cached response
-  get(provider, model, prompt, context = []) {
-    if (this.disabled) {
-      return null;
+  // Generate parameters hash; key order and unset values do not matter
+  generateParametersHash(parameters) {
+    const entries = Object.entries(parameters || {})
+      .filter(([, value]) => value !== undefined && value !== null)
+      .sort(([a], [b]) => a.localeCompare(b));
+
+    if (entries.length === 0) {
+      return 'default';
     }
 
+    return crypto.createHash('sha256').update(JSON.stringify(entries)).digest('hex').substring(0, 16);
+  }
+
+  // Full key for a request; null when the requester cannot be scoped
+  resolveKey(provider, model, prompt, context, { requester, parameters } = {}) {
+    const scopeKey = this.getScopeKey(requester);
+    if (!scopeKey) return null;
+
     const contextHash = this.generateContextHash(context);
-    const key = this.generateKey(provider, model, prompt, contextHash);
+    const parametersHash = this.generateParametersHash(parameters);
+    return this.generateKey(provider, model, prompt, contextHash, scopeKey, parametersHash);
+  }
+
+  // Get cached response
+  // options.requester: { userId, conversationId } (see getScopeKey)
+  // options.parameters: generation parameters the answer was produced with
+  async get(provider, model, prompt, context = [], options = {}) {
+    const key = this.disabled ? null : this.resolveKey(provider, model, prompt, context, options);
+    if (!key) {
+      return null;
+    }
     
-    const cached = this.cache.get(key);
+    let cached;
+    try {
+      cached = await this.store.get(key);
+    } catch (error) {
+      console.error('Cache read failed:', error.message);
+      this.counters.misses++;
+      return null;
+    }
     
     if (!cached) {
+      this.counters.misses++;
       return null;
     }
 
     // Check if cache entry has expired
     if (Date.now() - cached.timestamp > this.ttl) {
-      this.cache.delete(key);
+      await this.store.delete(key).catch(() => {});
+      this.counters.misses++;
       return null;
     }
 
+    this.counters.hits++;
     console.log(`Cache hit for key: ${key.substring(0, 16)}...`);
     return cached.data;
   }
 
   // Set cached response
-  set(provider, model, prompt, context = [], response) {
-    if (this.disabled) {
+  async set(provider, model, prompt, context = [], response, options = {}) {
+    const key = this.disabled ? null : this.resolveKey(provider, model, prompt, context, options);
+    if (!key) {
       return;
     }
-
-    const contextHash = this.generateContextHash(context);
-    const key = this.generateKey(provider, model, prompt, contextHash);
     
     // Normalize response data for caching
     const normalizedResponse = {
@@ -77,63 +137,115 @@ class CacheService {
       model: response.model || model
     };
 
+    // scope and userId let admins find and invalidate entries later
     const cacheEntry = {
       data: normalizedResponse,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      scope: this.getScopeKey(options.requester),
+      userId: options.requester?.userId ? String(options.requester.userId) : null,
+      hits: 0
     };
 
-    // If cache is at max capacity, remove oldest entry
-    if (this.cache.size >= this.maxItems) {
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
+    // The store evicts its least recently used entries once maxItems is reached
+    try {
+      this.counters.evictions += await this.store.set(key, cacheEntry);
+      console.log(`Cached response for key: ${key.substring(0, 16)}...`);
+    } catch (error) {
+      console.error('Cache write failed:', error.message);
     }
+  }
+
+  // Whether an entry matches admin filters:
+  // { provider, model, userId, olderThan (ms), keyPrefix }
+  matchesFilters(key, entry, filters = {}, now = Date.now()) {
+    if (filters.keyPrefix && !key.startsWith(filters.keyPrefix)) return false;
+    if (filters.provider && entry.data?.provider !== filters.provider) return false;
+    if (filters.model && entry.data?.model !== filters.model) return false;
+    if (filters.userId && entry.userId !== String(filters.userId)) return false;
+    if (filters.olderThan && now - entry.timestamp < filters.olderThan) return false;
+    return true;
+  }
+
+  // Summary of an entry for the admin API; content and full keys stay private
+  describeEntry(key, entry, now = Date.now()) {
+    return {
+      keyPrefix: key.substring(0, 16),
+      provider: entry.data?.provider || null,
+      model: entry.data?.model || null,
+      scope: entry.scope || null,
+      userId: entry.userId || null,
+      createdAt: new Date(entry.timestamp),
+      ageMs: now - entry.timestamp,
+      expired: now - entry.timestamp > this.ttl,
+      size: Buffer.byteLength(JSON.stringify(entry.data || {})),
+      tokens: entry.data?.tokens || 0,
+      hits: entry.hits || 0
+    };
+  }
+
+  // Matching entries, newest first
+  async listEntries(filters = {}, { limit = 100, offset = 0 } = {}) {
+    const now = Date.now();
+    const matching = (await this.store.entries())
+      .filter(([key, entry]) => this.matchesFilters(key, entry, filters, now))
+      .sort(([, a], [, b]) => b.timestamp - a.timestamp);
 
-    this.cache.set(key, cacheEntry);
-    console.log(`Cached response for key: ${key.substring(0, 16)}...`);
+    return {
+      total: matching.length,
+      entries: matching.slice(offset, offset + limit).map(([key, entry]) => this.describeEntry(key, entry, now))
+    };
+  }
+
+  // Remove matching entries; resolves with how many were removed
+  async invalidate(filters = {}) {
+    const now = Date.now();
+    const matching = (await this.store.entries())
+      .filter(([key, entry]) => this.matchesFilters(key, entry, filters, now));
+
+    await Promise.all(matching.map(([key]) => this.store.delete(key)));
+    if (matching.length > 0) {
+      console.log(`Invalidated ${matching.length} cache entries`);
+    }
+    return matching.length;
   }
 
   // Clear all cache entries
-  clear() {
-    this.cache.clear();
+  async clear() {
+    await this.store.clear();
+    this.resetCounters();
     console.log('Cache cleared');
   }
 
   // Get cache statistics
-  getStats() {
-    const now = Date.now();
-    let expiredCount = 0;
-    
-    // Count expired entries
-    for (const [key, entry] of this.cache.entries()) {
-      if (now - entry.timestamp > this.ttl) {
-        expiredCount++;
-      }
-    }
+  async getStats() {
+    const { totalEntries, expiredEntries } = await this.store.stats();
+    const { hits, misses, evictions, since } = this.counters;
 
     return {
-      totalEntries: this.cache.size,
-      expiredEntries: expiredCount,
+      backend: this.backend,
+      scope: this.scope,
+      totalEntries,
+      expiredEntries,
       maxItems: this.maxItems,
       ttl: this.ttl,
-      disabled: this.disabled
+      disabled: this.disabled,
+      hits,
+      misses,
+      evictions,
+      hitRate: hits + misses > 0 ? hits / (hits + misses) : 0,
+      countersSince: since
     };
   }
 
   // Clean up expired entries
-  cleanup() {
-    const now = Date.now();
-    const expiredKeys = [];
-    
-    for (const [key, entry] of this.cache.entries()) {
-      if (now - entry.timestamp > this.ttl) {
-        expiredKeys.push(key);
+  async cleanup() {
+    try {
+      const removed = await this.store.cleanup();
+      if (removed > 0) {
+        console.log(`Cleaned up ${removed} expired cache entries`);
       }
-    }
-
-    expiredKeys.forEach(key => this.cache.delete(key));
-    
-    if (expiredKeys.length > 0) {
-      console.log(`Cleaned up ${expiredKeys.length} expired cache entries`);
+    } catch (error) {
+      console.error('Cache cleanup failed:', error.message);
     }
   }
 }
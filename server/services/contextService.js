@@ -0,0 +1,283 @@
+const tokenizer = require('./tokenizer');
+const modelCapabilities = require('../config/modelCapabilities');
+
+const CONTEXT_STRATEGIES = ['parent', 'full', 'lastN'];
+// What to do when prompt + history does not fit the model's context window
+const OVERFLOW_STRATEGIES = ['dropOldest', 'truncate', 'summarize'];
+
+// Truncated messages keep at least this much of their text
+const MIN_TRUNCATED_TOKENS = 64;
+const TRUNCATION_MARKER = ' [...]';
+const SUMMARY_REQUEST = 'Summarize our conversation so far.';
+
+class ContextService {
+  constructor() {
+    this.defaultStrategy = CONTEXT_STRATEGIES.includes(process.env.CONTEXT_STRATEGY)
+      ? process.env.CONTEXT_STRATEGY
+      : 'full';
+    this.defaultLastN = parseInt(process.env.CONTEXT_LAST_N) || 4;
+    this.maxDepth = parseInt(process.env.CONTEXT_MAX_DEPTH) || 50;
+    this.maxTokens = parseInt(process.env.CONTEXT_MAX_TOKENS) || 6000;
+    this.defaultOverflow = OVERFLOW_STRATEGIES.includes(process.env.CONTEXT_OVERFLOW_STRATEGY)
+      ? process.env.CONTEXT_OVERFLOW_STRATEGY
+      : 'dropOldest';
+    this.maxSummaryTokens = parseInt(process.env.CONTEXT_SUMMARY_TOKENS) || 512;
+  }
+
+  // Merge per-conversation settings with server defaults
+  resolveSettings(settings = {}) {
+    const strategy = CONTEXT_STRATEGIES.includes(settings.strategy)
+      ? settings.strategy
+      : this.defaultStrategy;
+
+    return {
+      strategy,
+      lastN: Math.max(1, parseInt(settings.lastN) || this.defaultLastN),
+      maxTokens: parseInt(settings.maxTokens) || this.maxTokens,
+      overflow: this.resolveOverflow(settings.overflow)
+    };
+  }
+
+  resolveOverflow(overflow) {
+    return OVERFLOW_STRATEGIES.includes(overflow) ? overflow : this.defaultOverflow;
+  }
+
+  estimateTokens(text) {
+    return tokenizer.count(text);
+  }
+
+  // Context window size for a provider/model (see config/modelCapabilities.js)
+  getContextLength(provider, model) {
+    const providerEntry = modelCapabilities.providers[provider];
+    if (providerEntry?.contextLength) {
+      return providerEntry.contextLength;
+    }
+
+    const id = (model || '').toLowerCase();
+    const modelEntry = modelCapabilities.models.find(entry => id.includes(entry.match));
+    return modelEntry ? modelEntry.contextLength : modelCapabilities.defaults.contextLength;
+  }
+
+  // Make prompt + history fit the model's context window, leaving
+  // reserveTokens for the reply. Returns { messages, contextWindow } where
+  // contextWindow reports what (if anything) was trimmed.
+  // summarize(transcript, maxTokens) is only called for the 'summarize' strategy.
+  async fitToWindow({ provider, model, prompt, messages = [], systemPrompt, reserveTokens = 0, overflow, summarize }) {
+    const strategy = this.resolveOverflow(overflow);
+    const contextLength = this.getContextLength(provider, model);
+    const reserved = Math.min(reserveTokens, Math.floor(contextLength / 2));
+    const fixedTokens = tokenizer.countMessages([
+      { content: prompt },
+      ...(systemPrompt ? [{ content: systemPrompt }] : [])
+    ]);
+    const budget = contextLength - reserved - fixedTokens;
+    const inputTokens = tokenizer.countMessages(messages);
+
+    const contextWindow = {
+      contextLength,
+      reserved,
+      budget,
+      inputTokens,
+      tokens: inputTokens,
+      strategy,
+      action: 'none',
+      droppedMessages: 0,
+      truncatedMessages: 0,
+      summarizedMessages: 0
+    };
+
+    if (budget < 0) {
+      const error = new Error(`Prompt is too long for ${model || provider}: about ${fixedTokens + reserved} tokens including the reply, limit ${contextLength}`);
+      error.code = 'CONTEXT_OVERFLOW';
+      throw error;
+    }
+
+    if (inputTokens <= budget) {
+      return { messages, contextWindow };
+    }
+
+    let fitted = messages.slice();
+    contextWindow.action = strategy;
+
+    if (strategy === 'truncate') {
+      fitted = this.truncateMessages(fitted, budget, contextWindow);
+    }
+
+    if (strategy === 'summarize') {
+      const summaryTokens = Math.min(this.maxSummaryTokens, Math.floor(budget / 4));
+      const kept = this.dropOldest(fitted, budget - summaryTokens, contextWindow);
+      const dropped = fitted.slice(0, fitted.length - kept.length);
+      fitted = kept;
+
+      if (dropped.length > 0 && summaryTokens >= MIN_TRUNCATED_TOKENS) {
+        try {
+          const transcript = tokenizer.truncate(
+            dropped.map(message => `${message.role}: ${message.content}`).join('\n\n'),
+            contextLength - summaryTokens - fixedTokens
+          );
+          const summary = tokenizer.truncate(await summarize(transcript, summaryTokens), summaryTokens);
+          fitted = [
+            { role: 'user', content: SUMMARY_REQUEST },
+            { role: 'assistant', content: summary },
+            ...fitted
+          ];
+          contextWindow.summarizedMessages = dropped.length;
+          contextWindow.droppedMessages = 0;
+        } catch (error) {
+          if (error.cancelled) throw error;
+          console.error('Context summary failed, dropping oldest turns instead:', error.message);
+          contextWindow.action = 'dropOldest';
+          contextWindow.summaryError = error.message;
+        }
+      } else {
+        contextWindow.action = 'dropOldest';
+      }
+    }
+
+    // Whatever is still over budget loses its oldest turns
+    fitted = this.dropOldest(fitted, budget, contextWindow);
+    contextWindow.tokens = tokenizer.countMessages(fitted);
+
+    return { messages: fitted, contextWindow };
+  }
+
+  // Remove whole user/assistant turns from the front until within budget
+  dropOldest(messages, budget, contextWindow) {
+    const kept = messages.slice();
+    while (kept.length > 0 && tokenizer.countMessages(kept) > budget) {
+      const removed = kept.length > 1 && kept[0].role === 'user' && kept[1].role === 'assistant' ? 2 : 1;
+      kept.splice(0, removed);
+      contextWindow.droppedMessages += removed;
+    }
+    return kept;
+  }
+
+  // Shorten messages, oldest first, until the history fits
+  truncateMessages(messages, budget, contextWindow) {
+    const truncated = messages.map(message => ({ ...message }));
+    let excess = tokenizer.countMessages(truncated) - budget;
+
+    for (const message of truncated) {
+      if (excess <= 0) break;
+      const tokens = tokenizer.count(message.content);
+      const target = Math.max(MIN_TRUNCATED_TOKENS, tokens - excess - tokenizer.count(TRUNCATION_MARKER));
+      if (target >= tokens) continue;
+
+      message.content = tokenizer.truncate(message.content, target) + TRUNCATION_MARKER;
+      excess -= tokens - tokenizer.count(message.content);
+      contextWindow.truncatedMessages++;
+    }
+
+    return truncated;
+  }
+
+  // The turns of path (root first) that go into the history, by strategy and
+  // token budget
+  selectTurns(path, settings = {}) {
+    const { strategy, lastN, maxTokens, overflow } = this.resolveSettings(settings);
+
+    let turns;
+    switch (strategy) {
+      case 'parent':
+        turns = path.slice(-1);
+        break;
+      case 'lastN':
+        turns = path.slice(-lastN);
+        break;
+      case 'full':
+      default:
+        turns = path.slice(-this.maxDepth);
+        break;
+    }
+
+    // Walk from the closest ancestor upwards until the token budget is spent.
+    // The parent turn is always kept so the branch never loses its anchor.
+    const selected = [];
+    let tokens = 0;
+    for (let i = turns.length - 1; i >= 0; i--) {
+      const turnTokens = this.estimateTokens(turns[i].prompt) + this.estimateTokens(turns[i].response);
+      if (selected.length > 0 && tokens + turnTokens > maxTokens) {
+        break;
+      }
+      selected.unshift(turns[i]);
+      tokens += turnTokens;
+    }
+
+    // 'parent' and 'lastN' leave ancestors out by choice; 'full' only does
+    // when the path is deeper than maxDepth, which counts as truncation
+    return {
+      selected,
+      strategy,
+      tokens,
+      truncated: selected.length < turns.length || (strategy === 'full' && turns.length < path.length),
+      overflow
+    };
+  }
+
+  // Messages for a list of turns; label, when given, prefixes the first one
+  toMessages(turns, label = null) {
+    const messages = [];
+    turns.forEach((node, index) => {
+      const prompt = index === 0 && label ? `${label}\n${node.prompt}` : node.prompt;
+      messages.push({ role: 'user', content: prompt });
+      messages.push({ role: 'assistant', content: node.response });
+    });
+    return messages;
+  }
+
+  // Build the message history for a new child of the last node in path
+  // (the root-to-parent path from Conversation.getAncestorPath)
+  buildContext(path, settings = {}) {
+    const { selected, strategy, tokens, truncated, overflow } = this.selectTurns(path, settings);
+
+    return {
+      messages: this.toMessages(selected),
+      strategy,
+      turns: selected.length,
+      tokens,
+      truncated,
+      overflow
+    };
+  }
+
+  // Build the message history for a node merging several branches, given
+  // one root-to-node path per branch. Turns every branch starts with are sent
+  // once; each branch's own turns follow, the first one labelled
+  // "[Branch N]" so the model can tell them apart.
+  buildMergeContext(paths, settings = {}) {
+    const branches = paths.map(path => this.selectTurns(path, settings));
+
+    // Every branch keeps at least its own last turn
+    const shortest = Math.min(...branches.map(branch => branch.selected.length));
+    let shared = 0;
+    while (
+      shared < shortest - 1 &&
+      branches.every(branch => branch.selected[shared].id === branches[0].selected[shared].id)
+    ) {
+      shared++;
+    }
+
+    const sharedTurns = branches[0].selected.slice(0, shared);
+    const included = [...sharedTurns];
+    const messages = this.toMessages(sharedTurns);
+    branches.forEach((branch, index) => {
+      const own = branch.selected.slice(shared);
+      messages.push(...this.toMessages(own, `[Branch ${index + 1}]`));
+      included.push(...own);
+    });
+
+    return {
+      messages,
+      strategy: branches[0].strategy,
+      turns: included.length,
+      tokens: included.reduce((sum, node) => sum + this.estimateTokens(node.prompt) + this.estimateTokens(node.response), 0),
+      truncated: branches.some(branch => branch.truncated),
+      overflow: branches[0].overflow
+    };
+  }
+}
+
+// Create singleton instance
+const contextService = new ContextService();
+
+module.exports = contextService;
@@ -0,0 +1,66 @@
+const { v4: uuidv4 } = require('uuid');
+
+const GENERATION_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Tracks in-flight generations so they can be cancelled by id
+class GenerationRegistry {
+  constructor() {
+    this.generations = new Map();
+  }
+
+  // Client-supplied ids let non-streaming requests be cancelled before they return
+  isValidId(id) {
+    return typeof id === 'string' && GENERATION_ID_PATTERN.test(id) && !this.generations.has(id);
+  }
+
+  // Register a generation and return its id and abort signal
+  start(userId, requestedId = null) {
+    const id = requestedId && this.isValidId(requestedId) ? requestedId : uuidv4();
+    const controller = new AbortController();
+
+    this.generations.set(id, {
+      controller,
+      userId: String(userId),
+      startedAt: new Date()
+    });
+
+    return { id, signal: controller.signal };
+  }
+
+  // Start a generation for an Express request; it is aborted if the client
+  // disconnects before the response has been sent
+  track(req, res) {
+    const generation = this.start(req.user.id, req.body?.generationId);
+    res.on('close', () => {
+      this.cancel(generation.id, req.user.id, 'Client disconnected');
+    });
+    return generation;
+  }
+
+  // Abort a generation owned by userId; false if it is unknown or already finished
+  cancel(id, userId, reason = 'Generation cancelled') {
+    const generation = this.generations.get(id);
+    if (!generation || generation.userId !== String(userId)) {
+      return false;
+    }
+
+    generation.controller.abort(reason);
+    this.generations.delete(id);
+    return true;
+  }
+
+  finish(id) {
+    this.generations.delete(id);
+  }
+
+  list(userId) {
+    return [...this.generations.entries()]
+      .filter(([, generation]) => generation.userId === String(userId))
+      .map(([id, generation]) => ({ id, startedAt: generation.startedAt }));
+  }
+}
+
+// Create singleton instance
+const generationRegistry = new GenerationRegistry();
+
+module.exports = generationRegistry;
@@ -0,0 +1,151 @@
+const Node = require('../models/Node');
+const Operation = require('../models/Operation');
+const trashService = require('./trashService');
+const snapshotService = require('./snapshotService');
+
+// Operations kept per conversation; older ones can no longer be undone
+const MAX_OPERATIONS = 100;
+
+// Error for an operation that no longer fits the conversation
+const conflict = (message) => {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+};
+
+class HistoryService {
+  // Log a change after it has been made. A new change discards everything
+  // that could be redone, and may take an automatic snapshot. Failures are
+  // never thrown, since the change itself already succeeded; a failed
+  // snapshot is added to the conversation's response warnings.
+  async record(conversation, type, data) {
+    try {
+      await Operation.deleteMany({ conversationId: conversation._id, undone: true });
+      await Operation.create({ conversationId: conversation._id, type, data });
+
+      const stale = await Operation.find({ conversationId: conversation._id }, { _id: 1 })
+        .sort({ _id: -1 })
+        .skip(MAX_OPERATIONS)
+        .lean();
+      if (stale.length > 0) {
+        await Operation.deleteMany({ _id: { $in: stale.map(operation => operation._id) } });
+      }
+    } catch (error) {
+      console.error('Failed to record operation:', error.message);
+    }
+    try {
+      await snapshotService.autoSnapshot(conversation);
+    } catch (error) {
+      console.error('Automatic snapshot failed:', error.message);
+      conversation.$locals.warnings = [
+        ...(conversation.$locals.warnings || []),
+        `Automatic snapshot failed: ${error.message}`
+      ];
+    }
+  }
+
+  // Revert the latest change; resolves with its operation, or null when there
+  // is nothing to undo
+  async undo(conversation) {
+    const operation = await Operation.findOne({ conversationId: conversation._id, undone: false })
+      .sort({ _id: -1 });
+    return operation && this.apply(conversation, operation, true);
+  }
+
+  // Make the most recently undone change again; resolves with its operation,
+  // or null when there is nothing to redo
+  async redo(conversation) {
+    const operation = await Operation.findOne({ conversationId: conversation._id, undone: true })
+      .sort({ _id: 1 });
+    return operation && this.apply(conversation, operation, false);
+  }
+
+  // Run an operation backwards (undo) or forwards (redo). An operation that
+  // no longer applies, e.g. because its node is gone, is dropped from the
+  // log so the ones before it stay reachable, and a 409 error is thrown.
+  async apply(conversation, operation, undo) {
+    try {
+      const data = { ...operation.data };
+
+      switch (operation.type) {
+        case 'branch':
+        case 'delete': {
+          // Undoing a branch and redoing a delete both remove the subtree,
+          // which goes to the trash like any other deleted subtree; the other
+          // two directions take it back out of the trash
+          if ((operation.type === 'branch') === undo) {
+            const removed = await conversation.deleteNode(data.nodeId);
+            if (!removed) {
+              throw conflict('The node no longer exists');
+            }
+            await trashService.trashSubtree(conversation, removed);
+          } else {
+            // Operations logged before the trash held removed subtrees carry
+            // them in data.removed
+            const subtree = await trashService.findSubtree(conversation, data.nodeId);
+            if (subtree) {
+              await trashService.restoreInto(conversation, subtree);
+            } else if (!data.removed) {
+              throw conflict('The deleted nodes are no longer in the trash');
+            } else if (!(await conversation.restoreSubtree(data.removed))) {
+              throw conflict('The parent node no longer exists');
+            }
+          }
+          delete data.removed;
+          break;
+        }
+
+        case 'title': {
+          const node = await Node.findOneAndUpdate(
+            { conversationId: conversation._id, id: data.nodeId },
+            { $set: { title: undo ? data.from : data.to } }
+          );
+          if (!node) {
+            throw conflict('The node no longer exists');
+          }
+          await conversation.touch();
+          break;
+        }
+
+        case 'settings': {
+          conversation.settings = undo ? data.from : data.to;
+          conversation.lastModified = new Date();
+          await conversation.save();
+          break;
+        }
+
+        case 'move': {
+          const { parentId, index } = undo ? data.from : data.to;
+          await conversation.moveNode(data.nodeId, parentId, index);
+          // Moving back restores the merge edge the move folded into the parent
+          if (undo && data.droppedMergeParent) {
+            await Node.updateOne(
+              { conversationId: conversation._id, id: data.nodeId },
+              { $addToSet: { mergeParentIds: data.to.parentId } }
+            );
+          }
+          break;
+        }
+
+        default:
+          throw new Error(`Unknown operation type: ${operation.type}`);
+      }
+
+      operation.data = data;
+      operation.undone = undo;
+      await operation.save();
+      return operation;
+    } catch (error) {
+      if (error.status) {
+        await Operation.deleteOne({ _id: operation._id });
+        error.status = 409;
+      }
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance
+const historyService = new HistoryService();
+
+module.exports = historyService;
@@ -0,0 +1,97 @@
+// Coalesces identical concurrent calls: the first caller for a key starts the
+// work, later callers with the same key wait for the same result. The shared
+// call gets its own AbortSignal that only fires once every caller has gone,
+// so one caller cancelling does not cancel the others.
+class SingleFlight {
+  constructor() {
+    this.calls = new Map();
+    this.stats = { started: 0, coalesced: 0, abandoned: 0 };
+  }
+
+  createCancelledError() {
+    const error = new Error('Generation cancelled');
+    error.cancelled = true;
+    return error;
+  }
+
+  // Run fn(sharedSignal) once per key. Resolves with { value, shared }, where
+  // shared is true for callers that joined a call already in flight.
+  // A null key disables coalescing for the call.
+  async run(key, fn, signal = null) {
+    if (signal?.aborted) throw this.createCancelledError();
+    if (!key) {
+      return { value: await fn(signal), shared: false };
+    }
+
+    let call = this.calls.get(key);
+    const shared = !!call;
+
+    if (call) {
+      this.stats.coalesced++;
+    } else {
+      const controller = new AbortController();
+      call = { controller, waiters: 0, promise: null };
+      call.promise = Promise.resolve()
+        .then(() => fn(controller.signal))
+        .finally(() => {
+          if (this.calls.get(key) === call) this.calls.delete(key);
+        });
+      // Waiters attach their own handlers; this one only avoids unhandled rejections
+      call.promise.catch(() => {});
+      this.calls.set(key, call);
+      this.stats.started++;
+    }
+
+    call.waiters++;
+    return new Promise((resolve, reject) => {
+      let settled = false;
+
+      const leave = () => {
+        call.waiters--;
+        if (call.waiters === 0 && !call.controller.signal.aborted) {
+          // Nobody is waiting any more; stop the upstream work and make sure
+          // new callers start a fresh call instead of joining a dying one
+          if (this.calls.get(key) === call) this.calls.delete(key);
+          this.stats.abandoned++;
+          call.controller.abort();
+        }
+      };
+
+      const onAbort = () => {
+        if (settled) return;
+        settled = true;
+        leave();
+        reject(this.createCancelledError());
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      call.promise.then(
+        value => {
+          if (settled) return;
+          settled = true;
+          signal?.removeEventListener('abort', onAbort);
+          call.waiters--;
+          resolve({ value, shared });
+        },
+        error => {
+          if (settled) return;
+          settled = true;
+          signal?.removeEventListener('abort', onAbort);
+          call.waiters--;
+          reject(error);
+        }
+      );
+    });
+  }
+
+  // started: upstream calls made; coalesced: calls saved by joining one in flight;
+  // abandoned: shared calls cancelled because every caller left
+  getStats() {
+    return { ...this.stats, inFlight: this.calls.size };
+  }
+}
+
+// Create singleton instance
+const singleFlight = new SingleFlight();
+
+module.exports = singleFlight;
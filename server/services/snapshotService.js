@@ -0,0 +1,178 @@
+const Conversation = require('../models/Conversation');
+const Node = require('../models/Node');
+const mongoose = require('mongoose');
+const Snapshot = require('../models/Snapshot');
+const SnapshotNode = require('../models/SnapshotNode');
+const { buildTree, diffTrees } = require('../utils/tree');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Snapshot nodes written per insertMany
+const NODE_BATCH_SIZE = 500;
+
+// The live conversation, for diffs against the current tree
+const CURRENT = 'current';
+
+class SnapshotService {
+  constructor() {
+    // A change takes an automatic snapshot when the last one is older than this
+    this.autoIntervalMs = (parseFloat(process.env.SNAPSHOT_INTERVAL_HOURS) || 24) * HOUR_MS;
+    // Automatic snapshots kept per conversation; named ones are never pruned
+    this.maxAutomatic = parseInt(process.env.SNAPSHOT_MAX_AUTOMATIC) || 30;
+  }
+
+  async getLiveNodes(conversation) {
+    const nodes = await Node.find({ conversationId: conversation._id }).sort({ createdAt: 1, _id: 1 }).lean();
+    return nodes.map(({ _id, __v, conversationId, ...node }) => node);
+  }
+
+  // Store the conversation's current tree. The nodes are written first, so a
+  // snapshot only becomes visible once all of them are stored; on failure
+  // they are removed again and the error is thrown.
+  async take(conversation, { name = null, automatic = false } = {}) {
+    const nodes = await this.getLiveNodes(conversation);
+    const snapshotId = new mongoose.Types.ObjectId();
+
+    try {
+      for (let start = 0; start < nodes.length; start += NODE_BATCH_SIZE) {
+        await SnapshotNode.insertMany(nodes.slice(start, start + NODE_BATCH_SIZE).map((node, offset) => ({
+          snapshotId,
+          conversationId: conversation._id,
+          index: start + offset,
+          node
+        })));
+      }
+
+      return await Snapshot.create({
+        _id: snapshotId,
+        conversationId: conversation._id,
+        userId: conversation.userId,
+        name,
+        automatic,
+        title: conversation.title,
+        rootNodeId: conversation.rootNodeId,
+        settings: conversation.toObject().settings,
+        nodeCount: nodes.length
+      });
+    } catch (error) {
+      await SnapshotNode.deleteMany({ snapshotId }).catch(() => {});
+      throw error;
+    }
+  }
+
+  // Called after each logged change: takes an automatic snapshot once the
+  // latest one is old enough, then prunes the oldest automatic ones
+  async autoSnapshot(conversation) {
+    const latest = await Snapshot.findOne({ conversationId: conversation._id, automatic: true })
+      .sort({ createdAt: -1 })
+      .select('createdAt')
+      .lean();
+    if (latest && Date.now() - latest.createdAt.getTime() < this.autoIntervalMs) {
+      return;
+    }
+
+    await this.take(conversation, { automatic: true });
+
+    const stale = await Snapshot.find({ conversationId: conversation._id, automatic: true }, { _id: 1 })
+      .sort({ createdAt: -1 })
+      .skip(this.maxAutomatic)
+      .lean();
+    await this.remove(stale.map(snapshot => snapshot._id));
+  }
+
+  // A snapshot's nodes in the conversation's creation order
+  async getNodes(snapshot) {
+    const stored = await SnapshotNode.find({ snapshotId: snapshot._id }).sort({ index: 1 }).lean();
+    return stored.map(({ node }) => node);
+  }
+
+  // Delete snapshots and their nodes
+  async remove(snapshotIds) {
+    if (snapshotIds.length === 0) return;
+    await Snapshot.deleteMany({ _id: { $in: snapshotIds } });
+    await SnapshotNode.deleteMany({ snapshotId: { $in: snapshotIds } });
+  }
+
+  // A conversation's snapshots without their nodes, newest first
+  async list(conversation) {
+    return Snapshot.find({ conversationId: conversation._id })
+      .select('name automatic nodeCount createdAt')
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  async get(conversation, snapshotId) {
+    return Snapshot.findOne({ _id: snapshotId, conversationId: conversation._id });
+  }
+
+  // One side of a diff: a snapshot, or the live tree for 'current'. Resolves
+  // with null when the snapshot does not exist.
+  async loadSide(conversation, snapshotId) {
+    if (snapshotId === CURRENT) {
+      return {
+        summary: { id: CURRENT, name: 'Current', createdAt: conversation.lastModified },
+        nodes: await this.getLiveNodes(conversation)
+      };
+    }
+
+    const snapshot = await this.get(conversation, snapshotId);
+    return snapshot && {
+      summary: {
+        id: snapshot._id,
+        name: snapshot.name,
+        automatic: snapshot.automatic,
+        createdAt: snapshot.createdAt
+      },
+      nodes: await this.getNodes(snapshot)
+    };
+  }
+
+  // Structural diff from one snapshot to another (or to the current tree),
+  // with a tree of both sides' nodes for display. Resolves with null when
+  // either snapshot does not exist.
+  async diff(conversation, fromId, toId = CURRENT) {
+    const [from, to] = await Promise.all([
+      this.loadSide(conversation, fromId),
+      this.loadSide(conversation, toId)
+    ]);
+    if (!from || !to) {
+      return null;
+    }
+
+    const { nodes, ...changes } = diffTrees(from.nodes, to.nodes);
+    return {
+      from: from.summary,
+      to: to.summary,
+      ...changes,
+      nodes,
+      treeStructure: buildTree(nodes)
+    };
+  }
+
+  // Create a new conversation holding a snapshot's tree
+  async restore(snapshot, conversation) {
+    const label = snapshot.name || `snapshot of ${snapshot.createdAt.toISOString().slice(0, 10)}`;
+    const restored = new Conversation({
+      title: `${snapshot.title || conversation.title} (${label})`,
+      userId: conversation.userId,
+      rootNodeId: snapshot.rootNodeId,
+      settings: snapshot.settings || {},
+      tags: conversation.tags,
+      origin: { conversationId: conversation._id, snapshotId: snapshot._id, mode: 'snapshot' }
+    });
+
+    await restored.save();
+    try {
+      await restored.insertNodes(await this.getNodes(snapshot));
+    } catch (error) {
+      await Conversation.deleteOne({ _id: restored._id });
+      throw error;
+    }
+    return restored;
+  }
+}
+
+// Create singleton instance
+const snapshotService = new SnapshotService();
+
+module.exports = snapshotService;
@@ -0,0 +1,49 @@
+// Local token estimates. Real tokenizers differ per model, so this errs on
+// the high side: a run of letters costs one token per 4 characters, digits
+// one per 3, CJK characters and punctuation one each, whitespace nothing.
+const PIECE_PATTERN = /([\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af])|(\p{L}+)|(\p{N}+)|(\S)/gu;
+
+// Per-message overhead for role markers and separators in chat formats
+const MESSAGE_OVERHEAD = 4;
+const REPLY_PRIMING = 2;
+
+class Tokenizer {
+  pieceTokens(match) {
+    if (match[2]) return Math.ceil(match[2].length / 4);
+    if (match[3]) return Math.ceil(match[3].length / 3);
+    return 1;
+  }
+
+  count(text) {
+    if (!text) return 0;
+    let tokens = 0;
+    for (const match of String(text).matchAll(PIECE_PATTERN)) {
+      tokens += this.pieceTokens(match);
+    }
+    return tokens;
+  }
+
+  // Tokens for a chat message list, including role overhead
+  countMessages(messages = []) {
+    if (messages.length === 0) return 0;
+    return messages.reduce((sum, message) => sum + this.count(message.content) + MESSAGE_OVERHEAD, REPLY_PRIMING);
+  }
+
+  // Cut text to at most maxTokens, ending on a whole piece
+  truncate(text, maxTokens) {
+    if (!text || maxTokens <= 0) return '';
+    let tokens = 0;
+    for (const match of String(text).matchAll(PIECE_PATTERN)) {
+      tokens += this.pieceTokens(match);
+      if (tokens > maxTokens) {
+        return text.slice(0, match.index).trimEnd();
+      }
+    }
+    return text;
+  }
+}
+
+// Create singleton instance
+const tokenizer = new Tokenizer();
+
+module.exports = tokenizer;
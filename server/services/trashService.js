@@ -0,0 +1,150 @@
+const Conversation = require('../models/Conversation');
+const TrashedSubtree = require('../models/TrashedSubtree');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DUPLICATE_KEY = 11000;
+
+// Error for a trash entry that cannot be restored as it is
+const conflict = (message) => {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+};
+
+class TrashService {
+  constructor() {
+    // Days deleted conversations and subtrees stay restorable
+    this.retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+  }
+
+  // When something deleted at deletedAt is purged
+  expiresAt(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + this.retentionDays * DAY_MS);
+  }
+
+  // Keep a subtree removed by Conversation#deleteNode restorable
+  async trashSubtree(conversation, removed) {
+    const root = removed.nodes.find(node => node.id === removed.nodeId);
+    return TrashedSubtree.create({
+      userId: conversation.userId,
+      conversationId: conversation._id,
+      nodeId: removed.nodeId,
+      title: root?.title || root?.prompt?.substring(0, 50),
+      nodeCount: removed.nodes.length,
+      removed
+    });
+  }
+
+  // The latest trash entry for a subtree of conversation rooted at nodeId
+  async findSubtree(conversation, nodeId) {
+    return TrashedSubtree.findOne({ conversationId: conversation._id, nodeId })
+      .sort({ deletedAt: -1 });
+  }
+
+  // Everything in a user's trash, newest first. Subtrees of conversations
+  // that are themselves in the trash come back with the conversation.
+  async list(userId) {
+    const conversations = await Conversation.find({ userId, deletedAt: { $ne: null } })
+      .select('title description nodeCount deletedAt')
+      .sort({ deletedAt: -1 })
+      .lean();
+    const subtrees = await TrashedSubtree.find({ userId })
+      .select('-removed')
+      .populate('conversationId', 'title')
+      .sort({ deletedAt: -1 })
+      .lean();
+
+    return {
+      retentionDays: this.retentionDays,
+      conversations: conversations.map(conversation => ({
+        ...conversation,
+        expiresAt: this.expiresAt(conversation.deletedAt)
+      })),
+      subtrees: subtrees
+        .filter(subtree => subtree.conversationId)
+        .map(({ conversationId: conversation, ...subtree }) => ({
+          ...subtree,
+          conversationId: conversation._id,
+          conversationTitle: conversation.title,
+          expiresAt: this.expiresAt(subtree.deletedAt)
+        }))
+    };
+  }
+
+  // Put a trashed subtree back under its original parent, or under the
+  // conversation's root when that parent is gone. Resolves with the
+  // conversation and where the subtree went.
+  async restoreSubtree(subtree) {
+    const conversation = await Conversation.findOne({ _id: subtree.conversationId, userId: subtree.userId });
+    if (!conversation) {
+      throw conflict('Restore its conversation first');
+    }
+    return this.restoreInto(conversation, subtree);
+  }
+
+  // restoreSubtree for an already loaded conversation (e.g. undo)
+  async restoreInto(conversation, subtree) {
+    const { removed } = subtree;
+    try {
+      let parentId = removed.parentId;
+      if (!(await conversation.restoreSubtree(removed))) {
+        parentId = conversation.rootNodeId;
+        await conversation.restoreSubtree({ ...removed, parentId, index: -1 });
+      }
+      await subtree.deleteOne();
+      return { conversation, parentId, originalParent: parentId === removed.parentId };
+    } catch (error) {
+      // Already back in the conversation; the entry is stale
+      if (error.code === DUPLICATE_KEY) {
+        await subtree.deleteOne();
+        throw conflict('These nodes are already in the conversation');
+      }
+      throw error;
+    }
+  }
+
+  // Permanently delete a trashed conversation with its nodes
+  async deleteConversation(userId, conversationId) {
+    return Conversation.findOneAndDelete({ _id: conversationId, userId, deletedAt: { $ne: null } });
+  }
+
+  // Permanently delete everything in a user's trash
+  async empty(userId) {
+    const conversations = await Conversation.find({ userId, deletedAt: { $ne: null } }, { _id: 1 }).lean();
+    for (const { _id } of conversations) {
+      await this.deleteConversation(userId, _id);
+    }
+    const { deletedCount } = await TrashedSubtree.deleteMany({ userId });
+    return { conversations: conversations.length, subtrees: deletedCount };
+  }
+
+  // Permanently delete whatever has been in the trash longer than the
+  // retention period. Failures are logged; the next run tries again.
+  async purge() {
+    try {
+      const cutoff = new Date(Date.now() - this.retentionDays * DAY_MS);
+      const expired = await Conversation.find({ deletedAt: { $ne: null, $lt: cutoff } }, { _id: 1 }).lean();
+      for (const { _id } of expired) {
+        await Conversation.findOneAndDelete({ _id, deletedAt: { $ne: null } });
+      }
+      const { deletedCount } = await TrashedSubtree.deleteMany({ deletedAt: { $lt: cutoff } });
+
+      if (expired.length + deletedCount > 0) {
+        console.log(`Purged ${expired.length} conversations and ${deletedCount} subtrees from the trash`);
+      }
+    } catch (error) {
+      console.error('Trash purge failed:', error.message);
+    }
+  }
+}
+
+// Create singleton instance
+const trashService = new TrashService();
+
+// Purge expired trash periodically (every hour); unref'd so scripts that
+// load this module can still exit on their own
+setInterval(() => {
+  trashService.purge();
+}, 60 * 60 * 1000).unref();
+
+module.exports = trashService;
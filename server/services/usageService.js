@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const UsageRecord = require('../models/UsageRecord');
+const quotas = require('../config/quotas');
+
+const PERIODS = ['day', 'month'];
+
+class UsageService {
+  // Record one generation; failures are logged, never thrown, so accounting
+  // problems cannot break a generation that already succeeded
+  async record(entry) {
+    try {
+      await UsageRecord.create(entry);
+    } catch (error) {
+      console.error('Failed to record usage:', error.message);
+    }
+  }
+
+  // Start of the current UTC day or month
+  periodStart(period, now = new Date()) {
+    return period === 'month'
+      ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  }
+
+  periodEnd(period, now = new Date()) {
+    return period === 'month'
+      ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+  }
+
+  // Tokens that count against quotas: uncached, successful, server-paid
+  async getTokensUsed(userId, since, provider = null) {
+    const match = {
+      userId: new mongoose.Types.ObjectId(String(userId)),
+      createdAt: { $gte: since },
+      cached: false,
+      byok: false,
+      success: true
+    };
+    if (provider) match.provider = provider;
+
+    const [result] = await UsageRecord.aggregate([
+      { $match: match },
+      { $group: { _id: null, tokens: { $sum: '$tokens' } } }
+    ]);
+    return result ? result.tokens : 0;
+  }
+
+  // Every limit that applies to this user and provider
+  getLimits(user, provider) {
+    const limits = [];
+    const providerLimits = quotas.provider(provider);
+
+    PERIODS.forEach(period => {
+      const override = period === 'day' ? user.quota?.dailyTokens : user.quota?.monthlyTokens;
+      const userLimit = override ?? quotas.user[period];
+      if (userLimit !== null && userLimit !== undefined) {
+        limits.push({ scope: 'user', provider: null, period, limit: userLimit });
+      }
+      if (providerLimits[period]) {
+        limits.push({ scope: 'provider', provider, period, limit: providerLimits[period] });
+      }
+    });
+
+    return limits;
+  }
+
+  // Current usage against each applicable limit
+  async getQuotaStatus(user, provider = null) {
+    const limits = provider
+      ? this.getLimits(user, provider)
+      : this.getLimits(user, '').filter(limit => limit.scope === 'user');
+
+    return Promise.all(limits.map(async limit => {
+      const used = await this.getTokensUsed(user._id, this.periodStart(limit.period), limit.provider);
+      return {
+        ...limit,
+        used,
+        remaining: Math.max(0, limit.limit - used),
+        resetAt: this.periodEnd(limit.period)
+      };
+    }));
+  }
+
+  // First exhausted limit for a request to `provider`, or null. Admins are exempt.
+  async checkQuota(user, provider) {
+    if (user.role === 'admin') return null;
+
+    const status = await this.getQuotaStatus(user, provider);
+    return status.find(limit => limit.used >= limit.limit) || null;
+  }
+
+  // Totals, per-provider breakdown and a time series for one user
+  async getUsage(userId, { from, to, interval = 'day' } = {}) {
+    const match = {
+      userId: new mongoose.Types.ObjectId(String(userId)),
+      createdAt: { $gte: from, $lt: to }
+    };
+    const format = interval === 'month' ? '%Y-%m' : '%Y-%m-%d';
+
+    const [totals] = await UsageRecord.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          requests: { $sum: 1 },
+          tokens: { $sum: '$tokens' },
+          cachedRequests: { $sum: { $cond: ['$cached', 1, 0] } },
+          failedRequests: { $sum: { $cond: ['$success', 0, 1] } },
+          avgResponseTime: { $avg: '$responseTime' }
+        }
+      }
+    ]);
+
+    const byProvider = await UsageRecord.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { provider: '$provider', model: '$model' },
+          requests: { $sum: 1 },
+          tokens: { $sum: '$tokens' },
+          avgResponseTime: { $avg: '$responseTime' }
+        }
+      },
+      { $sort: { tokens: -1 } }
+    ]);
+
+    const series = await UsageRecord.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $dateToString: { format, date: '$createdAt', timezone: 'UTC' } },
+          requests: { $sum: 1 },
+          tokens: { $sum: '$tokens' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return {
+      from,
+      to,
+      interval,
+      totals: {
+        requests: totals?.requests || 0,
+        tokens: totals?.tokens || 0,
+        cachedRequests: totals?.cachedRequests || 0,
+        failedRequests: totals?.failedRequests || 0,
+        avgResponseTime: Math.round(totals?.avgResponseTime || 0)
+      },
+      byProvider: byProvider.map(({ _id, avgResponseTime, ...rest }) => ({
+        provider: _id.provider,
+        model: _id.model,
+        ...rest,
+        avgResponseTime: Math.round(avgResponseTime || 0)
+      })),
+      series: series.map(({ _id, ...rest }) => ({ period: _id, ...rest }))
+    };
+  }
+
+  // Per-user totals for admins, heaviest users first
+  async getUsageByUser({ from, to, limit = 50 } = {}) {
+    const rows = await UsageRecord.aggregate([
+      { $match: { createdAt: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: '$userId',
+          requests: { $sum: 1 },
+          tokens: { $sum: '$tokens' },
+          billableTokens: {
+            $sum: { $cond: [{ $or: ['$cached', '$byok', { $not: ['$success'] }] }, 0, '$tokens'] }
+          }
+        }
+      },
+      { $sort: { billableTokens: -1 } },
+      { $limit: limit },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } }
+    ]);
+
+    return rows.map(({ _id, user, ...rest }) => ({
+      userId: _id,
+      name: user[0]?.name || null,
+      email: user[0]?.email || null,
+      ...rest
+    }));
+  }
+}
+
+// Create singleton instance
+const usageService = new UsageService();
+
+module.exports = usageService;
@@ -0,0 +1,62 @@
+// AES-256-GCM encryption for secrets stored in the database (user API keys).
+// The master key comes from KEY_ENCRYPTION_KEY: 64 hex characters are used
+// as-is, anything else is hashed down to 32 bytes.
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const PLACEHOLDER_KEY = 'change_me_strong_random_32_bytes';
+
+const getMasterKey = () => {
+  const secret = process.env.KEY_ENCRYPTION_KEY;
+  if (!secret || secret === PLACEHOLDER_KEY) return null;
+  if (/^[0-9a-f]{64}$/i.test(secret)) {
+    return Buffer.from(secret, 'hex');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+const getKeyVersion = () => parseInt(process.env.KEY_ENCRYPTION_KEY_VERSION) || 1;
+
+const isEncryptionConfigured = () => !!getMasterKey();
+
+// Returns { ciphertext, iv, authTag, kekVersion } as base64 strings
+const encrypt = (plaintext) => {
+  const key = getMasterKey();
+  if (!key) {
+    throw new Error('KEY_ENCRYPTION_KEY is not configured');
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return {
+    ciphertext: ciphertext.toString('base64'),
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+    kekVersion: getKeyVersion()
+  };
+};
+
+const decrypt = ({ ciphertext, iv, authTag, kekVersion }) => {
+  const key = getMasterKey();
+  if (!key) {
+    throw new Error('KEY_ENCRYPTION_KEY is not configured');
+  }
+  if (kekVersion && kekVersion !== getKeyVersion()) {
+    throw new Error(`Secret was encrypted with master key version ${kekVersion}`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+module.exports = {
+  isEncryptionConfigured,
+  encrypt,
+  decrypt
+};
@@ -0,0 +1,51 @@
+// Helpers for retrying upstream AI calls
+
+const RETRYABLE_STATUS = [408, 425, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+// Resolves after ms, or early when the signal aborts
+const sleep = (ms, signal) => new Promise(resolve => {
+  if (signal?.aborted) return resolve();
+  const onAbort = () => {
+    clearTimeout(timer);
+    resolve();
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Retry-After is either a number of seconds or an HTTP date; returns ms or null
+const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Rate limits, upstream 5xx and dropped connections are worth another try.
+// Refused connections (e.g. LM Studio not running) go straight to fallback.
+const isRetryableError = (error) => {
+  if (error.status) {
+    return RETRYABLE_STATUS.includes(error.status);
+  }
+  return RETRYABLE_CODES.includes(error.code);
+};
+
+// Exponential backoff with full jitter
+const computeBackoff = (attempt, baseDelay, maxDelay) => {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+};
+
+module.exports = {
+  sleep,
+  parseRetryAfter,
+  isRetryableError,
+  computeBackoff
+};
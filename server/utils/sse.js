@@ -0,0 +1,87 @@
+// Helpers for Server-Sent Events responses
+const { StringDecoder } = require('string_decoder');
+
+// Switch an Express response into an event stream
+const initSSE = (res) => {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Disable proxy buffering (nginx) so deltas reach the client immediately
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+};
+
+// Write a named event with a JSON payload
+const sendEvent = (res, event, data) => {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Split a readable stream into parsed JSON payloads. `sse` streams carry them
+// on `data:` lines; `ndjson` streams have one JSON object per line.
+const readEventStream = (stream, onData, { format = 'sse' } = {}) => new Promise((resolve, reject) => {
+  let buffer = '';
+  // One decoder per stream keeps multibyte characters split across chunks intact
+  const decoder = new StringDecoder('utf8');
+
+  const processLine = (line) => {
+    const trimmed = line.trim();
+    let payload = trimmed;
+    if (format === 'sse') {
+      if (!trimmed.startsWith('data:')) return;
+      payload = trimmed.slice(5).trim();
+    }
+    if (!payload || payload === '[DONE]') return;
+    let data;
+    try {
+      data = JSON.parse(payload);
+    } catch (error) {
+      console.warn('Skipping malformed stream chunk:', payload.substring(0, 100));
+      return;
+    }
+    onData(data);
+  };
+
+  stream.on('data', (chunk) => {
+    buffer += decoder.write(chunk);
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    try {
+      lines.forEach(processLine);
+    } catch (error) {
+      stream.destroy();
+      reject(error);
+    }
+  });
+  stream.on('end', () => {
+    try {
+      buffer += decoder.end();
+      if (buffer) processLine(buffer);
+      resolve();
+    } catch (error) {
+      reject(error);
+    }
+  });
+  stream.on('error', reject);
+});
+
+// Collect a stream body (used to surface upstream error details)
+const readStreamBody = (stream) => new Promise((resolve) => {
+  if (!stream || typeof stream.on !== 'function') {
+    resolve(stream);
+    return;
+  }
+  let body = '';
+  const decoder = new StringDecoder('utf8');
+  stream.on('data', (chunk) => { body += decoder.write(chunk); });
+  stream.on('end', () => resolve(body + decoder.end()));
+  stream.on('error', () => resolve(body + decoder.end()));
+});
+
+module.exports = {
+  initSSE,
+  sendEvent,
+  readEventStream,
+  readStreamBody
+};
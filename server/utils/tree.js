@@ -0,0 +1,122 @@
+// Helpers for conversation trees held in memory as flat node lists
+
+const toPlain = (node) => (typeof node.toObject === 'function' ? node.toObject() : { ...node });
+
+// Path from the root down to nodeId (inclusive)
+const getAncestorPath = (nodes, nodeId) => {
+  const nodeMap = new Map(nodes.map(node => [node.id, node]));
+  const path = [];
+  const visited = new Set();
+  let node = nodeMap.get(nodeId);
+
+  while (node && !visited.has(node.id)) {
+    visited.add(node.id);
+    path.unshift(node);
+    if (!node.parentId) {
+      break;
+    }
+    node = nodeMap.get(node.parentId);
+  }
+
+  return path;
+};
+
+// Descendants of nodeId in pre-order (every parent before its children),
+// following each node's children array
+const getDescendants = (nodes, nodeId) => {
+  const nodeMap = new Map(nodes.map(node => [node.id, node]));
+  const ordered = [];
+  const visited = new Set([nodeId]);
+
+  const visit = (id) => {
+    (nodeMap.get(id)?.children || []).forEach(childId => {
+      const child = nodeMap.get(childId);
+      if (child && !visited.has(childId)) {
+        visited.add(childId);
+        ordered.push(child);
+        visit(childId);
+      }
+    });
+  };
+  visit(nodeId);
+
+  return ordered;
+};
+
+// Nest a flat node list into root nodes with child objects in `children`
+const buildTree = (nodes) => {
+  const nodeMap = new Map();
+  const rootNodes = [];
+
+  // Create a map of all nodes
+  nodes.forEach(node => {
+    nodeMap.set(node.id, {
+      ...toPlain(node),
+      children: []
+    });
+  });
+
+  // Build the tree structure
+  nodes.forEach(node => {
+    if (node.parentId) {
+      const parent = nodeMap.get(node.parentId);
+      if (parent) {
+        parent.children.push(nodeMap.get(node.id));
+      }
+    } else {
+      rootNodes.push(nodeMap.get(node.id));
+    }
+  });
+
+  return rootNodes;
+};
+
+// Fields whose change makes a node count as edited in diffTrees
+const DIFF_FIELDS = ['title', 'prompt', 'response'];
+
+// Compare two flat node lists of one conversation (e.g. two snapshots).
+// Returns the ids added and removed, the nodes edited (with the changed
+// fields) and moved (with both parents), and `nodes`: every node of either
+// list, the newer copy where both have it, tagged with a diffStatus of
+// added, removed, moved, edited or unchanged. Removed nodes keep their old
+// parent, so buildTree places them where they used to be.
+const diffTrees = (before, after) => {
+  const beforeMap = new Map(before.map(node => [node.id, toPlain(node)]));
+  const afterMap = new Map(after.map(node => [node.id, toPlain(node)]));
+  const diff = { added: [], removed: [], edited: [], moved: [], nodes: [] };
+
+  afterMap.forEach((node, id) => {
+    const old = beforeMap.get(id);
+    if (!old) {
+      diff.added.push(id);
+      diff.nodes.push({ ...node, diffStatus: 'added' });
+      return;
+    }
+
+    const fields = DIFF_FIELDS.filter(field => (old[field] || '') !== (node[field] || ''));
+    const moved = (old.parentId || null) !== (node.parentId || null);
+    if (fields.length > 0) {
+      diff.edited.push({ id, fields });
+    }
+    if (moved) {
+      diff.moved.push({ id, from: old.parentId, to: node.parentId });
+    }
+    diff.nodes.push({
+      ...node,
+      diffStatus: moved ? 'moved' : fields.length > 0 ? 'edited' : 'unchanged',
+      ...(fields.length > 0 && { editedFields: fields }),
+      ...(moved && { previousParentId: old.parentId })
+    });
+  });
+
+  beforeMap.forEach((node, id) => {
+    if (!afterMap.has(id)) {
+      diff.removed.push(id);
+      diff.nodes.push({ ...node, diffStatus: 'removed' });
+    }
+  });
+
+  return diff;
+};
+
+module.exports = { getAncestorPath, getDescendants, buildTree, diffTrees };